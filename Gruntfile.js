@@ -32,32 +32,46 @@ module.exports = function (grunt) {
 					'src/Module.js',
 					'src/MultiSet.js',
 					'src/Polyfill.js',
+					'src/ActionMap.js',
 					'src/Ajax.js',
 					'src/Animator.js',
 					'src/AppCache.js',
 					'src/Astar.js',
 					'src/Audio.js',
 					'src/Buckets.js',
+					'src/ClusterGraph.js',
 					'src/DebugEffect.js',
+					'src/FlowField.js',
 					'src/FrameTable.js',
+					'src/Gamepad.js',
+					'src/Gestures.js',
 					'src/Heap.js',
+					'src/InputPlayer.js',
+					'src/InputRecorder.js',
+					'src/JumpPointSearch.js',
 					'src/Keyboard.js',
 					'src/List.js',
 					'src/Loader.js',
 					'src/Matrix.js',
+					'src/Mixer.js',
 					'src/Mobile.js',
 					'src/Mouse.js',
+					'src/MusicPlayer.js',
 					'src/ParametricStateMachine.js',
+					'src/PathQueue.js',
+					'src/Random.js',
 					'src/Renderer.js',
 					'src/RenderLoop.js',
 					'src/RumbleEffect.js',
+					'src/SpatialHash.js',
 					'src/Stage.js',
 					'src/StageRenderer.js',
 					'src/StateMachine.js',
 					'src/TileMap.js',
 					'src/Timing.js',
 					'src/View.js',
-					'src/Visibility.js'
+					'src/Visibility.js',
+					'src/WebGLRenderer.js'
 				],
 				dest: 'bin/canvace.js'
 			}
@@ -101,6 +115,20 @@ module.exports = function (grunt) {
 				files: {
 					src: ['<%= concat.dist.dest %>']
 				}
+			},
+
+			test: {
+				options: {
+					browser: false,
+					node: true,
+					globals: {
+						Promise: false,
+						Proxy: false
+					}
+				},
+				files: {
+					src: ['test/**.js']
+				}
 			}
 		},
 
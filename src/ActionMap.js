@@ -0,0 +1,586 @@
+/*
+ *	Canvace's JavaScript Game Engine, canvace.js
+ *	Copyright (C) 2013  Canvace Srl  <http://www.canvace.com/>
+ *
+ *	Dual licensed under the MIT and GPLv3 licenses.
+ *
+ *	This program is free software: you can redistribute it and/or modify
+ *	it under the terms of the GNU General Public License as published by
+ *	the Free Software Foundation, either version 3 of the License, or
+ *	(at your option) any later version.
+ *
+ *	This program is distributed in the hope that it will be useful,
+ *	but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *	GNU General Public License for more details.
+ *
+ *	You should have received a copy of the GNU General Public License
+ *	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Maps physical inputs (keys, mouse buttons, gamepad buttons and axes) to
+ * named actions and axes, so that game code can subscribe to e.g. a "jump"
+ * action rather than to a specific key code.
+ *
+ * Each action or axis can have any number of bindings and bindings can be
+ * changed at any time: handlers registered through
+ * {{#crossLink "Canvace.ActionMap/onActionDown"}}{{/crossLink}} and
+ * {{#crossLink "Canvace.ActionMap/onActionUp"}}{{/crossLink}} are bound to the
+ * action name and keep working after rebinding.
+ *
+ * A binding is a plain object identifying a physical input, which makes the
+ * whole binding table serializable to JSON (see
+ * {{#crossLink "Canvace.ActionMap/save"}}{{/crossLink}} and
+ * {{#crossLink "Canvace.ActionMap/load"}}{{/crossLink}}). The following
+ * bindings are supported:
+ *
+ * <ul>
+ * <li>`{ device: 'keyboard', key: keyCode }`: a key of the keyboard;</li>
+ * <li>`{ device: 'mouse', button: button }`: a mouse button (`0` for left
+ * button, `1` for middle button, `2` for right button);</li>
+ * <li>`{ device: 'gamepad', button: index }`: a button of the gamepad;</li>
+ * <li>`{ device: 'gamepad', axis: index }`: an axis of the gamepad, only
+ * valid for axes;</li>
+ * <li>`{ negative: binding, positive: binding }`: a pair of digital bindings
+ * that drive an axis to -1 and 1 respectively, only valid for axes.</li>
+ * </ul>
+ *
+ * @class Canvace.ActionMap
+ * @constructor
+ * @param devices {Object} A dictionary of the input devices the bindings
+ * refer to. Any of them may be omitted, in which case the bindings to that
+ * device are never active.
+ * @param [devices.keyboard] {Canvace.Keyboard} A `Keyboard` object.
+ * @param [devices.mouse] {Canvace.Mouse} A `Mouse` object.
+ * @param [devices.gamepad] {Canvace.Gamepad} A `Gamepad` object.
+ * @param [bindings] {Object} An optional initial binding table, in the same
+ * format returned by the
+ * {{#crossLink "Canvace.ActionMap/getBindings"}}{{/crossLink}} method.
+ * @example
+ *	var actions = new Canvace.ActionMap({
+ *		keyboard: new Canvace.Keyboard(window),
+ *		gamepad: new Canvace.Gamepad()
+ *	}, {
+ *		actions: {
+ *			jump: [{ device: 'keyboard', key: KeyEvent.DOM_VK_SPACE }, { device: 'gamepad', button: 0 }]
+ *		},
+ *		axes: {
+ *			moveX: [{ device: 'gamepad', axis: 0 }, {
+ *				negative: { device: 'keyboard', key: KeyEvent.DOM_VK_LEFT },
+ *				positive: { device: 'keyboard', key: KeyEvent.DOM_VK_RIGHT }
+ *			}]
+ *		}
+ *	});
+ *	actions.load('bindings');
+ *	actions.onActionDown('jump', function () {
+ *		hero.jump();
+ *	});
+ */
+Canvace.ActionMap = function (devices, bindings) {
+	var keyboard = devices.keyboard;
+	var mouse = devices.mouse;
+	var gamepad = devices.gamepad;
+
+	var actions = {};
+	var axes = {};
+
+	var mouseButtons = {};
+	if (mouse) {
+		mouse.onDown(function (x, y, button) {
+			mouseButtons[button] = true;
+		});
+		mouse.onUp(function (x, y, button) {
+			delete mouseButtons[button];
+		});
+	}
+
+	function invalidBinding(binding) {
+		throw {
+			message: 'invalid binding',
+			binding: binding
+		};
+	}
+
+	function normalizeButton(binding) {
+		if (binding.device === 'keyboard') {
+			if (typeof binding.key !== 'number') {
+				invalidBinding(binding);
+			}
+			return {
+				device: 'keyboard',
+				key: binding.key
+			};
+		} else if ((binding.device === 'mouse') || (binding.device === 'gamepad')) {
+			if (typeof binding.button !== 'number') {
+				invalidBinding(binding);
+			}
+			return {
+				device: binding.device,
+				button: binding.button
+			};
+		} else {
+			invalidBinding(binding);
+		}
+	}
+
+	function normalizeAxis(binding) {
+		if (('negative' in binding) || ('positive' in binding)) {
+			return {
+				negative: normalizeButton(binding.negative || {}),
+				positive: normalizeButton(binding.positive || {})
+			};
+		} else if ((binding.device === 'gamepad') && ('axis' in binding)) {
+			if (typeof binding.axis !== 'number') {
+				invalidBinding(binding);
+			}
+			return {
+				device: 'gamepad',
+				axis: binding.axis
+			};
+		} else {
+			return normalizeButton(binding);
+		}
+	}
+
+	function equals(binding1, binding2) {
+		return JSON.stringify(binding1) === JSON.stringify(binding2);
+	}
+
+	function isButtonDown(binding) {
+		switch (binding.device) {
+		case 'keyboard':
+			return !!keyboard && keyboard.isKeyDown(binding.key);
+		case 'mouse':
+			return !!mouseButtons[binding.button];
+		case 'gamepad':
+			return !!gamepad && gamepad.isButtonDown(binding.button);
+		}
+	}
+
+	function listen(binding, down, up) {
+		var removers = [];
+		switch (binding.device) {
+		case 'keyboard':
+			if (keyboard) {
+				removers.push(keyboard.onKeyDown(binding.key, down));
+				removers.push(keyboard.onKeyUp(binding.key, up));
+			}
+			break;
+		case 'mouse':
+			if (mouse) {
+				removers.push(mouse.onDown(function (x, y, button) {
+					if (button === binding.button) {
+						down();
+					}
+				}));
+				removers.push(mouse.onUp(function (x, y, button) {
+					if (button === binding.button) {
+						up();
+					}
+				}));
+			}
+			break;
+		case 'gamepad':
+			if (gamepad) {
+				removers.push(gamepad.onButtonDown(binding.button, down));
+				removers.push(gamepad.onButtonUp(binding.button, up));
+			}
+			break;
+		}
+		return function () {
+			for (var i = 0; i < removers.length; i++) {
+				removers[i]();
+			}
+		};
+	}
+
+	function Action(name) {
+		var records = [];
+		var downHandlers = new Canvace.MultiSet();
+		var upHandlers = new Canvace.MultiSet();
+
+		this.isDown = function () {
+			for (var i = 0; i < records.length; i++) {
+				if (records[i].pressed) {
+					return true;
+				}
+			}
+			return false;
+		};
+
+		var isDown = this.isDown;
+
+		function press(record) {
+			if (!record.pressed) {
+				var wasDown = isDown();
+				record.pressed = true;
+				if (!wasDown) {
+					downHandlers.fastForEach(function (handler) {
+						handler(name);
+					});
+				}
+			}
+		}
+
+		function release(record) {
+			if (record.pressed) {
+				record.pressed = false;
+				if (!isDown()) {
+					upHandlers.fastForEach(function (handler) {
+						handler(name);
+					});
+				}
+			}
+		}
+
+		this.bind = function (binding) {
+			for (var i = 0; i < records.length; i++) {
+				if (equals(records[i].binding, binding)) {
+					return;
+				}
+			}
+			var record = {
+				binding: binding,
+				pressed: isButtonDown(binding)
+			};
+			record.remove = listen(binding, function () {
+				press(record);
+			}, function () {
+				release(record);
+			});
+			records.push(record);
+		};
+
+		this.unbind = function (binding) {
+			for (var i = 0; i < records.length; i++) {
+				if (!binding || equals(records[i].binding, binding)) {
+					var record = records[i];
+					records.splice(i--, 1);
+					record.remove();
+					release(record);
+				}
+			}
+		};
+
+		this.getBindings = function () {
+			var bindings = [];
+			for (var i = 0; i < records.length; i++) {
+				bindings.push(JSON.parse(JSON.stringify(records[i].binding)));
+			}
+			return bindings;
+		};
+
+		this.onDown = function (handler) {
+			return downHandlers.add(handler);
+		};
+
+		this.onUp = function (handler) {
+			return upHandlers.add(handler);
+		};
+	}
+
+	function Axis() {
+		var bindings = [];
+
+		this.bind = function (binding) {
+			for (var i = 0; i < bindings.length; i++) {
+				if (equals(bindings[i], binding)) {
+					return;
+				}
+			}
+			bindings.push(binding);
+		};
+
+		this.unbind = function (binding) {
+			for (var i = 0; i < bindings.length; i++) {
+				if (!binding || equals(bindings[i], binding)) {
+					bindings.splice(i--, 1);
+				}
+			}
+		};
+
+		this.getBindings = function () {
+			return JSON.parse(JSON.stringify(bindings));
+		};
+
+		this.getValue = function () {
+			var result = 0;
+			for (var i = 0; i < bindings.length; i++) {
+				var binding = bindings[i];
+				var value;
+				if ('negative' in binding) {
+					value = (isButtonDown(binding.positive) ? 1 : 0) - (isButtonDown(binding.negative) ? 1 : 0);
+				} else if ('axis' in binding) {
+					value = gamepad ? gamepad.getAxis(binding.axis) : 0;
+				} else {
+					value = isButtonDown(binding) ? 1 : 0;
+				}
+				if (Math.abs(value) > Math.abs(result)) {
+					result = value;
+				}
+			}
+			return result;
+		};
+	}
+
+	function getAction(name) {
+		if (!actions.hasOwnProperty(name)) {
+			actions[name] = new Action(name);
+		}
+		return actions[name];
+	}
+
+	function getAxis(name) {
+		if (!axes.hasOwnProperty(name)) {
+			axes[name] = new Axis();
+		}
+		return axes[name];
+	}
+
+	/**
+	 * Adds a binding to the specified action. Adding a binding that is
+	 * already present has no effects.
+	 *
+	 * @method bindAction
+	 * @param name {String} The name of the action.
+	 * @param binding {Object} A keyboard, mouse button or gamepad button
+	 * binding. See the class description for the supported formats.
+	 */
+	this.bindAction = function (name, binding) {
+		getAction(name).bind(normalizeButton(binding));
+	};
+
+	/**
+	 * Removes a binding from the specified action, or all of its bindings if
+	 * no binding is specified.
+	 *
+	 * If the action was active only because of the removed bindings, its
+	 * "up" handlers are invoked.
+	 *
+	 * @method unbindAction
+	 * @param name {String} The name of the action.
+	 * @param [binding] {Object} The binding to remove.
+	 */
+	this.unbindAction = function (name, binding) {
+		if (actions.hasOwnProperty(name)) {
+			actions[name].unbind(binding && normalizeButton(binding));
+		}
+	};
+
+	/**
+	 * Returns the bindings of the specified action. The returned array is a
+	 * copy and can be freely modified.
+	 *
+	 * @method getActionBindings
+	 * @param name {String} The name of the action.
+	 * @return {Object[]} The bindings of the action.
+	 */
+	this.getActionBindings = function (name) {
+		if (actions.hasOwnProperty(name)) {
+			return actions[name].getBindings();
+		} else {
+			return [];
+		}
+	};
+
+	/**
+	 * Adds a binding to the specified axis. Adding a binding that is already
+	 * present has no effects.
+	 *
+	 * @method bindAxis
+	 * @param name {String} The name of the axis.
+	 * @param binding {Object} Any of the bindings described in the class
+	 * description. Digital bindings drive the axis to 1 when active.
+	 */
+	this.bindAxis = function (name, binding) {
+		getAxis(name).bind(normalizeAxis(binding));
+	};
+
+	/**
+	 * Removes a binding from the specified axis, or all of its bindings if no
+	 * binding is specified.
+	 *
+	 * @method unbindAxis
+	 * @param name {String} The name of the axis.
+	 * @param [binding] {Object} The binding to remove.
+	 */
+	this.unbindAxis = function (name, binding) {
+		if (axes.hasOwnProperty(name)) {
+			axes[name].unbind(binding && normalizeAxis(binding));
+		}
+	};
+
+	/**
+	 * Returns the bindings of the specified axis. The returned array is a
+	 * copy and can be freely modified.
+	 *
+	 * @method getAxisBindings
+	 * @param name {String} The name of the axis.
+	 * @return {Object[]} The bindings of the axis.
+	 */
+	this.getAxisBindings = function (name) {
+		if (axes.hasOwnProperty(name)) {
+			return axes[name].getBindings();
+		} else {
+			return [];
+		}
+	};
+
+	/**
+	 * Returns the whole binding table. The returned object can be serialized
+	 * to JSON and later passed to
+	 * {{#crossLink "Canvace.ActionMap/setBindings"}}{{/crossLink}} or to the
+	 * constructor.
+	 *
+	 * @method getBindings
+	 * @return {Object} An object containing two dictionaries, `actions` and
+	 * `axes`, mapping each action and axis name to an array of bindings.
+	 */
+	this.getBindings = function () {
+		var table = {
+			actions: {},
+			axes: {}
+		};
+		var name;
+		for (name in actions) {
+			if (actions.hasOwnProperty(name)) {
+				table.actions[name] = actions[name].getBindings();
+			}
+		}
+		for (name in axes) {
+			if (axes.hasOwnProperty(name)) {
+				table.axes[name] = axes[name].getBindings();
+			}
+		}
+		return table;
+	};
+
+	/**
+	 * Replaces the bindings of the actions and axes listed in the specified
+	 * table. Actions and axes not listed in the table keep their bindings.
+	 * Registered handlers are not affected.
+	 *
+	 * @method setBindings
+	 * @param table {Object} A binding table in the same format returned by
+	 * {{#crossLink "Canvace.ActionMap/getBindings"}}{{/crossLink}}.
+	 */
+	this.setBindings = function (table) {
+		var name, i;
+		for (name in table.actions) {
+			if (table.actions.hasOwnProperty(name)) {
+				getAction(name).unbind();
+				for (i = 0; i < table.actions[name].length; i++) {
+					this.bindAction(name, table.actions[name][i]);
+				}
+			}
+		}
+		for (name in table.axes) {
+			if (table.axes.hasOwnProperty(name)) {
+				getAxis(name).unbind();
+				for (i = 0; i < table.axes[name].length; i++) {
+					this.bindAxis(name, table.axes[name][i]);
+				}
+			}
+		}
+	};
+
+	/**
+	 * Stores the binding table in the `localStorage` under the specified key.
+	 *
+	 * @method save
+	 * @param key {String} The `localStorage` key.
+	 */
+	this.save = function (key) {
+		window.localStorage.setItem(key, JSON.stringify(this.getBindings()));
+	};
+
+	/**
+	 * Restores a binding table previously stored by the
+	 * {{#crossLink "Canvace.ActionMap/save"}}{{/crossLink}} method. The
+	 * current bindings are left untouched if the key does not exist.
+	 *
+	 * @method load
+	 * @param key {String} The `localStorage` key.
+	 * @return {Boolean} `true` if a binding table was found and loaded,
+	 * `false` otherwise.
+	 */
+	this.load = function (key) {
+		var json = window.localStorage.getItem(key);
+		if (json !== null) {
+			this.setBindings(JSON.parse(json));
+			return true;
+		} else {
+			return false;
+		}
+	};
+
+	/**
+	 * Indicates whether the specified action is currently active, that is
+	 * whether any of its bindings is pressed.
+	 *
+	 * @method isActionDown
+	 * @param name {String} The name of the action.
+	 * @return {Boolean} `true` if the action is active, `false` otherwise.
+	 */
+	this.isActionDown = function (name) {
+		return actions.hasOwnProperty(name) && actions[name].isDown();
+	};
+
+	/**
+	 * Returns the current value of the specified axis, in the range
+	 * `[-1, 1]`. When more than one binding of the axis is active, the value
+	 * with the largest magnitude is returned.
+	 *
+	 * @method getAxis
+	 * @param name {String} The name of the axis.
+	 * @return {Number} The value of the axis, or 0 if it has no active
+	 * bindings.
+	 */
+	this.getAxis = function (name) {
+		if (axes.hasOwnProperty(name)) {
+			return axes[name].getValue();
+		} else {
+			return 0;
+		}
+	};
+
+	/**
+	 * Registers a handler that gets called when the specified action becomes
+	 * active, that is when one of its bindings is pressed while none of the
+	 * others is.
+	 *
+	 * The handler can be registered before the action has any bindings and
+	 * is not affected by rebinding.
+	 *
+	 * @method onActionDown
+	 * @param name {String} The name of the action.
+	 * @param handler {Function} A user-defined function that gets called when
+	 * the event occurs. It receives one argument, the name of the action.
+	 * @return {Function} A function that unregisters the registered handler.
+	 */
+	this.onActionDown = function (name, handler) {
+		return getAction(name).onDown(handler);
+	};
+
+	/**
+	 * Registers a handler that gets called when the specified action stops
+	 * being active, that is when its last pressed binding is released.
+	 *
+	 * The handler can be registered before the action has any bindings and
+	 * is not affected by rebinding.
+	 *
+	 * @method onActionUp
+	 * @param name {String} The name of the action.
+	 * @param handler {Function} A user-defined function that gets called when
+	 * the event occurs. It receives one argument, the name of the action.
+	 * @return {Function} A function that unregisters the registered handler.
+	 */
+	this.onActionUp = function (name, handler) {
+		return getAction(name).onUp(handler);
+	};
+
+	if (bindings) {
+		this.setBindings(bindings);
+	}
+};
@@ -29,6 +29,111 @@
  *	});
  */
 Canvace.Ajax = new (function () {
+	/*
+	 * A minimal Promises/A+ implementation backing the `then` method of
+	 * requests: `fulfill` and `reject` settle it, and `then` returns a new
+	 * `Thenable` resolved by the callbacks.
+	 */
+	function Thenable() {
+		var state = null;
+		var value;
+		var handlers = [];
+
+		function schedule(handler) {
+			setTimeout(function () {
+				handler[state](value);
+			}, 0);
+		}
+
+		function settle(newState, newValue) {
+			if (state === null) {
+				state = newState;
+				value = newValue;
+				handlers.forEach(schedule);
+				handlers = null;
+			}
+		}
+
+		this.fulfill = function (value) {
+			settle('fulfilled', value);
+		};
+
+		this.reject = function (reason) {
+			settle('rejected', reason);
+		};
+
+		function resolve(thenable, x) {
+			if (x === thenable) {
+				thenable.reject(new TypeError('a thenable cannot be resolved with itself'));
+				return;
+			}
+			if (x && ((typeof x === 'object') || (typeof x === 'function'))) {
+				var then;
+				try {
+					then = x.then;
+				} catch (e) {
+					thenable.reject(e);
+					return;
+				}
+				if (typeof then === 'function') {
+					var called = false;
+					try {
+						then.call(x, function (y) {
+							if (!called) {
+								called = true;
+								resolve(thenable, y);
+							}
+						}, function (reason) {
+							if (!called) {
+								called = true;
+								thenable.reject(reason);
+							}
+						});
+					} catch (e) {
+						if (!called) {
+							called = true;
+							thenable.reject(e);
+						}
+					}
+					return;
+				}
+			}
+			thenable.fulfill(x);
+		}
+
+		this.then = function (onFulfilled, onRejected) {
+			var next = new Thenable();
+			function bind(callback, fallback) {
+				return function (value) {
+					if (typeof callback === 'function') {
+						var result;
+						try {
+							result = callback(value);
+						} catch (e) {
+							next.reject(e);
+							return;
+						}
+						resolve(next, result);
+					} else {
+						fallback(value);
+					}
+				};
+			}
+			var handler = {
+				fulfilled: bind(onFulfilled, next.fulfill),
+				rejected: bind(onRejected, next.reject)
+			};
+			if (state === null) {
+				handlers.push(handler);
+			} else {
+				schedule(handler);
+			}
+			return {
+				then: next.then
+			};
+		};
+	}
+
 	/**
 	 * Represents an open AJAX request.
 	 *
@@ -79,6 +184,28 @@ Canvace.Ajax = new (function () {
 	 * the loading is complete. See the `onLoad` method for details.
 	 * @param [options.error] {Function} The callback function to invoke when
 	 * the loading aborts with an error. See the `onError` method for details.
+	 * @param [options.progress] {Function} The callback function to invoke as
+	 * the response is downloaded. See the `onProgress` method for details.
+	 * @param [options.uploadProgress] {Function} The callback function to
+	 * invoke as the request body is uploaded. See the `onUploadProgress`
+	 * method for details.
+	 * @param [options.timeout] {Number} The number of milliseconds after which
+	 * an attempt to perform an asynchronous request is considered failed. By
+	 * default there is no timeout.
+	 * @param [options.retries=0] {Number} The number of times the request is
+	 * performed again after a network error, a timeout or a transient HTTP
+	 * error status (5xx, 408 or 429) before giving up and invoking the `error`
+	 * callback.
+	 *
+	 * Only successful responses (2xx and 304 statuses, or status 0 for local
+	 * files) are passed to the `load` callback; any other HTTP status invokes
+	 * the `error` callback, immediately if it is not transient.
+	 * @param [options.retryDelay=1000] {Number} The number of milliseconds to
+	 * wait before the first retry. The delay doubles at each subsequent retry.
+	 *
+	 * Besides using callbacks, the outcome of the request can be handled using
+	 * the `then` method, which makes `Request` objects usable wherever a
+	 * Promises/A+ "thenable" is expected.
 	 * @example
 	 *	Canvace.Ajax.post({
 	 *		url: '/threads',
@@ -115,60 +242,17 @@ Canvace.Ajax = new (function () {
 			options.password = '';
 		}
 
-		var xhr = new XMLHttpRequest();
-		xhr.addEventListener('load', function () {
-			if (typeof options.load === 'function') {
-				options.load.call(thisObject, (function () {
-					switch (options.type) {
-					case '':
-					case 'text':
-						return xhr.responseText;
-					case 'json':
-						return JSON.parse(xhr.responseText);
-					case 'document':
-						return xhr.responseXML;
-					default:
-						return xhr.response;
-					}
-				}()));
-			}
-		}, false);
-		xhr.addEventListener('error', function () {
-			if (typeof options.error === 'function') {
-				options.error.call(thisObject, xhr.status, xhr.statusText);
-			}
-		}, false);
-
-		function send(url, headers, data) {
-			xhr.open(
-				options.method,
-				url,
-				options.async,
-				options.user,
-				options.password
-				);
-
-			// XXX Currently 'json' is not equally supported across browsers
-			xhr.responseType = (options.type === 'json') ? 'text' : options.type;
-
-			function setHeaders(headers) {
-				for (var key in headers) {
-					if (headers.hasOwnProperty(key)) {
-						xhr.setRequestHeader(key, headers[key]);
-					}
-				}
-			}
-
-			setHeaders(headers);
-			setHeaders(options.headers);
-
-			if (arguments.length < 3) {
-				xhr.send();
-			} else {
-				xhr.send(data);
-			}
+		if (typeof options.retries === 'undefined') {
+			options.retries = 0;
+		}
+		if (typeof options.retryDelay === 'undefined') {
+			options.retryDelay = 1000;
 		}
 
+		var url = options.url;
+		var headers = {};
+		var body;
+
 		if (typeof options.data !== 'undefined') {
 			var encodedData = (function flatten(prefix, data) {
 				switch (typeof data) {
@@ -200,16 +284,151 @@ Canvace.Ajax = new (function () {
 			}('', options.data)).join('&');
 
 			if (options.method.toUpperCase() !== 'GET') {
-				send(options.url, {
-					'Content-Type': 'application/x-www-form-urlencoded'
-				}, encodedData);
+				headers['Content-Type'] = 'application/x-www-form-urlencoded';
+				body = encodedData;
 			} else {
-				send(options.url + '?' + encodedData);
+				url += '?' + encodedData;
+			}
+		}
+
+		var thenable = new Thenable();
+		var xhr = null;
+		var settled = false;
+		var attempts = 0;
+		var retryTimeout = null;
+
+		function succeed(response) {
+			if (!settled) {
+				settled = true;
+				try {
+					if (typeof options.load === 'function') {
+						options.load.call(thisObject, response);
+					}
+				} finally {
+					thenable.fulfill(response);
+				}
+			}
+		}
+
+		function fail(statusCode, statusText) {
+			if (!settled) {
+				settled = true;
+				try {
+					if (typeof options.error === 'function') {
+						options.error.call(thisObject, statusCode, statusText);
+					}
+				} finally {
+					thenable.reject({
+						statusCode: statusCode,
+						statusText: statusText
+					});
+				}
+			}
+		}
+
+		function send() {
+			xhr = new XMLHttpRequest();
+			var request = xhr;
+
+			function retry(statusCode, statusText) {
+				if (!settled && (request === xhr)) {
+					if (attempts < options.retries) {
+						retryTimeout = setTimeout(function () {
+							retryTimeout = null;
+							send();
+						}, options.retryDelay * Math.pow(2, attempts++));
+					} else {
+						fail(statusCode, statusText);
+					}
+				}
+			}
+
+			function bindProgress(callback) {
+				return function (event) {
+					if (!settled && (request === xhr) && (typeof options[callback] === 'function')) {
+						options[callback].call(thisObject, event.loaded, event.lengthComputable ? event.total : null);
+					}
+				};
+			}
+
+			request.addEventListener('load', function () {
+				if (!settled && (request === xhr)) {
+					var status = request.status;
+					if ((status >= 500) || (status === 408) || (status === 429)) {
+						retry(status, request.statusText);
+						return;
+					} else if (status && ((status < 200) || (status >= 300)) && (status !== 304)) {
+						fail(status, request.statusText);
+						return;
+					}
+					var response;
+					try {
+						response = (function () {
+							switch (options.type) {
+							case '':
+							case 'text':
+								return request.responseText;
+							case 'json':
+								return JSON.parse(request.responseText);
+							case 'document':
+								return request.responseXML;
+							default:
+								return request.response;
+							}
+						}());
+					} catch (e) {
+						fail(request.status, 'parsererror');
+						return;
+					}
+					succeed(response);
+				}
+			}, false);
+			request.addEventListener('error', function () {
+				retry(request.status, request.statusText);
+			}, false);
+			request.addEventListener('timeout', function () {
+				retry(0, 'timeout');
+			}, false);
+			request.addEventListener('progress', bindProgress('progress'), false);
+			if (request.upload) {
+				request.upload.addEventListener('progress', bindProgress('uploadProgress'), false);
+			}
+
+			request.open(
+				options.method,
+				url,
+				options.async,
+				options.user,
+				options.password
+				);
+
+			// XXX Currently 'json' is not equally supported across browsers
+			request.responseType = (options.type === 'json') ? 'text' : options.type;
+
+			if (options.async && options.timeout) {
+				request.timeout = options.timeout;
+			}
+
+			function setHeaders(headers) {
+				for (var key in headers) {
+					if (headers.hasOwnProperty(key)) {
+						request.setRequestHeader(key, headers[key]);
+					}
+				}
+			}
+
+			setHeaders(headers);
+			setHeaders(options.headers);
+
+			if (typeof body === 'undefined') {
+				request.send();
+			} else {
+				request.send(body);
 			}
-		} else {
-			send(options.url);
 		}
 
+		send();
+
 		/**
 		 * Registers a callback function to be invoked when the loading is
 		 * complete.
@@ -250,6 +469,104 @@ Canvace.Ajax = new (function () {
 			options.error = callback;
 			return thisObject;
 		};
+
+		/**
+		 * Registers a callback function to be invoked as the response is
+		 * downloaded.
+		 *
+		 * @method onProgress
+		 * @chainable
+		 * @param [callback] {Function} The callback function to invoke when
+		 * part of the response has been received.
+		 * @param callback.loaded {Number} The number of bytes received so far.
+		 * @param callback.total {Number} The total number of bytes of the
+		 * response, or `null` if unknown.
+		 */
+		this.onProgress = function (callback) {
+			options.progress = callback;
+			return thisObject;
+		};
+
+		/**
+		 * Registers a callback function to be invoked as the request body is
+		 * uploaded.
+		 *
+		 * @method onUploadProgress
+		 * @chainable
+		 * @param [callback] {Function} The callback function to invoke when
+		 * part of the request body has been sent.
+		 * @param callback.loaded {Number} The number of bytes sent so far.
+		 * @param callback.total {Number} The total number of bytes of the
+		 * request body, or `null` if unknown.
+		 */
+		this.onUploadProgress = function (callback) {
+			options.uploadProgress = callback;
+			return thisObject;
+		};
+
+		/**
+		 * Aborts the request, including any pending retries.
+		 *
+		 * The request fails as if an error had occurred: the `error` callback
+		 * is invoked with a status code of 0 and a status text of `'abort'`,
+		 * and the thenable is rejected accordingly (see the `then` method).
+		 *
+		 * This method has no effect if the request has already completed,
+		 * failed or been aborted.
+		 *
+		 * @method abort
+		 * @example
+		 *	var request = Canvace.Ajax.getJSON('/leaderboard');
+		 *	request.then(function (leaderboard) {
+		 *		// ...
+		 *	});
+		 *
+		 *	// the player leaves the menu
+		 *	request.abort();
+		 */
+		this.abort = function () {
+			if (!settled) {
+				if (retryTimeout !== null) {
+					clearTimeout(retryTimeout);
+					retryTimeout = null;
+				}
+				var request = xhr;
+				xhr = null;
+				request.abort();
+				fail(0, 'abort');
+			}
+		};
+
+		/**
+		 * Registers callbacks to be invoked when the request completes or
+		 * fails, as per the Promises/A+ specification: the callbacks are
+		 * always invoked asynchronously, and a new thenable is returned that
+		 * is resolved with the return value of the invoked callback, or
+		 * rejected with the exception it throws.
+		 *
+		 * The request is fulfilled with the same response passed to the `load`
+		 * callback, and rejected with an object containing two fields,
+		 * `statusCode` and `statusText`, with the same values passed to the
+		 * `error` callback.
+		 *
+		 * @method then
+		 * @param [onFulfilled] {Function} The callback function to invoke when
+		 * the request completes. It receives the response as its only
+		 * argument.
+		 * @param [onRejected] {Function} The callback function to invoke when
+		 * the request fails or is aborted. It receives an object containing
+		 * the `statusCode` and `statusText` fields.
+		 * @return {Object} A new thenable.
+		 * @example
+		 *	Canvace.Ajax.getJSON('/levels/3.json').then(function (level) {
+		 *		return Canvace.Ajax.getJSON(level.next);
+		 *	}).then(function (nextLevel) {
+		 *		// ...
+		 *	}, function (error) {
+		 *		alert(error.statusText);
+		 *	});
+		 */
+		this.then = thenable.then;
 	}
 
 	function ajaxRequest(method, parameters) {
@@ -496,20 +813,42 @@ Canvace.Ajax = new (function () {
 	 * loading aborts with an error. See the
 	 * {{#crossLink "Canvace.Ajax.Request/onError"}}{{/crossLink}} method for
 	 * details.
-	 * @return {Canvace.Ajax.Request} The instantiated request object.
+	 * @param [options] {Object} An optional dictionary of further options to
+	 * pass to the constructor of
+	 * {{#crossLink "Canvace.Ajax.Request"}}Request{{/crossLink}}, such as
+	 * `timeout`, `retries` or `progress`.
+	 * @return {Canvace.Ajax.Request} The instantiated request object, which is
+	 * also a thenable (see
+	 * {{#crossLink "Canvace.Ajax.Request/then"}}Request.then{{/crossLink}}).
 	 * @example
 	 *	Canvace.Ajax.getJSON('/data/stage1.json', function (stageData) {
 	 *		// ...
 	 *	}, function (statusCode, statusText) {
 	 *		alert(statusText);
 	 *	});
+	 *
+	 *	Canvace.Ajax.getJSON('/data/stage2.json', null, null, {
+	 *		timeout: 5000,
+	 *		retries: 3
+	 *	}).then(function (stageData) {
+	 *		// ...
+	 *	});
 	 */
-	this.getJSON = function (url, onLoad, onError) {
-		return Canvace.Ajax.get({
-			url: url,
-			type: 'json',
-			load: onLoad,
-			error: onError
-		});
+	this.getJSON = function (url, onLoad, onError, options) {
+		var requestOptions = {};
+		for (var key in options) {
+			if (options.hasOwnProperty(key)) {
+				requestOptions[key] = options[key];
+			}
+		}
+		requestOptions.url = url;
+		requestOptions.type = 'json';
+		if (onLoad) {
+			requestOptions.load = onLoad;
+		}
+		if (onError) {
+			requestOptions.error = onError;
+		}
+		return Canvace.Ajax.get(requestOptions);
 	};
 })();
@@ -157,44 +157,34 @@ Canvace.Astar = function (epsilon) {
 	 */
 
 	/**
-	 * Finds a path between two nodes of a graph. A path is always found if one
-	 * exists, otherwise `null` is returned.
-	 *
-	 * The found path is always _admissible_, which means its cost is either
-	 * optimal (the least possible one) or is at most `1 + epsilon` times the
-	 * optimal one, where `epsilon` is the parameter specified to the
-	 * {{#crossLink "Canvace.Astar"}}{{/crossLink}} constructor.
-	 *
-	 * `startNode` is an
-	 * {{#crossLink "Canvace.Astar.Node"}}Astar.Node{{/crossLink}}-like object
-	 * representing the first node of the path to find;
-	 * _{{#crossLink "Canvace.Astar.Node"}}Astar.Node{{/crossLink}}-like_ means
-	 * it has to provide the same properties and methods described by the
-	 * documentation of the
-	 * {{#crossLink "Canvace.Astar.Node"}}Astar.Node{{/crossLink}} pseudo-class.
-	 *
-	 * The target node is identified when the estimated distance from it,
-	 * provided by each node, is zero; the algorithm stops when this happens.
-	 *
-	 * {{#crossLink "Canvace.Astar.Node"}}Astar.Node{{/crossLink}} objects allow
-	 * to specify a directed graph with weighted and labeled edges. Edge weights
-	 * are real numbers and are used to compute the cost of a path. Edge labels
-	 * are strings and are used when describing the computed path as an array of
-	 * edges to walk.
+	 * Represents a resumable pathfinding process. Searches perform the same
+	 * computation as
+	 * {{#crossLink "Canvace.Astar/findPath"}}{{/crossLink}} but can be
+	 * suspended when they exceed a node or time budget and resumed later,
+	 * thus allowing to spread a long search across several frames.
 	 *
-	 * The computed path, if one exists, is returned as an array of strings.
-	 * `null` is returned if the target node is unreachable from the start node.
+	 * This class cannot be instantiated directly, instances are returned by
+	 * the {{#crossLink "Canvace.Astar/search"}}{{/crossLink}} method.
 	 *
-	 * @method findPath
-	 * @for Canvace.Astar
-	 * @param startNode {Canvace.Astar.Node} The starting node.
-	 * @return {String[]} An array of edge labels that identify the edges that
-	 * form the computed path, or `null` if no path can be found.
+	 * @class Canvace.Astar.Search
+	 * @example
+	 *	var search = new Canvace.Astar().search(startNode);
+	 *	loop.onBeforeFrame(function () {
+	 *		if (!search.isFinished() && search.run({
+	 *			nodes: 200,
+	 *			time: 2
+	 *		})) {
+	 *			console.dir(search.getPath());
+	 *		}
+	 *	});
 	 */
-	this.findPath = function (startNode) {
+	function Search(startNode) {
 		var closedSet = {};
 		var openScore = {};
 		var backLink = {};
+		var finished = false;
+		var path = null;
+		var expanded = 0;
 
 		var heap = new Canvace.Heap(function (u, v) {
 			var fu = openScore[u.id] + u.heuristic * (1 + epsilon);
@@ -210,13 +200,15 @@ Canvace.Astar = function (epsilon) {
 			return u.id === v.id;
 		});
 
-		var node;
 		openScore[startNode.id] = 0;
 		heap.push(startNode);
-		while (!heap.isEmpty()) {
+
+		function expand() {
+			var node;
 			var currentNode = heap.pop();
 			var score = openScore[currentNode.id];
 			delete openScore[currentNode.id];
+			expanded++;
 			if (currentNode.heuristic) {
 				closedSet[currentNode.id] = true;
 				for (var edge in currentNode.neighbors) {
@@ -246,13 +238,152 @@ Canvace.Astar = function (epsilon) {
 					}
 				}
 			} else {
-				var path = [];
+				path = [];
 				for (node = currentNode; backLink.hasOwnProperty(node.id); node = backLink[node.id].parent) {
 					path.push(backLink[node.id].edge);
 				}
-				return path.reverse();
+				path.reverse();
+				finished = true;
 			}
 		}
-		return null;
+
+		/**
+		 * Resumes the search and carries it on until it finishes or exceeds the
+		 * specified budget.
+		 *
+		 * The budget is expressed by an optional object containing a maximum
+		 * number of nodes to expand and a maximum amount of time to spend. If
+		 * neither is specified the search runs to completion. At least one node
+		 * is expanded by each call, unless the search is already finished.
+		 *
+		 * @method run
+		 * @param [budget] {Object} The optional budget for this call.
+		 * @param [budget.nodes] {Number} The maximum number of nodes to
+		 * expand.
+		 * @param [budget.time] {Number} The maximum amount of time to spend,
+		 * in milliseconds.
+		 * @return {Boolean} `true` if the search is finished, `false` if it
+		 * needs to be resumed.
+		 */
+		this.run = function (budget) {
+			var nodes = Infinity;
+			var deadline = Infinity;
+			if (typeof budget !== 'undefined') {
+				if (typeof budget.nodes === 'number') {
+					nodes = budget.nodes;
+				}
+				if (typeof budget.time === 'number') {
+					deadline = Canvace.Timing.now() + budget.time;
+				}
+			}
+			for (var count = 0; !finished; count++) {
+				if (heap.isEmpty()) {
+					finished = true;
+				} else if (count && ((count >= nodes) || (Canvace.Timing.now() >= deadline))) {
+					return false;
+				} else {
+					expand();
+				}
+			}
+			return true;
+		};
+
+		/**
+		 * Indicates whether the search is finished, either because a path was
+		 * found or because the target node turned out to be unreachable.
+		 *
+		 * @method isFinished
+		 * @return {Boolean} `true` if the search is finished, `false`
+		 * otherwise.
+		 */
+		this.isFinished = function () {
+			return finished;
+		};
+
+		/**
+		 * Returns the computed path, in the same format used by
+		 * {{#crossLink "Canvace.Astar/findPath"}}{{/crossLink}}.
+		 *
+		 * @method getPath
+		 * @return {String[]} An array of edge labels that identify the edges
+		 * that form the computed path, or `null` if the search is not finished
+		 * yet or no path exists.
+		 */
+		this.getPath = function () {
+			return path;
+		};
+
+		/**
+		 * Returns the number of nodes expanded by the search so far.
+		 *
+		 * @method getExpandedCount
+		 * @return {Number} The number of expanded nodes.
+		 */
+		this.getExpandedCount = function () {
+			return expanded;
+		};
+	}
+
+	/**
+	 * Starts a resumable search for a path between two nodes of a graph.
+	 *
+	 * The graph is specified exactly like for
+	 * {{#crossLink "Canvace.Astar/findPath"}}{{/crossLink}}, but no node is
+	 * expanded until the
+	 * {{#crossLink "Canvace.Astar.Search/run"}}{{/crossLink}} method of the
+	 * returned object is called.
+	 *
+	 * @method search
+	 * @for Canvace.Astar
+	 * @param startNode {Canvace.Astar.Node} The starting node.
+	 * @return {Canvace.Astar.Search} The search object.
+	 */
+	this.search = function (startNode) {
+		return new Search(startNode);
+	};
+
+	/**
+	 * Finds a path between two nodes of a graph. A path is always found if one
+	 * exists, otherwise `null` is returned.
+	 *
+	 * The found path is always _admissible_, which means its cost is either
+	 * optimal (the least possible one) or is at most `1 + epsilon` times the
+	 * optimal one, where `epsilon` is the parameter specified to the
+	 * {{#crossLink "Canvace.Astar"}}{{/crossLink}} constructor.
+	 *
+	 * `startNode` is an
+	 * {{#crossLink "Canvace.Astar.Node"}}Astar.Node{{/crossLink}}-like object
+	 * representing the first node of the path to find;
+	 * _{{#crossLink "Canvace.Astar.Node"}}Astar.Node{{/crossLink}}-like_ means
+	 * it has to provide the same properties and methods described by the
+	 * documentation of the
+	 * {{#crossLink "Canvace.Astar.Node"}}Astar.Node{{/crossLink}} pseudo-class.
+	 *
+	 * The target node is identified when the estimated distance from it,
+	 * provided by each node, is zero; the algorithm stops when this happens.
+	 *
+	 * {{#crossLink "Canvace.Astar.Node"}}Astar.Node{{/crossLink}} objects allow
+	 * to specify a directed graph with weighted and labeled edges. Edge weights
+	 * are real numbers and are used to compute the cost of a path. Edge labels
+	 * are strings and are used when describing the computed path as an array of
+	 * edges to walk.
+	 *
+	 * The computed path, if one exists, is returned as an array of strings.
+	 * `null` is returned if the target node is unreachable from the start node.
+	 *
+	 * This method runs synchronously until the search is complete; use
+	 * {{#crossLink "Canvace.Astar/search"}}{{/crossLink}} or a
+	 * {{#crossLink "Canvace.PathQueue"}}{{/crossLink}} to spread long searches
+	 * across several frames.
+	 *
+	 * @method findPath
+	 * @param startNode {Canvace.Astar.Node} The starting node.
+	 * @return {String[]} An array of edge labels that identify the edges that
+	 * form the computed path, or `null` if no path can be found.
+	 */
+	this.findPath = function (startNode) {
+		var search = new Search(startNode);
+		search.run();
+		return search.getPath();
 	};
 };
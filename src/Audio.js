@@ -23,6 +23,10 @@
  * control them. It uses WebAudio where available, and will default to
  * `HTMLAudioElement` otherwise.
  *
+ * All the sounds are played through the
+ * {{#crossLink "Canvace.Mixer"}}Mixer{{/crossLink}}, which controls their
+ * volume by bus.
+ *
  * @class Canvace.Audio
  * @constructor
  */
@@ -37,9 +41,21 @@ Canvace.Audio = function () {
 		}());
 	};
 
-	var AudioContext = Canvace.Polyfill.getPrefixedConstructor('AudioContext');
+	var context = Canvace.Mixer.getContext();
 	var audioElement = createAudioElement();
 
+	function checkVolume(value) {
+		if ((typeof value !== 'number') || (value < 0)) {
+			throw 'the volume must be a non-negative number';
+		}
+	}
+
+	function checkPan(value) {
+		if ((typeof value !== 'number') || (value < -1) || (value > 1)) {
+			throw 'the pan must be a number between -1 and 1';
+		}
+	}
+
 	/**
 	 * Tries to load the requested audio resource.
 	 *
@@ -91,9 +107,7 @@ Canvace.Audio = function () {
 
 	var SourceNode;
 
-	if (typeof AudioContext !== 'undefined') {
-		var context = new AudioContext();
-
+	if (context !== null) {
 		/**
 		 * This class represents a sound resource that the browser is capable
 		 * of playing.
@@ -112,14 +126,46 @@ Canvace.Audio = function () {
 		 *
 		 * @class Canvace.Audio.SourceNode
 		 */
-		SourceNode = function (source, onload, onerror) {
+		SourceNode = function (source, onload, onerror, segment) {
 			var thisObject = this;
 			var currentTime = 0;
 			var noteOnAt = 0;
 			var looping = false;
 			var loaded = false;
 			var sourceNode;
+			var gainNode = null;
+			var pannerNode = null;
 			var bufferData;
+			var volume = 1;
+			var pan = 0;
+			var bus = Canvace.Mixer.defaultBus;
+			var playing = false;
+			var removePlayback = null;
+
+			function setPlaying(value) {
+				playing = value;
+				if (removePlayback !== null) {
+					removePlayback();
+					removePlayback = null;
+				}
+				if (value) {
+					removePlayback = Canvace.Mixer.getBus(bus).addPlayback(thisObject);
+				}
+			}
+
+			var offset = segment ? segment.start : 0;
+
+			function getLength() {
+				return (segment ? segment.end : bufferData.duration) - offset;
+			}
+
+			function updatePan() {
+				if (pannerNode.pan) {
+					pannerNode.pan.value = pan;
+				} else {
+					pannerNode.setPosition(pan, 0, 1 - Math.abs(pan));
+				}
+			}
 
 			/**
 			 * Plays the associated sound resource, resuming from the last
@@ -133,14 +179,46 @@ Canvace.Audio = function () {
 					sourceNode = context.createBufferSource();
 					sourceNode.buffer = bufferData;
 					sourceNode.loop = looping;
-					sourceNode.connect(context.destination);
+					sourceNode.loopStart = offset;
+					sourceNode.loopEnd = offset + getLength();
 
-					var remaining = (bufferData.duration - currentTime);
+					var source = sourceNode;
+					var gain = context.createGain ? context.createGain() : context.createGainNode();
+					var panner;
+					if (context.createStereoPanner) {
+						panner = context.createStereoPanner();
+					} else {
+						panner = context.createPanner();
+						panner.panningModel = 'equalpower';
+					}
+					gain.gain.value = volume;
+					source.connect(gain);
+					gain.connect(panner);
+					panner.connect(Canvace.Mixer.getBus(bus).getNode());
+					source.onended = function () {
+						gain.disconnect();
+						panner.disconnect();
+						if (source === sourceNode) {
+							setPlaying(false);
+						}
+					};
+					gainNode = gain;
+					pannerNode = panner;
+					updatePan();
+					setPlaying(true);
+
+					var remaining = (getLength() - currentTime);
 					noteOnAt = context.currentTime;
 					if (sourceNode.start) {
-						sourceNode.start(0, currentTime, remaining);
+						// looping sources must not be given a duration,
+						// otherwise they stop after it
+						if (looping) {
+							sourceNode.start(0, offset + currentTime);
+						} else {
+							sourceNode.start(0, offset + currentTime, remaining);
+						}
 					} else if (sourceNode.noteGrainOn) {
-						sourceNode.noteGrainOn(0, currentTime, remaining);
+						sourceNode.noteGrainOn(0, offset + currentTime, remaining);
 					}
 				}
 				return thisObject;
@@ -160,8 +238,11 @@ Canvace.Audio = function () {
 						sourceNode.noteOff(0);
 					}
 					sourceNode.disconnect();
+					gainNode.disconnect();
+					pannerNode.disconnect();
+					setPlaying(false);
 
-					currentTime += (context.currentTime - noteOnAt) % bufferData.duration;
+					currentTime = (currentTime + context.currentTime - noteOnAt) % getLength();
 				}
 				return thisObject;
 			};
@@ -179,11 +260,76 @@ Canvace.Audio = function () {
 			 * @return {Canvace.Audio.SourceNode} The clone of this instance.
 			 */
 			this.clone = function () {
-				var clone = new SourceNode(bufferData);
-				clone.setLooping(looping);
+				var clone = new SourceNode(bufferData, null, null, segment);
+				clone.setLooping(looping).setVolume(volume).setPan(pan).setBus(bus);
 				return clone;
 			};
 
+			/**
+			 * Indicates whether the sound is currently being played, that is
+			 * whether it has been played and has neither been paused nor
+			 * reached its end.
+			 *
+			 * @method isPlaying
+			 * @return {Boolean} `true` if the sound is playing, `false`
+			 * otherwise.
+			 */
+			this.isPlaying = function () {
+				return playing;
+			};
+
+			/**
+			 * Returns the duration of the sound resource.
+			 *
+			 * @method getDuration
+			 * @return {Number} The duration in seconds, or `null` if it is not
+			 * known yet because the resource has not been loaded.
+			 */
+			this.getDuration = function () {
+				return bufferData ? getLength() : null;
+			};
+
+			/**
+			 * Returns the current playback position.
+			 *
+			 * @method getCurrentTime
+			 * @return {Number} The position in seconds from the beginning of
+			 * the sound resource.
+			 */
+			this.getCurrentTime = function () {
+				if (playing) {
+					return (currentTime + context.currentTime - noteOnAt) % getLength();
+				} else {
+					return currentTime;
+				}
+			};
+
+			/**
+			 * Returns a new
+			 * {{#crossLink "Canvace.Audio.SourceNode"}}SourceNode{{/crossLink}}
+			 * that plays only the specified segment of this sound, e.g. one of
+			 * the sounds of an audio sprite. The segment shares the sound
+			 * resource with this node, which must have completed loading, and
+			 * has the same flags applied.
+			 *
+			 * Clones of the returned node play the same segment.
+			 *
+			 * @method getSegment
+			 * @param start {Number} The start of the segment in seconds,
+			 * relative to the beginning of this sound.
+			 * @param end {Number} The end of the segment in seconds, relative
+			 * to the beginning of this sound.
+			 * @return {Canvace.Audio.SourceNode} The new node.
+			 */
+			this.getSegment = function (start, end) {
+				var node = new SourceNode(bufferData, null, null, {
+					start: offset + start,
+					end: offset + end
+				});
+				node.setLooping(looping).setVolume(volume).setPan(pan).setBus(bus);
+				return node;
+			};
+
 			/**
 			 * Indicates whether the associated sound resource has completed
 			 * loading.
@@ -213,8 +359,100 @@ Canvace.Audio = function () {
 				return thisObject;
 			};
 
+			/**
+			 * Returns the volume of this sound.
+			 *
+			 * @method getVolume
+			 * @return {Number} The volume, initially 1.
+			 */
+			this.getVolume = function () {
+				return volume;
+			};
+
+			/**
+			 * Sets the volume of this sound, which is applied on top of the
+			 * volume of its bus (see
+			 * {{#crossLink "Canvace.Mixer"}}Mixer{{/crossLink}}). The change
+			 * affects the current playback, if any.
+			 *
+			 * @method setVolume
+			 * @param value {Number} The new volume, a non-negative number: 0
+			 * means silence and 1 means the original volume.
+			 * @chainable
+			 */
+			this.setVolume = function (value) {
+				checkVolume(value);
+				volume = value;
+				if (gainNode !== null) {
+					gainNode.gain.value = value;
+				}
+				return thisObject;
+			};
+
+			/**
+			 * Returns the name of the mixer bus this sound is played through.
+			 *
+			 * @method getBus
+			 * @return {String} The name of the bus, initially
+			 * {{#crossLink "Canvace.Mixer/defaultBus"}}Mixer.defaultBus{{/crossLink}}.
+			 */
+			this.getBus = function () {
+				return bus;
+			};
+
+			/**
+			 * Sets the mixer bus this sound is played through. The change
+			 * affects the current playback, if any.
+			 *
+			 * @method setBus
+			 * @param name {String} The name of the bus (see
+			 * {{#crossLink "Canvace.Mixer/getBus"}}Mixer.getBus{{/crossLink}}).
+			 * @chainable
+			 */
+			this.setBus = function (name) {
+				bus = name;
+				if (pannerNode !== null) {
+					pannerNode.disconnect();
+					pannerNode.connect(Canvace.Mixer.getBus(bus).getNode());
+				}
+				if (playing) {
+					setPlaying(true);
+				}
+				return thisObject;
+			};
+
+			/**
+			 * Returns the stereo pan of this sound.
+			 *
+			 * @method getPan
+			 * @return {Number} The pan, initially 0.
+			 */
+			this.getPan = function () {
+				return pan;
+			};
+
+			/**
+			 * Sets the stereo pan of this sound, from -1 (left) to 1 (right).
+			 * The change affects the current playback, if any.
+			 *
+			 * The pan is ignored where WebAudio is not available.
+			 *
+			 * @method setPan
+			 * @param value {Number} The new pan, between -1 and 1.
+			 * @chainable
+			 */
+			this.setPan = function (value) {
+				checkPan(value);
+				pan = value;
+				if (pannerNode !== null) {
+					updatePan();
+				}
+				return thisObject;
+			};
+
 			if (typeof source !== 'string') {
 				bufferData = source;
+				loaded = !!source;
 				return this;
 			}
 
@@ -247,38 +485,174 @@ Canvace.Audio = function () {
 			return this;
 		};
 	} else if (typeof audioElement !== 'undefined') {
-		SourceNode = function (source, onload, onerror) {
+		SourceNode = function (source, onload, onerror, segment) {
 			var thisObject = this;
 			var appended = false;
 			var loaded = false;
 			var context;
+			var volume = 1;
+			var pan = 0;
+			var bus = Canvace.Mixer.defaultBus;
+			var removeBusHandler = null;
+			var removePlayback = null;
+
+			// segments are looped and stopped manually by a timer, because
+			// the element can only loop over the whole resource
+			var segmentLooping = false;
+			var segmentTimer = null;
+
+			function updateVolume() {
+				context.volume = Math.min(1, volume * Canvace.Mixer.getBus(bus).getEffectiveVolume());
+			}
+
+			// the bus is observed only during playback, so that idle nodes
+			// can be garbage collected
+			function stopObservingBus() {
+				if (removeBusHandler !== null) {
+					removeBusHandler();
+					removePlayback();
+					removeBusHandler = null;
+					removePlayback = null;
+				}
+			}
+
+			function observeBus() {
+				stopObservingBus();
+				removeBusHandler = Canvace.Mixer.getBus(bus).onChange(updateVolume);
+				removePlayback = Canvace.Mixer.getBus(bus).addPlayback(thisObject);
+				updateVolume();
+			}
+
+			function clearSegmentTimer() {
+				if (segmentTimer !== null) {
+					clearTimeout(segmentTimer);
+					segmentTimer = null;
+				}
+			}
+
+			function scheduleSegmentEnd() {
+				clearSegmentTimer();
+				segmentTimer = setTimeout(function () {
+					segmentTimer = null;
+					if (segmentLooping) {
+						context.currentTime = segment.start;
+						scheduleSegmentEnd();
+					} else {
+						context.pause();
+						context.currentTime = segment.start;
+						if (appended) {
+							document.body.removeChild(context);
+							appended = false;
+						}
+						stopObservingBus();
+					}
+				}, Math.max(0, (segment.end - context.currentTime) * 1000));
+			}
 
 			this.play = function () {
 				if (!appended) {
 					document.body.appendChild(context);
 					appended = true;
 				}
+				observeBus();
+				if (segment && ((context.currentTime < segment.start) || (context.currentTime >= segment.end))) {
+					context.currentTime = segment.start;
+				}
 				context.play();
+				if (segment) {
+					scheduleSegmentEnd();
+				}
 				return thisObject;
 			};
 
 			this.pause = function () {
 				context.pause();
+				clearSegmentTimer();
+				stopObservingBus();
 				return thisObject;
 			};
 
 			this.clone = function () {
-				var clone = new SourceNode(context.cloneNode(true));
-				clone.setLooping(context.loop);
+				var clone = new SourceNode(context.cloneNode(true), null, null, segment);
+				clone.setLooping(segment ? segmentLooping : context.loop).setVolume(volume).setPan(pan).setBus(bus);
 				return clone;
 			};
 
+			this.getSegment = function (start, end) {
+				var offset = segment ? segment.start : 0;
+				var node = new SourceNode(context.cloneNode(true), null, null, {
+					start: offset + start,
+					end: offset + end
+				});
+				node.setLooping(segment ? segmentLooping : context.loop).setVolume(volume).setPan(pan).setBus(bus);
+				return node;
+			};
+
+			this.isPlaying = function () {
+				return !context.paused && !context.ended;
+			};
+
+			this.getDuration = function () {
+				if (segment) {
+					return segment.end - segment.start;
+				} else {
+					return isFinite(context.duration) ? context.duration : null;
+				}
+			};
+
+			this.getCurrentTime = function () {
+				if (segment) {
+					return Math.max(0, context.currentTime - segment.start);
+				} else {
+					return context.currentTime;
+				}
+			};
+
+			this.getVolume = function () {
+				return volume;
+			};
+
+			this.setVolume = function (value) {
+				checkVolume(value);
+				volume = value;
+				updateVolume();
+				return thisObject;
+			};
+
+			this.getBus = function () {
+				return bus;
+			};
+
+			this.setBus = function (name) {
+				bus = name;
+				if (removeBusHandler !== null) {
+					observeBus();
+				} else {
+					updateVolume();
+				}
+				return thisObject;
+			};
+
+			this.getPan = function () {
+				return pan;
+			};
+
+			this.setPan = function (value) {
+				checkPan(value);
+				pan = value;
+				return thisObject;
+			};
+
 			this.isLoaded = function () {
 				return loaded;
 			};
 
 			this.setLooping = function (shouldLoop) {
-				context.loop = (!!shouldLoop);
+				if (segment) {
+					segmentLooping = !!shouldLoop;
+				} else {
+					context.loop = (!!shouldLoop);
+				}
 				return thisObject;
 			};
 
@@ -318,6 +692,7 @@ Canvace.Audio = function () {
 				if (appended && !context.loop) {
 					document.body.removeChild(context);
 					appended = false;
+					stopObservingBus();
 				}
 			}, false);
 			return this;
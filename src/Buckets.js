@@ -156,6 +156,22 @@ Canvace.Buckets = function (view, data) {
 	MockElement.prototype.updatePosition = function () {};
 	MockElement.prototype.remove = function () {};
 	MockElement.prototype.replace = function () {};
+	MockElement.prototype.playAnimation = function () {};
+	MockElement.prototype.getAnimation = function () {
+		return null;
+	};
+	MockElement.prototype.pauseAnimation = function () {};
+	MockElement.prototype.resumeAnimation = function () {};
+	MockElement.prototype.isAnimationPaused = function () {
+		return false;
+	};
+	MockElement.prototype.setAnimationSpeed = function () {};
+	MockElement.prototype.getAnimationSpeed = function () {
+		return 1;
+	};
+	MockElement.prototype.isAnimationOver = function () {
+		return true;
+	};
 
 	/*
 	 * XXX the `Element` inner class is documented as it were named `Entity`
@@ -172,17 +188,31 @@ Canvace.Buckets = function (view, data) {
 	 *
 	 * @class Canvace.Buckets.Entity
 	 */
-	function Element(element, animation, i, j, k) {
+	function Element(element, animation, i, j, k, clips) {
 		if (!element.frames.length) {
 			return new MockElement();
 		}
 
 		this.element = element;
 		this.animation = animation;
+		this.defaultAnimation = animation;
+		this.clips = clips || {};
+		this.clip = null;
 		this.i = i;
 		this.j = j;
 		this.k = k;
 
+		this.speed = 1;
+		this.paused = false;
+		this.baseTime = 0;
+		this.startTime = Canvace.Timing.now();
+
+		var thisElement = this;
+		this.getFrame = function (timestamp) {
+			return thisElement.animation(thisElement.getAnimationTime(timestamp));
+		};
+		this.getFrame.static = animation.static;
+
 		this.p = view.projectElement(this.element, this.i, this.j, this.k);
 		this.bi = Math.floor(this.p[1] / height);
 		this.bj = Math.floor(this.p[0] / width);
@@ -190,17 +220,23 @@ Canvace.Buckets = function (view, data) {
 		this.removers = [];
 		this.removed = false;
 
-		this.timeOffset = Canvace.Timing.now();
-
 		this.addToBuckets();
 	}
 
 	Element.prototype.addToBucket = function (i, j) {
 		this.removers.push(getBucket(i, j).add(
-			this.p, this.element.width, this.element.height, this.animation, this.timeOffset
+			this.p, this.element.width, this.element.height, this.getFrame, 0
 			));
 	};
 
+	Element.prototype.getAnimationTime = function (timestamp) {
+		if (this.paused) {
+			return this.baseTime;
+		} else {
+			return this.baseTime + (timestamp - this.startTime) * this.speed;
+		}
+	};
+
 	Element.prototype.addToBuckets = function () {
 		this.addToBucket(this.bi, this.bj);
 		var bi1 = Math.floor((this.p[1] + this.element.height) / height);
@@ -355,10 +391,133 @@ Canvace.Buckets = function (view, data) {
 
 			var animation = frameTable.getEntityAnimation(id);
 			animation.static = false;
-			return new Element(entity, animation, this.i, this.j, this.k);
+			return new Element(entity, animation, this.i, this.j, this.k, frameTable.getEntityClips(id));
+		}
+	};
+
+	/**
+	 * Plays one of the named animations declared in the `animations` field of
+	 * the entity descriptor, from its first frame. If `name` is `null` or
+	 * omitted the entity's default animation (the one described by the
+	 * `frames` field) is played instead.
+	 *
+	 * The animation keeps its current speed but is resumed if it was paused.
+	 *
+	 * An exception is thrown if the entity does not declare an animation with
+	 * the specified name.
+	 *
+	 * @method playAnimation
+	 * @param [name] {String} The name of the animation to play.
+	 */
+	Element.prototype.playAnimation = function (name) {
+		if ((typeof name === 'undefined') || (name === null)) {
+			this.animation = this.defaultAnimation;
+			this.clip = null;
+		} else if (this.clips.hasOwnProperty(name)) {
+			this.animation = this.clips[name];
+			this.clip = name;
+		} else {
+			throw {
+				message: 'invalid animation name',
+				name: name
+			};
+		}
+		this.paused = false;
+		this.baseTime = 0;
+		this.startTime = Canvace.Timing.now();
+	};
+
+	/**
+	 * Returns the name of the animation being played, or `null` if the
+	 * entity's default animation is being played.
+	 *
+	 * @method getAnimation
+	 * @return {String} The name of the current animation, or `null`.
+	 */
+	Element.prototype.getAnimation = function () {
+		return this.clip;
+	};
+
+	/**
+	 * Pauses the animation of the entity, which keeps being rendered with the
+	 * current frame until `resumeAnimation` or `playAnimation` is called.
+	 *
+	 * @method pauseAnimation
+	 */
+	Element.prototype.pauseAnimation = function () {
+		if (!this.paused) {
+			this.baseTime = this.getAnimationTime(Canvace.Timing.now());
+			this.paused = true;
 		}
 	};
 
+	/**
+	 * Resumes the animation of the entity from the frame where it was paused.
+	 *
+	 * @method resumeAnimation
+	 */
+	Element.prototype.resumeAnimation = function () {
+		if (this.paused) {
+			this.startTime = Canvace.Timing.now();
+			this.paused = false;
+		}
+	};
+
+	/**
+	 * Indicates whether the animation of the entity is paused.
+	 *
+	 * @method isAnimationPaused
+	 * @return {Boolean} `true` if the animation is paused, `false` otherwise.
+	 */
+	Element.prototype.isAnimationPaused = function () {
+		return this.paused;
+	};
+
+	/**
+	 * Changes the speed of the animation of the entity. The speed is a
+	 * multiplier of the frame rate: 1 is the normal speed, 2 plays the
+	 * animation twice as fast and 0.5 twice as slow. The change does not make
+	 * the animation skip any frames.
+	 *
+	 * An exception is thrown if the specified speed is not a positive number.
+	 *
+	 * @method setAnimationSpeed
+	 * @param speed {Number} The new speed.
+	 */
+	Element.prototype.setAnimationSpeed = function (speed) {
+		if ((typeof speed !== 'number') || (speed <= 0)) {
+			throw 'The animation speed must be a positive number';
+		}
+		var timestamp = Canvace.Timing.now();
+		this.baseTime = this.getAnimationTime(timestamp);
+		this.startTime = timestamp;
+		this.speed = speed;
+	};
+
+	/**
+	 * Returns the speed of the animation of the entity. The initial speed is
+	 * 1.
+	 *
+	 * @method getAnimationSpeed
+	 * @return {Number} The current speed.
+	 */
+	Element.prototype.getAnimationSpeed = function () {
+		return this.speed;
+	};
+
+	/**
+	 * Indicates whether the current animation has reached its last frame. Only
+	 * non-looping animations, that is animations whose last frame does not
+	 * have a `duration`, can be over.
+	 *
+	 * @method isAnimationOver
+	 * @return {Boolean} `true` if the animation is over, `false` otherwise.
+	 */
+	Element.prototype.isAnimationOver = function () {
+		return !this.animation.looping &&
+			(this.getAnimationTime(Canvace.Timing.now()) >= this.animation.duration);
+	};
+
 	var eraser = new Canvace.Matrix();
 
 	function addTile(id, i, j, k) {
@@ -442,7 +601,7 @@ Canvace.Buckets = function (view, data) {
 		var entity = data.entities[id];
 		var animation = frameTable.getEntityAnimation(id);
 		animation.static = false;
-		return new Element(entity, animation, i, j, k);
+		return new Element(entity, animation, i, j, k, frameTable.getEntityClips(id));
 	};
 
 	/**
@@ -512,7 +671,8 @@ Canvace.Buckets = function (view, data) {
 
 	/**
 	 * Invokes the given callback function for each element within the
-	 * viewport.
+	 * viewport, taking into account its zoom factor and rotation angle (see
+	 * {{#crossLink "Canvace.View/getVisibleRectangle"}}{{/crossLink}}).
 	 *
 	 * For each enumerated element, the specified `action` callback function
 	 * receives the element's projected X coordinate, projected Y coordinate
@@ -529,35 +689,33 @@ Canvace.Buckets = function (view, data) {
 	 * current element (animations are taken into account).
 	 */
 	this.forEachElement = function (action) {
-		var origin = view.getOrigin();
-		var i = Math.floor(-origin.y / height);
-		var j = Math.floor(-origin.x / width);
-
-		var bucket1 = getBucket(i, j);
-		var bucket2 = getBucket(i, j + 1);
-		var bucket3 = getBucket(i + 1, j);
-		var bucket4 = getBucket(i + 1, j + 1);
-
-		var minS = Math.min(
-			bucket1.minS,
-			bucket2.minS,
-			bucket3.minS,
-			bucket4.minS
-			);
-		var maxS = Math.max(
-			bucket1.maxS,
-			bucket2.maxS,
-			bucket3.maxS,
-			bucket4.maxS
-			);
+		var visible = view.getVisibleRectangle();
+		var left = visible.x;
+		var top = visible.y;
+		var right = visible.x + visible.width;
+		var bottom = visible.y + visible.height;
+
+		var visibleBuckets = [];
+		var minS = 0;
+		var maxS = 0;
+		for (var i = Math.floor(top / height); i <= Math.floor(bottom / height); i++) {
+			for (var j = Math.floor(left / width); j <= Math.floor(right / width); j++) {
+				var key = i + ' ' + j;
+				if (buckets.hasOwnProperty(key)) {
+					visibleBuckets.push(buckets[key]);
+					minS = Math.min(minS, buckets[key].minS);
+					maxS = Math.max(maxS, buckets[key].maxS);
+				}
+			}
+		}
 
 		var timestamp = Canvace.Timing.now();
 
 		function yieldElement(element) {
-			if ((element.p[0] < -origin.x + width) &&
-				(element.p[1] < -origin.y + height) &&
-				(element.p[0] + element.width >= -origin.x) &&
-				(element.p[1] + element.height >= -origin.y))
+			if ((element.p[0] < right) &&
+				(element.p[1] < bottom) &&
+				(element.p[0] + element.width >= left) &&
+				(element.p[1] + element.height >= top))
 			{
 				var frame = element.getFrame(timestamp - element.timeOffset);
 				action(element.p[0], element.p[1], frame.id, frame.x, frame.y, frame.width, frame.height);
@@ -565,10 +723,9 @@ Canvace.Buckets = function (view, data) {
 		}
 
 		for (var s = minS; s <= maxS; s++) {
-			bucket1.enumerateSection(s, yieldElement);
-			bucket2.enumerateSection(s, yieldElement);
-			bucket3.enumerateSection(s, yieldElement);
-			bucket4.enumerateSection(s, yieldElement);
+			for (var index = 0; index < visibleBuckets.length; index++) {
+				visibleBuckets[index].enumerateSection(s, yieldElement);
+			}
 		}
 	};
 
@@ -0,0 +1,451 @@
+/*
+ *	Canvace's JavaScript Game Engine, canvace.js
+ *	Copyright (C) 2013  Canvace Srl  <http://www.canvace.com/>
+ *
+ *	Dual licensed under the MIT and GPLv3 licenses.
+ *
+ *	This program is free software: you can redistribute it and/or modify
+ *	it under the terms of the GNU General Public License as published by
+ *	the Free Software Foundation, either version 3 of the License, or
+ *	(at your option) any later version.
+ *
+ *	This program is distributed in the hope that it will be useful,
+ *	but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *	GNU General Public License for more details.
+ *
+ *	You should have received a copy of the GNU General Public License
+ *	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Implements hierarchical pathfinding (HPA*) over a grid of cells where all
+ * the moves have uniform costs.
+ *
+ * The grid is partitioned in square clusters. The entrances between adjacent
+ * clusters and the distances between the entrances of the same cluster are
+ * pre-processed and form an abstract graph which is much smaller than the
+ * grid: paths are first searched in the abstract graph and then refined by a
+ * search confined to the clusters traversed by the abstract path and to the
+ * clusters at its turns. The computed paths are the shortest ones within
+ * those clusters, but they are not always optimal: the abstract search only
+ * goes through a few transitions per entrance and may pick a sequence of
+ * clusters that a shorter path does not traverse. On cluttered maps they are
+ * usually within a few percent of the optimal length.
+ *
+ * The grid is described by the `walkable` predicate exactly like for
+ * {{#crossLink "Canvace.JumpPointSearch"}}{{/crossLink}}, and so are the
+ * allowed moves and their costs.
+ *
+ * Clusters are pre-processed the first time they are needed, or in advance by
+ * calling {{#crossLink "Canvace.ClusterGraph/build"}}{{/crossLink}}. When the
+ * walkability of a cell changes,
+ * {{#crossLink "Canvace.ClusterGraph/invalidate"}}{{/crossLink}} must be
+ * called so that only the affected clusters are pre-processed again.
+ *
+ * You do not usually need to instantiate this class directly, you can use the
+ * `hpa` strategy of
+ * {{#crossLink "Canvace.TileMap/findPath"}}TileMap.findPath{{/crossLink}},
+ * which keeps a `ClusterGraph` for each layer of the map and invalidates it
+ * when tiles are changed by
+ * {{#crossLink "Canvace.TileMap/putAt"}}TileMap.putAt{{/crossLink}}.
+ *
+ * @class Canvace.ClusterGraph
+ * @constructor
+ * @param walkable {Function} A predicate indicating whether the cell at the
+ * specified I and J coordinates is walkable.
+ * @param [clusterSize] {Number} The number of cells along each side of a
+ * cluster. Defaults to
+ * {{#crossLink "Canvace.ClusterGraph/defaultClusterSize:property"}}{{/crossLink}}.
+ */
+Canvace.ClusterGraph = function (walkable, clusterSize) {
+	if (typeof clusterSize !== 'number') {
+		clusterSize = Canvace.ClusterGraph.defaultClusterSize;
+	} else if (clusterSize < 1) {
+		throw 'the cluster size must be positive';
+	}
+
+	var astar = new Canvace.Astar();
+
+	// transitions between adjacent clusters, keyed by border
+	var borders = {};
+
+	// entrance cells and their distances, keyed by cluster
+	var clusters = {};
+
+	function distance(i, j, i1, j1) {
+		var di = Math.abs(i1 - i);
+		var dj = Math.abs(j1 - j);
+		return Math.SQRT2 * Math.min(di, dj) + Math.max(di, dj) - Math.min(di, dj);
+	}
+
+	function getCluster(i, j) {
+		return [Math.floor(i / clusterSize), Math.floor(j / clusterSize)];
+	}
+
+	function getClusterKey(i, j) {
+		return Math.floor(i / clusterSize) + ' ' + Math.floor(j / clusterSize);
+	}
+
+	/*
+	 * Enumerates the moves from the specified cell that do not leave the
+	 * specified area, a dictionary whose keys are the keys of the clusters
+	 * that compose it.
+	 */
+	function forEachMove(i, j, area, action) {
+		for (var di = -1; di <= 1; di++) {
+			for (var dj = -1; dj <= 1; dj++) {
+				var i1 = i + di;
+				var j1 = j + dj;
+				if ((di || dj) &&
+					area.hasOwnProperty(getClusterKey(i1, j1)) &&
+					walkable(i1, j1) && (!di || !dj || walkable(i, j1) && walkable(i1, j)))
+				{
+					action(i1, j1, (di && dj) ? Math.SQRT2 : 1);
+				}
+			}
+		}
+	}
+
+	/*
+	 * Computes the distances from the specified cell to all the cells of its
+	 * cluster reachable without leaving the cluster.
+	 */
+	function explore(i, j) {
+		var area = {};
+		area[getClusterKey(i, j)] = true;
+		var distances = {};
+		var heap = new Canvace.Heap(function (u, v) {
+			return u.distance - v.distance;
+		});
+		heap.push({
+			i: i,
+			j: j,
+			distance: 0
+		});
+		while (!heap.isEmpty()) {
+			var entry = heap.pop();
+			var key = entry.i + ' ' + entry.j;
+			if (!distances.hasOwnProperty(key)) {
+				distances[key] = entry.distance;
+				forEachMove(entry.i, entry.j, area, function (i, j, cost) {
+					if (!distances.hasOwnProperty(i + ' ' + j)) {
+						heap.push({
+							i: i,
+							j: j,
+							distance: entry.distance + cost
+						});
+					}
+				});
+			}
+		}
+		return distances;
+	}
+
+	/*
+	 * Finds a path between two cells without leaving the specified area (see
+	 * forEachMove).
+	 */
+	function findLocalPath(i, j, i1, j1, area) {
+		var path = astar.findPath((function makeNode(i, j) {
+			var distances = {};
+			var node = {
+				id: i + ' ' + j,
+				heuristic: distance(i, j, i1, j1),
+				neighbors: {},
+				distance: function (label) {
+					return distances[label];
+				}
+			};
+			forEachMove(i, j, area, function (i, j, cost) {
+				distances[i + ' ' + j] = cost;
+				node.neighbors[i + ' ' + j] = function () {
+					return makeNode(i, j);
+				};
+			});
+			return node;
+		}(i, j)));
+		if (null === path) {
+			return null;
+		}
+		return path.map(function (label) {
+			var cell = label.split(' ');
+			return {
+				i: parseInt(cell[0], 10),
+				j: parseInt(cell[1], 10)
+			};
+		});
+	}
+
+	/*
+	 * Returns the transitions across the border between the cluster (ci, cj)
+	 * and the next cluster along the I axis (if alongI is true) or the J axis.
+	 * Each transition is a pair of adjacent walkable cells, one per side.
+	 */
+	function getBorder(ci, cj, alongI) {
+		var key = ci + ' ' + cj + ' ' + (alongI ? 'i' : 'j');
+		if (!borders.hasOwnProperty(key)) {
+			var transitions = [];
+			var start = null;
+			var addEntrance = function (end) {
+				var offsets;
+				if (end - start < Canvace.ClusterGraph.maximumEntranceWidth) {
+					offsets = [Math.floor((start + end - 1) / 2)];
+				} else {
+					offsets = [start, end - 1];
+				}
+				offsets.forEach(function (offset) {
+					if (alongI) {
+						transitions.push([
+							[ci * clusterSize + clusterSize - 1, cj * clusterSize + offset],
+							[ci * clusterSize + clusterSize, cj * clusterSize + offset]
+						]);
+					} else {
+						transitions.push([
+							[ci * clusterSize + offset, cj * clusterSize + clusterSize - 1],
+							[ci * clusterSize + offset, cj * clusterSize + clusterSize]
+						]);
+					}
+				});
+				start = null;
+			};
+			for (var offset = 0; offset < clusterSize; offset++) {
+				var open;
+				if (alongI) {
+					open = walkable(ci * clusterSize + clusterSize - 1, cj * clusterSize + offset) &&
+						walkable(ci * clusterSize + clusterSize, cj * clusterSize + offset);
+				} else {
+					open = walkable(ci * clusterSize + offset, cj * clusterSize + clusterSize - 1) &&
+						walkable(ci * clusterSize + offset, cj * clusterSize + clusterSize);
+				}
+				if (open) {
+					if (null === start) {
+						start = offset;
+					}
+				} else if (null !== start) {
+					addEntrance(offset);
+				}
+			}
+			if (null !== start) {
+				addEntrance(clusterSize);
+			}
+			borders[key] = transitions;
+		}
+		return borders[key];
+	}
+
+	/*
+	 * Returns the transitions leaving the cluster (ci, cj), each one as a pair
+	 * whose first cell belongs to the cluster.
+	 */
+	function getTransitions(ci, cj) {
+		var transitions = getBorder(ci, cj, true).concat(getBorder(ci, cj, false));
+		getBorder(ci - 1, cj, true).concat(getBorder(ci, cj - 1, false)).forEach(function (transition) {
+			transitions.push([transition[1], transition[0]]);
+		});
+		return transitions;
+	}
+
+	function buildCluster(ci, cj) {
+		var key = ci + ' ' + cj;
+		if (!clusters.hasOwnProperty(key)) {
+			var cluster = {
+				exits: {},
+				edges: {}
+			};
+			getTransitions(ci, cj).forEach(function (transition) {
+				var key = transition[0].join(' ');
+				if (!cluster.exits.hasOwnProperty(key)) {
+					cluster.exits[key] = [];
+				}
+				cluster.exits[key].push(transition[1]);
+			});
+			for (var from in cluster.exits) {
+				if (cluster.exits.hasOwnProperty(from)) {
+					var cell = from.split(' ');
+					var distances = explore(parseInt(cell[0], 10), parseInt(cell[1], 10));
+					cluster.edges[from] = {};
+					for (var to in cluster.exits) {
+						if ((to !== from) && cluster.exits.hasOwnProperty(to) && distances.hasOwnProperty(to)) {
+							cluster.edges[from][to] = distances[to];
+						}
+					}
+				}
+			}
+			clusters[key] = cluster;
+		}
+		return clusters[key];
+	}
+
+	/**
+	 * Pre-processes the cluster containing the specified cell, unless it is
+	 * already up to date.
+	 *
+	 * @method build
+	 * @param i {Number} The I coordinate of the cell.
+	 * @param j {Number} The J coordinate of the cell.
+	 */
+	this.build = function (i, j) {
+		var cluster = getCluster(i, j);
+		buildCluster(cluster[0], cluster[1]);
+	};
+
+	/**
+	 * Notifies the graph that the walkability of the specified cell has
+	 * changed. The pre-processed data of the cluster containing the cell and
+	 * of its adjacent clusters is discarded and computed again when needed.
+	 *
+	 * @method invalidate
+	 * @param i {Number} The I coordinate of the cell.
+	 * @param j {Number} The J coordinate of the cell.
+	 */
+	this.invalidate = function (i, j) {
+		var cluster = getCluster(i, j);
+		var ci = cluster[0];
+		var cj = cluster[1];
+		delete borders[ci + ' ' + cj + ' i'];
+		delete borders[ci + ' ' + cj + ' j'];
+		delete borders[(ci - 1) + ' ' + cj + ' i'];
+		delete borders[ci + ' ' + (cj - 1) + ' j'];
+		delete clusters[ci + ' ' + cj];
+		delete clusters[(ci - 1) + ' ' + cj];
+		delete clusters[(ci + 1) + ' ' + cj];
+		delete clusters[ci + ' ' + (cj - 1)];
+		delete clusters[ci + ' ' + (cj + 1)];
+	};
+
+	/**
+	 * Finds a path between two cells of the grid.
+	 *
+	 * @method findPath
+	 * @param i {Number} The I coordinate of the starting cell.
+	 * @param j {Number} The J coordinate of the starting cell.
+	 * @param i1 {Number} The I coordinate of the target cell.
+	 * @param j1 {Number} The J coordinate of the target cell.
+	 * @return {Object[]} An array of objects containing the `i` and `j`
+	 * coordinates of the cells in the computed path, or `null` if no path can
+	 * be found. The starting cell is **not** included.
+	 */
+	this.findPath = function (i, j, i1, j1) {
+		if (!walkable(i1, j1)) {
+			return null;
+		}
+
+		var startCluster = getCluster(i, j);
+		var targetCluster = getCluster(i1, j1);
+		var startKey = i + ' ' + j;
+		var targetKey = i1 + ' ' + j1;
+		var area = {};
+		area[getClusterKey(i, j)] = true;
+
+		if ((startCluster[0] === targetCluster[0]) && (startCluster[1] === targetCluster[1])) {
+			var path = findLocalPath(i, j, i1, j1, area);
+			if (path) {
+				return path;
+			}
+		}
+
+		var startDistances = explore(i, j);
+		var targetDistances = explore(i1, j1);
+
+		var abstractPath = astar.findPath((function makeNode(key) {
+			var cell = key.split(' ').map(function (value) {
+				return parseInt(value, 10);
+			});
+			var cluster = getCluster(cell[0], cell[1]);
+			var distances = {};
+			var node = {
+				id: key,
+				heuristic: distance(cell[0], cell[1], i1, j1),
+				neighbors: {},
+				distance: function (label) {
+					return distances[label];
+				}
+			};
+			function connect(label, value) {
+				if (!distances.hasOwnProperty(label) || (value < distances[label])) {
+					distances[label] = value;
+					node.neighbors[label] = function () {
+						return makeNode(label);
+					};
+				}
+			}
+			var data = buildCluster(cluster[0], cluster[1]);
+			var to;
+			if (key === startKey) {
+				for (to in data.exits) {
+					if (data.exits.hasOwnProperty(to) && (to !== key) && startDistances.hasOwnProperty(to)) {
+						connect(to, startDistances[to]);
+					}
+				}
+			}
+			if (data.exits.hasOwnProperty(key)) {
+				data.exits[key].forEach(function (exit) {
+					connect(exit.join(' '), 1);
+				});
+				var edges = data.edges[key];
+				for (to in edges) {
+					if (edges.hasOwnProperty(to)) {
+						connect(to, edges[to]);
+					}
+				}
+			}
+			if ((cluster[0] === targetCluster[0]) && (cluster[1] === targetCluster[1]) &&
+				(key !== targetKey) && targetDistances.hasOwnProperty(key))
+			{
+				connect(targetKey, targetDistances[key]);
+			}
+			return node;
+		}(startKey)));
+
+		if (null === abstractPath) {
+			return null;
+		}
+
+		// rather than joining the shortest paths between consecutive nodes of
+		// the abstract path, which detour through the transitions, the path is
+		// refined by a search confined to the traversed clusters and to the
+		// clusters at the corners where the abstract path turns, so that the
+		// refined path can cut them
+		var corridor = [startCluster];
+		abstractPath.forEach(function (key) {
+			var cell = key.split(' ');
+			var cluster = getCluster(parseInt(cell[0], 10), parseInt(cell[1], 10));
+			var last = corridor[corridor.length - 1];
+			if ((cluster[0] !== last[0]) || (cluster[1] !== last[1])) {
+				corridor.push(cluster);
+			}
+		});
+		corridor.forEach(function (cluster, index) {
+			var other = corridor[Math.min(index + 2, corridor.length - 1)];
+			for (var ci = Math.min(cluster[0], other[0]); ci <= Math.max(cluster[0], other[0]); ci++) {
+				for (var cj = Math.min(cluster[1], other[1]); cj <= Math.max(cluster[1], other[1]); cj++) {
+					area[ci + ' ' + cj] = true;
+				}
+			}
+		});
+		return findLocalPath(i, j, i1, j1, area);
+	};
+};
+
+/**
+ * The default number of cells along each side of a cluster.
+ *
+ * @property defaultClusterSize
+ * @type Number
+ * @static
+ * @default 16
+ */
+Canvace.ClusterGraph.defaultClusterSize = 16;
+
+/**
+ * Entrances between adjacent clusters that are wider than this number of
+ * cells get two transitions, one at each end, rather than a single one in the
+ * middle.
+ *
+ * @property maximumEntranceWidth
+ * @type Number
+ * @static
+ * @default 6
+ */
+Canvace.ClusterGraph.maximumEntranceWidth = 6;
@@ -0,0 +1,279 @@
+/*
+ *	Canvace's JavaScript Game Engine, canvace.js
+ *	Copyright (C) 2013  Canvace Srl  <http://www.canvace.com/>
+ *
+ *	Dual licensed under the MIT and GPLv3 licenses.
+ *
+ *	This program is free software: you can redistribute it and/or modify
+ *	it under the terms of the GNU General Public License as published by
+ *	the Free Software Foundation, either version 3 of the License, or
+ *	(at your option) any later version.
+ *
+ *	This program is distributed in the hope that it will be useful,
+ *	but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *	GNU General Public License for more details.
+ *
+ *	You should have received a copy of the GNU General Public License
+ *	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Computes a flow field over a layer of a
+ * {{#crossLink "Canvace.TileMap"}}TileMap{{/crossLink}}, allowing any number
+ * of units to steer toward the same goals without running a separate search
+ * for each of them.
+ *
+ * The flow field is computed once from one or more goal cells and contains,
+ * for each cell that can reach a goal, the distance to the nearest goal and
+ * the direction to follow to get there. Units then only need to sample the
+ * field at their current cell, for example at each tick.
+ *
+ * Distances, walkability and allowed moves are the same as those of the graph
+ * returned by
+ * {{#crossLink "Canvace.TileMap/getGraphNode"}}TileMap.getGraphNode{{/crossLink}}:
+ * cells are connected to their eight neighbors, diagonal moves are only
+ * allowed when both the orthogonally adjacent cells are walkable, and the
+ * optional `options.cost` and `options.walkable` functions have the same
+ * meaning. Goal cells are part of the field even if they are not walkable.
+ *
+ * The field is not updated automatically when the map changes: call
+ * {{#crossLink "Canvace.FlowField/update"}}{{/crossLink}} when needed, for
+ * example from a
+ * {{#crossLink "Canvace.TileMap/onChange"}}TileMap.onChange{{/crossLink}}
+ * handler.
+ *
+ * @class Canvace.FlowField
+ * @constructor
+ * @param map {Canvace.TileMap} The tile map.
+ * @param k {Number} The layer of the map where the field is computed.
+ * @param goals {Object[]} An array of objects containing the `i` and `j`
+ * coordinates of the goal cells.
+ * @param [options] {Object} An optional dictionary of options.
+ * @param [options.cost] {Function} An optional function returning the cost
+ * of entering a tile, given its properties.
+ * @param [options.walkable] {Function} An optional predicate indicating
+ * whether a tile is walkable, given its solid flag and properties.
+ * @example
+ *	var field = new Canvace.FlowField(stage.getTileMap(), 0, [{
+ *		i: castle.i,
+ *		j: castle.j
+ *	}]);
+ *	stage.getTileMap().onChange(field.update);
+ *	loop.onBeforeTick(function () {
+ *		enemies.forEach(function (enemy) {
+ *			var position = enemy.getPosition();
+ *			var velocity = enemy.getVelocity();
+ *			var direction = field.getDirection(position.i, position.j);
+ *			if (direction) {
+ *				velocity.i = direction.i * speed;
+ *				velocity.j = direction.j * speed;
+ *			} else {
+ *				velocity.i = velocity.j = 0;
+ *			}
+ *		});
+ *	});
+ */
+Canvace.FlowField = function (map, k, goals, options) {
+	if (typeof options === 'undefined') {
+		options = {};
+	}
+
+	var isWalkable = options.walkable || function (solid) {
+		return !solid;
+	};
+	var getCost = options.cost || function () {
+		return 1;
+	};
+
+	var distances = {};
+	var nextCells = {};
+
+	function getTile(i, j) {
+		var id = map.getAt2(i, j, k, true);
+		if (id === false) {
+			return null;
+		} else {
+			return map.getTile(id);
+		}
+	}
+
+	function walkable(i, j) {
+		var tile = getTile(i, j);
+		return !!tile && isWalkable(tile.isSolid(), tile.getProperties());
+	}
+
+	/**
+	 * Computes the field again, taking into account the current state of the
+	 * map and the current goals.
+	 *
+	 * @method update
+	 */
+	this.update = function () {
+		var heap = new Canvace.Heap(function (u, v) {
+			return u.distance - v.distance;
+		});
+		distances = {};
+		nextCells = {};
+		goals.forEach(function (goal) {
+			heap.push({
+				i: goal.i,
+				j: goal.j,
+				distance: 0,
+				next: null
+			});
+		});
+		while (!heap.isEmpty()) {
+			var entry = heap.pop();
+			var key = entry.i + ' ' + entry.j;
+			if (!distances.hasOwnProperty(key)) {
+				distances[key] = entry.distance;
+				nextCells[key] = entry.next;
+				var tile = getTile(entry.i, entry.j);
+				var cost = tile ? getCost(tile.getProperties()) : 1;
+				for (var di = -1; di <= 1; di++) {
+					for (var dj = -1; dj <= 1; dj++) {
+						var i = entry.i + di;
+						var j = entry.j + dj;
+						if ((di || dj) && !distances.hasOwnProperty(i + ' ' + j) && walkable(i, j) &&
+							(!di || !dj || walkable(i, entry.j) && walkable(entry.i, j)))
+						{
+							heap.push({
+								i: i,
+								j: j,
+								distance: entry.distance + ((di && dj) ? Math.SQRT2 : 1) * cost,
+								next: {
+									i: entry.i,
+									j: entry.j
+								}
+							});
+						}
+					}
+				}
+			}
+		}
+	};
+
+	/**
+	 * Returns the goal cells.
+	 *
+	 * @method getGoals
+	 * @return {Object[]} An array of objects containing the `i` and `j`
+	 * coordinates of the goal cells.
+	 */
+	this.getGoals = function () {
+		return goals.map(function (goal) {
+			return {
+				i: goal.i,
+				j: goal.j
+			};
+		});
+	};
+
+	/**
+	 * Replaces the goal cells and computes the field again.
+	 *
+	 * @method setGoals
+	 * @param newGoals {Object[]} An array of objects containing the `i` and
+	 * `j` coordinates of the new goal cells.
+	 */
+	this.setGoals = function (newGoals) {
+		goals = newGoals;
+		this.update();
+	};
+
+	/**
+	 * Indicates whether a goal can be reached from the specified position.
+	 *
+	 * The coordinates do not need to be integer, the position is sampled at
+	 * the cell containing it.
+	 *
+	 * @method isReachable
+	 * @param i {Number} The I coordinate of the position.
+	 * @param j {Number} The J coordinate of the position.
+	 * @return {Boolean} `true` if a goal can be reached, `false` otherwise.
+	 */
+	this.isReachable = function (i, j) {
+		return distances.hasOwnProperty(Math.floor(i) + ' ' + Math.floor(j));
+	};
+
+	/**
+	 * Returns the cost of the shortest path from the specified position to
+	 * the nearest goal.
+	 *
+	 * The coordinates do not need to be integer, the position is sampled at
+	 * the cell containing it.
+	 *
+	 * @method getDistance
+	 * @param i {Number} The I coordinate of the position.
+	 * @param j {Number} The J coordinate of the position.
+	 * @return {Number} The distance, `0` if the position is in a goal cell or
+	 * `Infinity` if no goal can be reached.
+	 */
+	this.getDistance = function (i, j) {
+		var key = Math.floor(i) + ' ' + Math.floor(j);
+		if (distances.hasOwnProperty(key)) {
+			return distances[key];
+		} else {
+			return Infinity;
+		}
+	};
+
+	/**
+	 * Returns the next cell of the shortest path from the specified position
+	 * to the nearest goal.
+	 *
+	 * The coordinates do not need to be integer, the position is sampled at
+	 * the cell containing it.
+	 *
+	 * @method getNextCell
+	 * @param i {Number} The I coordinate of the position.
+	 * @param j {Number} The J coordinate of the position.
+	 * @return {Object} An object containing the `i` and `j` coordinates of
+	 * the next cell, or `null` if the position is in a goal cell or no goal
+	 * can be reached.
+	 */
+	this.getNextCell = function (i, j) {
+		var next = nextCells[Math.floor(i) + ' ' + Math.floor(j)];
+		if (next) {
+			return {
+				i: next.i,
+				j: next.j
+			};
+		} else {
+			return null;
+		}
+	};
+
+	/**
+	 * Returns the direction to follow from the specified position to walk
+	 * toward the nearest goal, as a vector of unit length pointing to the
+	 * next cell.
+	 *
+	 * The coordinates do not need to be integer, the position is sampled at
+	 * the cell containing it.
+	 *
+	 * @method getDirection
+	 * @param i {Number} The I coordinate of the position.
+	 * @param j {Number} The J coordinate of the position.
+	 * @return {Object} An object containing the `i` and `j` components of the
+	 * direction vector, or `null` if the position is in a goal cell or no
+	 * goal can be reached.
+	 */
+	this.getDirection = function (i, j) {
+		i = Math.floor(i);
+		j = Math.floor(j);
+		var next = nextCells[i + ' ' + j];
+		if (next) {
+			var length = ((next.i !== i) && (next.j !== j)) ? Math.SQRT2 : 1;
+			return {
+				i: (next.i - i) / length,
+				j: (next.j - j) / length
+			};
+		} else {
+			return null;
+		}
+	};
+
+	this.update();
+};
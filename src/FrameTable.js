@@ -21,6 +21,7 @@
 Canvace.FrameTable = function (data) {
 	var tileSet = {};
 	var entitySet = {};
+	var entityClips = {};
 
 	var table = {};
 	var nextId = 0;
@@ -44,6 +45,8 @@ Canvace.FrameTable = function (data) {
 				return frames[0];
 			};
 			animation.static = true;
+			animation.looping = (frames.length > 0) && frames[0].hasOwnProperty('duration');
+			animation.duration = animation.looping ? frames[0].duration : 0;
 			return animation;
 		} else {
 			var partialUnit = 0;
@@ -70,8 +73,10 @@ Canvace.FrameTable = function (data) {
 				unit = gcd(partialUnit, period);
 				var frameIndex = 0;
 				var frameTime = 0;
+				// each frame is shown for exactly its duration: the next one
+				// starts as soon as the current one has lasted that long
 				for (var time = 0; time < fullDuration; time += unit, frameTime += unit) {
-					if (frameTime > frames[frameIndex].duration) {
+					if (frameTime >= frames[frameIndex].duration) {
 						frameIndex++;
 						frameTime = 0;
 					}
@@ -98,6 +103,8 @@ Canvace.FrameTable = function (data) {
 				}
 			}());
 			animation.static = false;
+			animation.looping = looping;
+			animation.duration = fullDuration;
 			return animation;
 		}
 	}
@@ -112,7 +119,16 @@ Canvace.FrameTable = function (data) {
 
 	this.registerEntity = function (id) {
 		if (data.entities.hasOwnProperty(id)) {
-			table[entitySet[id] = nextId++] = new Animation(data.entities[id].frames);
+			var entity = data.entities[id];
+			table[entitySet[id] = nextId++] = new Animation(entity.frames);
+			entityClips[id] = {};
+			if (entity.animations) {
+				for (var name in entity.animations) {
+					if (entity.animations.hasOwnProperty(name)) {
+						entityClips[id][name] = new Animation(entity.animations[name]);
+					}
+				}
+			}
 		} else {
 			throw 'invalid entity ID: ' + id;
 		}
@@ -126,6 +142,10 @@ Canvace.FrameTable = function (data) {
 		return table[entitySet[entityId]];
 	};
 
+	this.getEntityClips = function (entityId) {
+		return entityClips[entityId];
+	};
+
 	this.synchronize = function (period) {
 		for (var i in synchronizers) {
 			if (synchronizers.hasOwnProperty(i)) {
@@ -0,0 +1,351 @@
+/*
+ *	Canvace's JavaScript Game Engine, canvace.js
+ *	Copyright (C) 2013  Canvace Srl  <http://www.canvace.com/>
+ *
+ *	Dual licensed under the MIT and GPLv3 licenses.
+ *
+ *	This program is free software: you can redistribute it and/or modify
+ *	it under the terms of the GNU General Public License as published by
+ *	the Free Software Foundation, either version 3 of the License, or
+ *	(at your option) any later version.
+ *
+ *	This program is distributed in the hope that it will be useful,
+ *	but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *	GNU General Public License for more details.
+ *
+ *	You should have received a copy of the GNU General Public License
+ *	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Helper class that eases cross-browser gamepad input management through the
+ * Gamepad API. Its interface mirrors the one of the
+ * {{#crossLink "Canvace.Keyboard"}}Keyboard{{/crossLink}} class, buttons
+ * being identified by their indices in the standard gamepad layout rather
+ * than by key codes.
+ *
+ * The Gamepad API does not deliver events about buttons and axes, so the
+ * state of the gamepad must be polled. `Gamepad` objects are automatically
+ * polled once per frame by any running
+ * {{#crossLink "Canvace.RenderLoop"}}RenderLoop{{/crossLink}}, right before
+ * the stage is ticked; if you do not use a `RenderLoop` you need to call the
+ * {{#crossLink "Canvace.Gamepad/poll"}}{{/crossLink}} method yourself.
+ * Handlers are invoked while polling.
+ *
+ * When a `Gamepad` object is not needed any more, call its
+ * {{#crossLink "Canvace.Gamepad/release"}}{{/crossLink}} method so that it is
+ * not polled any more.
+ *
+ * @class Canvace.Gamepad
+ * @constructor
+ * @param [index=0] {Number} The index of the gamepad among the ones connected
+ * to the system, as assigned by the browser.
+ * @param [settings] {Object} An optional dictionary of settings.
+ * @param [settings.deadZone=Canvace.Gamepad.defaultDeadZone] {Number} The
+ * dead zone of the axes: axis values whose absolute value is smaller than
+ * this are reported as 0, and the remaining range is rescaled so that axis
+ * values still span the whole `[-1, 1]` range.
+ * @param [settings.threshold=Canvace.Gamepad.defaultThreshold] {Number} The
+ * value an analog button (such as a trigger) must reach to be considered
+ * pressed.
+ * @example
+ *	var gamepad = new Canvace.Gamepad();
+ *	gamepad.onButtonDown(0, function () {
+ *		hero.jump();
+ *	});
+ *	// inside the tick callback of the render loop
+ *	hero.getVelocity().i = gamepad.getAxis(0) * speed;
+ */
+Canvace.Gamepad = (function () {
+	var gamepads = new Canvace.MultiSet();
+
+	function getGamepads() {
+		var getter = Canvace.Polyfill.getPrefixedProperty(navigator, 'getGamepads');
+		if (typeof getter === 'function') {
+			return getter() || [];
+		} else {
+			return [];
+		}
+	}
+
+	function Gamepad(index, settings) {
+		if (typeof index === 'undefined') {
+			index = 0;
+		}
+		if (typeof settings === 'undefined') {
+			settings = {};
+		}
+		var deadZone  = ('deadZone' in settings)  ? settings.deadZone  : Canvace.Gamepad.defaultDeadZone;
+		var threshold = ('threshold' in settings) ? settings.threshold : Canvace.Gamepad.defaultThreshold;
+
+		function Handlers() {
+			var handlers = {};
+			function register(button, handler) {
+				if (!(button in handlers)) {
+					handlers[button] = new Canvace.MultiSet();
+				}
+				return handlers[button].add(handler || function () {});
+			}
+			this.register = function (button, handler) {
+				if (typeof button === 'number') {
+					return register(button, handler);
+				} else {
+					var removers = [];
+					for (var i in button) {
+						if (button.hasOwnProperty(i)) {
+							removers.push(register(button[i], handler));
+						}
+					}
+					return function () {
+						for (var i in removers) {
+							if (removers.hasOwnProperty(i)) {
+								removers[i]();
+							}
+						}
+					};
+				}
+			};
+			this.fire = function (button) {
+				if (button in handlers) {
+					handlers[button].fastForEach(function (handler) {
+						handler(button);
+					});
+				}
+			};
+		}
+
+		var connected = false;
+		var buttons = {};
+		var axes = [];
+		var buttonDownHandlers = new Handlers();
+		var buttonUpHandlers = new Handlers();
+
+		function isPressed(button) {
+			if (typeof button === 'number') {
+				return button >= threshold;
+			} else {
+				return button.pressed || (button.value >= threshold);
+			}
+		}
+
+		function applyDeadZone(value) {
+			if (Math.abs(value) < deadZone) {
+				return 0;
+			} else {
+				return (value - (value > 0 ? deadZone : -deadZone)) / (1 - deadZone);
+			}
+		}
+
+		/**
+		 * Reads the current state of the gamepad, invoking the handlers of the
+		 * buttons that have been pressed or released since the last poll.
+		 *
+		 * If the gamepad is disconnected, all its buttons are considered
+		 * released and all its axes are reported as 0.
+		 *
+		 * @method poll
+		 */
+		this.poll = function () {
+			var gamepad = getGamepads()[index];
+			connected = !!gamepad && (gamepad.connected !== false);
+			var pressed = {};
+			var i;
+			if (connected) {
+				for (i = 0; i < gamepad.buttons.length; i++) {
+					if (isPressed(gamepad.buttons[i])) {
+						pressed[i] = true;
+					}
+				}
+				axes = [];
+				for (i = 0; i < gamepad.axes.length; i++) {
+					axes.push(applyDeadZone(gamepad.axes[i]));
+				}
+			} else {
+				axes = [];
+			}
+			var previous = buttons;
+			buttons = pressed;
+			for (i in previous) {
+				if (previous.hasOwnProperty(i) && !pressed.hasOwnProperty(i)) {
+					buttonUpHandlers.fire(parseInt(i, 10));
+				}
+			}
+			for (i in pressed) {
+				if (pressed.hasOwnProperty(i) && !previous.hasOwnProperty(i)) {
+					buttonDownHandlers.fire(parseInt(i, 10));
+				}
+			}
+		};
+
+		/**
+		 * Indicates whether the gamepad was connected at the last poll.
+		 *
+		 * @method isConnected
+		 * @return {Boolean} `true` if the gamepad is connected, `false`
+		 * otherwise.
+		 */
+		this.isConnected = function () {
+			return connected;
+		};
+
+		/**
+		 * Indicates whether the specified button is currently pressed.
+		 *
+		 * @method isButtonDown
+		 * @param button {Number} The index of the button to test.
+		 * @return {Boolean} `true` if the specified button is currently
+		 * pressed, `false` otherwise.
+		 */
+		this.isButtonDown = function (button) {
+			return button in buttons;
+		};
+
+		/**
+		 * Indicates whether the specified buttons are currently pressed. This
+		 * method accepts any number of arguments and each argument is a button
+		 * index.
+		 *
+		 * @method areButtonsDown
+		 * @param [buttons]* {Number} Any number of button indices.
+		 * @return {Boolean} `false` if any of the specified buttons is not
+		 * currently pressed, `true` otherwise. If no buttons are specified
+		 * `true` is returned.
+		 */
+		this.areButtonsDown = function () {
+			for (var i in arguments) {
+				if (!buttons[arguments[i]]) {
+					return false;
+				}
+			}
+			return true;
+		};
+
+		/**
+		 * Returns the current value of the specified axis, with the dead zone
+		 * applied. Values range from -1 (left or up) to 1 (right or down).
+		 *
+		 * @method getAxis
+		 * @param axis {Number} The index of the axis.
+		 * @return {Number} The axis value, or 0 if the gamepad is not
+		 * connected or has no such axis.
+		 */
+		this.getAxis = function (axis) {
+			return axes[axis] || 0;
+		};
+
+		/**
+		 * Registers a button handler that gets called when the specified
+		 * button or buttons are pressed.
+		 *
+		 * This method returns a function that unregisters the registered
+		 * handler. The returned function does not receive any arguments, does
+		 * not return anything and is idempotent: it does not have any effects
+		 * when called again after the first time.
+		 *
+		 * The same event handler can be registered more than once, in which
+		 * case it actually gets called more than once each time the event
+		 * occurs.
+		 *
+		 * @method onButtonDown
+		 * @param button {Mixed} The index of the button or an array of button
+		 * indices.
+		 * @param [handler] {Function} A user-defined function that gets called
+		 * when the event occurs. It receives one argument, the button index.
+		 *
+		 * When not specified defaults to an empty function.
+		 * @return {Function} A function that unregisters the registered
+		 * handler.
+		 */
+		this.onButtonDown = buttonDownHandlers.register;
+
+		/**
+		 * Registers a button handler that gets called when the specified
+		 * button is released or all of the specified buttons are released,
+		 * depending on whether you specify one or more button indices.
+		 *
+		 * This method returns a function that unregisters the registered
+		 * handler. The returned function does not receive any arguments, does
+		 * not return anything and is idempotent: it does not have any effects
+		 * when called again after the first time.
+		 *
+		 * The same event handler can be registered more than once, in which
+		 * case it actually gets called more than once each time the event
+		 * occurs.
+		 *
+		 * @method onButtonUp
+		 * @param button {Mixed} The index of the button or an array of button
+		 * indices.
+		 * @param [handler] {Function} A user-defined function that gets called
+		 * when the event occurs. It receives one argument, the button index.
+		 *
+		 * When not specified defaults to an empty function.
+		 * @return {Function} A function that unregisters the registered
+		 * handler.
+		 */
+		this.onButtonUp = function (button, handler) {
+			if (typeof button !== 'number') {
+				return buttonUpHandlers.register(button, function () {
+					for (var i in button) {
+						if (button.hasOwnProperty(i)) {
+							if (buttons[button[i]]) {
+								return;
+							}
+						}
+					}
+					return handler && handler.apply(this, arguments);
+				});
+			} else {
+				return buttonUpHandlers.register(button, handler);
+			}
+		};
+
+		var unregister = gamepads.add(this);
+
+		/**
+		 * Stops the automatic polling of this gamepad by the render loops.
+		 *
+		 * @method release
+		 */
+		this.release = function () {
+			unregister();
+		};
+	}
+
+	/**
+	 * Polls all the `Gamepad` objects that have not been released. This
+	 * method is automatically called by running render loops once per frame.
+	 *
+	 * @method poll
+	 * @static
+	 */
+	Gamepad.poll = function () {
+		gamepads.fastForEach(function (gamepad) {
+			gamepad.poll();
+		});
+	};
+
+	return Gamepad;
+}());
+
+/**
+ * The default dead zone setting, initially `0.2`.
+ *
+ * See the documentation of the class constructor for details.
+ *
+ * @property defaultDeadZone
+ * @type Number
+ * @static
+ */
+Canvace.Gamepad.defaultDeadZone = 0.2;
+
+/**
+ * The default threshold setting, initially `0.5`.
+ *
+ * See the documentation of the class constructor for details.
+ *
+ * @property defaultThreshold
+ * @type Number
+ * @static
+ */
+Canvace.Gamepad.defaultThreshold = 0.5;
@@ -0,0 +1,377 @@
+/*
+ *	Canvace's JavaScript Game Engine, canvace.js
+ *	Copyright (C) 2013  Canvace Srl  <http://www.canvace.com/>
+ *
+ *	Dual licensed under the MIT and GPLv3 licenses.
+ *
+ *	This program is free software: you can redistribute it and/or modify
+ *	it under the terms of the GNU General Public License as published by
+ *	the Free Software Foundation, either version 3 of the License, or
+ *	(at your option) any later version.
+ *
+ *	This program is distributed in the hope that it will be useful,
+ *	but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *	GNU General Public License for more details.
+ *
+ *	You should have received a copy of the GNU General Public License
+ *	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Recognizes common gestures in the pointer input captured by a
+ * {{#crossLink "Canvace.Mouse"}}{{/crossLink}} object: tap, double tap, long
+ * press and swipe, performed with either the mouse or a single finger, and
+ * pinch and two-finger pan, performed with two fingers on touch screens.
+ *
+ * All coordinates are relative to the left top corner of the element passed
+ * to the `Mouse` constructor, as in the `Mouse` handlers.
+ *
+ * Single-pointer gestures are recognized using the `onDown`, `onMove` and
+ * `onUp` handlers of the `Mouse` object, two-finger gestures using its
+ * multi-touch handlers; a gesture performed with one pointer is discarded as
+ * soon as a second finger touches the element.
+ *
+ * @class Canvace.Gestures
+ * @constructor
+ * @param mouse {Canvace.Mouse} The `Mouse` object whose input is recognized.
+ * @param [settings] {Object} An optional dictionary of settings.
+ * @param [settings.tolerance=Canvace.Gestures.defaultTolerance] {Number} The
+ * distance, in pixels, a pointer can move before a tap or long press is
+ * discarded. Also the maximum distance between the two taps of a double tap.
+ * @param [settings.longPressDelay=Canvace.Gestures.defaultLongPressDelay]
+ * {Number} The number of milliseconds a pointer must stay down for a long
+ * press to be recognized.
+ * @param [settings.doubleTapDelay=Canvace.Gestures.defaultDoubleTapDelay]
+ * {Number} The maximum number of milliseconds between the two taps of a
+ * double tap.
+ * @param [settings.swipeVelocity=Canvace.Gestures.defaultSwipeVelocity]
+ * {Number} The minimum velocity, in pixels per second, a pointer must be
+ * released at for a swipe to be recognized.
+ * @example
+ *	// map navigation on touch screens
+ *	var gestures = new Canvace.Gestures(new Canvace.Mouse(canvas));
+ *	var view = stage.getView();
+ *	gestures.onPinch(function (scale) {
+ *		view.setZoom(view.getZoom() * scale);
+ *	});
+ *	gestures.onPan(function (dx, dy) {
+ *		view.drag(dx, dy);
+ *	});
+ */
+Canvace.Gestures = function (mouse, settings) {
+	if (typeof settings === 'undefined') {
+		settings = {};
+	}
+	var tolerance      = ('tolerance' in settings)      ? settings.tolerance      : Canvace.Gestures.defaultTolerance;
+	var longPressDelay = ('longPressDelay' in settings) ? settings.longPressDelay : Canvace.Gestures.defaultLongPressDelay;
+	var doubleTapDelay = ('doubleTapDelay' in settings) ? settings.doubleTapDelay : Canvace.Gestures.defaultDoubleTapDelay;
+	var swipeVelocity  = ('swipeVelocity' in settings)  ? settings.swipeVelocity  : Canvace.Gestures.defaultSwipeVelocity;
+
+	var tapHandlers = new Canvace.MultiSet();
+	var doubleTapHandlers = new Canvace.MultiSet();
+	var longPressHandlers = new Canvace.MultiSet();
+	var swipeHandlers = new Canvace.MultiSet();
+	var pinchHandlers = new Canvace.MultiSet();
+	var panHandlers = new Canvace.MultiSet();
+
+	function distance(x0, y0, x1, y1) {
+		return Math.sqrt((x1 - x0) * (x1 - x0) + (y1 - y0) * (y1 - y0));
+	}
+
+	/*
+	 * The state of the gesture being performed with one pointer, or `null`.
+	 */
+	var pointer = null;
+	var lastTap = null;
+
+	function discardPointer() {
+		if (pointer) {
+			pointer.cancelLongPress();
+			pointer = null;
+		}
+	}
+
+	mouse.onDown(function (x, y) {
+		discardPointer();
+		pointer = {
+			x0: x,
+			y0: y,
+			time: Canvace.Timing.getInputTime(),
+			moved: false,
+			longPressed: false,
+			cancelLongPress: Canvace.Timing.setInputTimeout(function () {
+				if (pointer && !pointer.moved) {
+					pointer.longPressed = true;
+					longPressHandlers.fastForEach(function (handler) {
+						handler(pointer.x0, pointer.y0);
+					});
+				}
+			}, longPressDelay)
+		};
+	});
+
+	mouse.onMove(function (x, y) {
+		if (pointer && !pointer.moved && (distance(pointer.x0, pointer.y0, x, y) > tolerance)) {
+			pointer.moved = true;
+			pointer.cancelLongPress();
+		}
+	});
+
+	mouse.onUp(function (x, y) {
+		if (pointer) {
+			var state = pointer;
+			discardPointer();
+			var time = Canvace.Timing.getInputTime();
+			if (state.moved) {
+				var dx = x - state.x0;
+				var dy = y - state.y0;
+				var velocity = 1000 * distance(0, 0, dx, dy) / Math.max(1, time - state.time);
+				if (velocity >= swipeVelocity) {
+					var direction;
+					if (Math.abs(dx) > Math.abs(dy)) {
+						direction = (dx > 0) ? 'right' : 'left';
+					} else {
+						direction = (dy > 0) ? 'down' : 'up';
+					}
+					swipeHandlers.fastForEach(function (handler) {
+						handler(direction, velocity, state.x0, state.y0);
+					});
+				}
+				lastTap = null;
+			} else if (!state.longPressed) {
+				tapHandlers.fastForEach(function (handler) {
+					handler(state.x0, state.y0);
+				});
+				if (lastTap &&
+					(time - lastTap.time <= doubleTapDelay) &&
+					(distance(lastTap.x, lastTap.y, state.x0, state.y0) <= tolerance))
+				{
+					lastTap = null;
+					doubleTapHandlers.fastForEach(function (handler) {
+						handler(state.x0, state.y0);
+					});
+				} else {
+					lastTap = {
+						x: state.x0,
+						y: state.y0,
+						time: time
+					};
+				}
+			}
+		}
+	});
+
+	/*
+	 * The active touches, and the distance and center of the first two of
+	 * them as of the last pinch or pan event.
+	 */
+	var touches = {};
+	var touchCount = 0;
+	var pair = null;
+
+	function getPair() {
+		var ids = Object.keys(touches);
+		if (ids.length !== 2) {
+			return null;
+		}
+		var first = touches[ids[0]];
+		var second = touches[ids[1]];
+		return {
+			distance: distance(first.x, first.y, second.x, second.y),
+			x: (first.x + second.x) / 2,
+			y: (first.y + second.y) / 2
+		};
+	}
+
+	mouse.onTouchStart(function (id, x, y) {
+		touches[id] = {
+			x: x,
+			y: y
+		};
+		if (++touchCount > 1) {
+			discardPointer();
+			lastTap = null;
+		}
+		pair = getPair();
+	});
+
+	mouse.onTouchMove(function (id, x, y) {
+		if (touches.hasOwnProperty(id)) {
+			touches[id].x = x;
+			touches[id].y = y;
+			var newPair = getPair();
+			if (pair && newPair) {
+				if (pair.distance && (newPair.distance !== pair.distance)) {
+					var scale = newPair.distance / pair.distance;
+					pinchHandlers.fastForEach(function (handler) {
+						handler(scale, newPair.x, newPair.y);
+					});
+				}
+				if ((newPair.x !== pair.x) || (newPair.y !== pair.y)) {
+					var dx = newPair.x - pair.x;
+					var dy = newPair.y - pair.y;
+					panHandlers.fastForEach(function (handler) {
+						handler(dx, dy, newPair.x, newPair.y);
+					});
+				}
+			}
+			pair = newPair;
+		}
+	});
+
+	mouse.onTouchEnd(function (id) {
+		if (touches.hasOwnProperty(id)) {
+			delete touches[id];
+			touchCount--;
+		}
+		pair = getPair();
+	});
+
+	/**
+	 * Registers a handler invoked when the user taps (or clicks) without
+	 * moving the pointer.
+	 *
+	 * The handler receives two arguments, the `x` and `y` coordinates of the
+	 * tap. Both taps of a double tap are reported to this handler too.
+	 *
+	 * @method onTap
+	 * @param handler {Function} A user-defined handler function.
+	 * @return {Function} A function that unregisters the registered handler.
+	 * The returned function does not receive any arguments.
+	 */
+	this.onTap = function (handler) {
+		return tapHandlers.add(handler);
+	};
+
+	/**
+	 * Registers a handler invoked when the user taps twice in quick succession
+	 * at about the same point. The handler is invoked right after the
+	 * `onTap` handlers for the second tap.
+	 *
+	 * The handler receives two arguments, the `x` and `y` coordinates of the
+	 * second tap.
+	 *
+	 * @method onDoubleTap
+	 * @param handler {Function} A user-defined handler function.
+	 * @return {Function} A function that unregisters the registered handler.
+	 * The returned function does not receive any arguments.
+	 */
+	this.onDoubleTap = function (handler) {
+		return doubleTapHandlers.add(handler);
+	};
+
+	/**
+	 * Registers a handler invoked when the user keeps the pointer down without
+	 * moving it for a while. The handler is invoked while the pointer is still
+	 * down, and the following release is not reported as a tap.
+	 *
+	 * The handler receives two arguments, the `x` and `y` coordinates of the
+	 * pointer.
+	 *
+	 * @method onLongPress
+	 * @param handler {Function} A user-defined handler function.
+	 * @return {Function} A function that unregisters the registered handler.
+	 * The returned function does not receive any arguments.
+	 */
+	this.onLongPress = function (handler) {
+		return longPressHandlers.add(handler);
+	};
+
+	/**
+	 * Registers a handler invoked when the user releases the pointer while
+	 * moving it quickly.
+	 *
+	 * The handler receives four arguments: `direction`, the prevailing
+	 * direction of the movement (either `'left'`, `'right'`, `'up'` or
+	 * `'down'`), `velocity`, the average velocity of the movement in pixels
+	 * per second, and `x` and `y`, the coordinates where the movement started.
+	 *
+	 * @method onSwipe
+	 * @param handler {Function} A user-defined handler function.
+	 * @return {Function} A function that unregisters the registered handler.
+	 * The returned function does not receive any arguments.
+	 */
+	this.onSwipe = function (handler) {
+		return swipeHandlers.add(handler);
+	};
+
+	/**
+	 * Registers a handler invoked when the distance between two fingers
+	 * touching the element changes.
+	 *
+	 * The handler receives three arguments: `scale`, the ratio between the new
+	 * distance and the distance at the previous pinch event (so that the
+	 * scales of subsequent events can be multiplied together), and `x` and
+	 * `y`, the coordinates of the point halfway between the fingers.
+	 *
+	 * @method onPinch
+	 * @param handler {Function} A user-defined handler function.
+	 * @return {Function} A function that unregisters the registered handler.
+	 * The returned function does not receive any arguments.
+	 */
+	this.onPinch = function (handler) {
+		return pinchHandlers.add(handler);
+	};
+
+	/**
+	 * Registers a handler invoked when the point halfway between two fingers
+	 * touching the element moves.
+	 *
+	 * The handler receives four arguments: `dx` and `dy`, the movement of the
+	 * point since the previous pan event, and `x` and `y`, its new
+	 * coordinates.
+	 *
+	 * @method onPan
+	 * @param handler {Function} A user-defined handler function.
+	 * @return {Function} A function that unregisters the registered handler.
+	 * The returned function does not receive any arguments.
+	 */
+	this.onPan = function (handler) {
+		return panHandlers.add(handler);
+	};
+};
+
+/**
+ * The default tolerance setting, initially `10`.
+ *
+ * See the documentation of the class constructor for details.
+ *
+ * @property defaultTolerance
+ * @type Number
+ * @static
+ */
+Canvace.Gestures.defaultTolerance = 10;
+
+/**
+ * The default long press delay setting, initially `500`.
+ *
+ * See the documentation of the class constructor for details.
+ *
+ * @property defaultLongPressDelay
+ * @type Number
+ * @static
+ */
+Canvace.Gestures.defaultLongPressDelay = 500;
+
+/**
+ * The default double tap delay setting, initially `300`.
+ *
+ * See the documentation of the class constructor for details.
+ *
+ * @property defaultDoubleTapDelay
+ * @type Number
+ * @static
+ */
+Canvace.Gestures.defaultDoubleTapDelay = 300;
+
+/**
+ * The default swipe velocity setting, initially `500`.
+ *
+ * See the documentation of the class constructor for details.
+ *
+ * @property defaultSwipeVelocity
+ * @type Number
+ * @static
+ */
+Canvace.Gestures.defaultSwipeVelocity = 500;
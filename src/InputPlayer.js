@@ -0,0 +1,161 @@
+/*
+ *	Canvace's JavaScript Game Engine, canvace.js
+ *	Copyright (C) 2013  Canvace Srl  <http://www.canvace.com/>
+ *
+ *	Dual licensed under the MIT and GPLv3 licenses.
+ *
+ *	This program is free software: you can redistribute it and/or modify
+ *	it under the terms of the GNU General Public License as published by
+ *	the Free Software Foundation, either version 3 of the License, or
+ *	(at your option) any later version.
+ *
+ *	This program is distributed in the hope that it will be useful,
+ *	but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *	GNU General Public License for more details.
+ *
+ *	You should have received a copy of the GNU General Public License
+ *	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Replays a log recorded by an
+ * {{#crossLink "Canvace.InputRecorder"}}InputRecorder{{/crossLink}}, feeding
+ * the recorded events to the specified
+ * {{#crossLink "Canvace.Keyboard"}}Keyboard{{/crossLink}} and
+ * {{#crossLink "Canvace.Mouse"}}Mouse{{/crossLink}} objects right before the
+ * same ticks they originally preceded.
+ *
+ * The log can be replayed either live, through a running
+ * {{#crossLink "Canvace.RenderLoop"}}RenderLoop{{/crossLink}} (see
+ * {{#crossLink "Canvace.InputPlayer/play"}}{{/crossLink}}), or headlessly and
+ * synchronously on a stage (see
+ * {{#crossLink "Canvace.InputPlayer/simulate"}}{{/crossLink}}), which is
+ * useful in automated tests.
+ *
+ * The input clock of {{#crossLink "Canvace.Timing"}}{{/crossLink}} is
+ * driven the same way it was while recording, so that
+ * {{#crossLink "Canvace.Keyboard/onSequence"}}Keyboard.onSequence{{/crossLink}}
+ * and the {{#crossLink "Canvace.Gestures"}}{{/crossLink}} recognizers give
+ * the same results; see
+ * {{#crossLink "Canvace.InputRecorder"}}InputRecorder{{/crossLink}} for
+ * details.
+ *
+ * Real input keeps being processed while a log is replayed: it is up to the
+ * game to ignore it if needed. Events of devices not specified to the
+ * constructor are skipped.
+ *
+ * Each `InputPlayer` object can replay its log only once.
+ *
+ * @class Canvace.InputPlayer
+ * @constructor
+ * @param log {Object} The log, as returned by the
+ * {{#crossLink "Canvace.InputRecorder/getLog"}}{{/crossLink}} method.
+ * @param devices {Object} A dictionary of the input devices to feed.
+ * @param [devices.keyboard] {Canvace.Keyboard} A `Keyboard` object.
+ * @param [devices.mouse] {Canvace.Mouse} A `Mouse` object.
+ * @example
+ *	var log = JSON.parse(replay);
+ *	var random = new Canvace.Random(log.seed);
+ *	// ... set up the stage in its initial state ...
+ *	new Canvace.InputPlayer(log, {
+ *		keyboard: keyboard
+ *	}).simulate(stage, userTick);
+ *	var position = hero.getPosition();
+ */
+Canvace.InputPlayer = function (log, devices) {
+	var index = 0;
+	var started = false;
+
+	function dispatch(tick) {
+		while ((index < log.events.length) && (log.events[index].tick <= tick)) {
+			var event = log.events[index++];
+			if (devices[event.device]) {
+				devices[event.device].dispatchInput(event.type, event.event);
+			}
+		}
+	}
+
+	function start() {
+		if (started) {
+			throw 'the log has already been replayed';
+		}
+		started = true;
+		Canvace.Timing.setInputTime(0);
+	}
+
+	function advance(tick) {
+		dispatch(tick);
+		Canvace.Timing.setInputTime(tick * log.fixedStep);
+	}
+
+	/**
+	 * Returns the replayed log.
+	 *
+	 * @method getLog
+	 * @return {Object} The log specified to the constructor.
+	 */
+	this.getLog = function () {
+		return log;
+	};
+
+	/**
+	 * Replays the log through the specified render loop, starting from its
+	 * next tick. The loop is switched to fixed step mode with the step of the
+	 * log; it can be running or not.
+	 *
+	 * @method play
+	 * @param loop {Canvace.RenderLoop} The render loop.
+	 * @param [callback] {Function} An optional callback function invoked
+	 * when the whole log has been replayed, right before the first tick that
+	 * was not recorded. It does not receive any arguments.
+	 */
+	this.play = function (loop, callback) {
+		start();
+		loop.setFixedStep(log.fixedStep);
+		var startTick = loop.getTickCount();
+		var remove = loop.onBeforeTick(function (tick) {
+			tick -= startTick;
+			if (tick < log.ticks) {
+				advance(tick);
+			} else {
+				dispatch(tick);
+				remove();
+				Canvace.Timing.resetInputTime();
+				if (callback) {
+					callback();
+				}
+			}
+		});
+	};
+
+	/**
+	 * Replays the whole log synchronously on the specified stage, without
+	 * rendering: the stage is ticked as many times as the recording lasted,
+	 * each time after dispatching the relevant events and followed by the
+	 * `userTick` callback and by an update of the stage, just like the
+	 * {{#crossLink "Canvace.RenderLoop"}}RenderLoop{{/crossLink}} does in
+	 * fixed step mode.
+	 *
+	 * @method simulate
+	 * @param stage {Mixed} The stage to tick. A
+	 * {{#crossLink "Canvace.Stage.Range"}}Stage.Range{{/crossLink}} can be
+	 * specified as well.
+	 * @param [userTick] {Function} The same callback function specified to
+	 * the render loop while recording. It receives the time delta in seconds.
+	 */
+	this.simulate = function (stage, userTick) {
+		start();
+		var dt = log.fixedStep / 1000;
+		for (var tick = 0; tick < log.ticks; tick++) {
+			advance(tick);
+			stage.tick(dt);
+			if (typeof userTick === 'function') {
+				userTick(dt);
+			}
+			stage.update();
+		}
+		dispatch(log.ticks);
+		Canvace.Timing.resetInputTime();
+	};
+};
@@ -0,0 +1,164 @@
+/*
+ *	Canvace's JavaScript Game Engine, canvace.js
+ *	Copyright (C) 2013  Canvace Srl  <http://www.canvace.com/>
+ *
+ *	Dual licensed under the MIT and GPLv3 licenses.
+ *
+ *	This program is free software: you can redistribute it and/or modify
+ *	it under the terms of the GNU General Public License as published by
+ *	the Free Software Foundation, either version 3 of the License, or
+ *	(at your option) any later version.
+ *
+ *	This program is distributed in the hope that it will be useful,
+ *	but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *	GNU General Public License for more details.
+ *
+ *	You should have received a copy of the GNU General Public License
+ *	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Records the input captured by
+ * {{#crossLink "Canvace.Keyboard"}}Keyboard{{/crossLink}} and
+ * {{#crossLink "Canvace.Mouse"}}Mouse{{/crossLink}} objects, tagging each
+ * event with the number of ticks performed by a
+ * {{#crossLink "Canvace.RenderLoop"}}RenderLoop{{/crossLink}} since the
+ * recording started. The resulting log can be serialized to JSON and replayed
+ * by an {{#crossLink "Canvace.InputPlayer"}}InputPlayer{{/crossLink}} to
+ * reproduce the session exactly, e.g. to attach it to a bug report or to
+ * implement "ghost" runs.
+ *
+ * Replays are deterministic only if the whole game state evolves in the
+ * stage ticks, in the `userTick` callback of the render loop and in the
+ * collision handlers of the stage (see
+ * {{#crossLink "Canvace.Stage/onCollision"}}Stage.onCollision{{/crossLink}}),
+ * as a function of the input and of nothing else: the loop must be in fixed
+ * step mode (see
+ * {{#crossLink "Canvace.RenderLoop/setFixedStep"}}{{/crossLink}}), where the
+ * stage is updated after every tick, the game must not read the real clock,
+ * and random numbers must be generated by a
+ * {{#crossLink "Canvace.Random"}}Random{{/crossLink}} object whose seed is
+ * stored in the log. The replay must also start from the same initial state
+ * the recording started from.
+ *
+ * While recording, the input clock of
+ * {{#crossLink "Canvace.Timing"}}{{/crossLink}} is driven by the render loop
+ * and advances by one fixed step right before each tick, so the timing of
+ * {{#crossLink "Canvace.Keyboard/onSequence"}}Keyboard.onSequence{{/crossLink}}
+ * and of the {{#crossLink "Canvace.Gestures"}}{{/crossLink}} recognizers is
+ * quantized to ticks and replays exactly. Handlers that read
+ * {{#crossLink "Canvace.Timing/now"}}{{/crossLink}}, `Date` or use
+ * `setTimeout` directly do not replay deterministically, and neither do the
+ * callbacks of the animations (see
+ * {{#crossLink "Canvace.Stage.Instance/playAnimation"}}Stage.Instance.playAnimation{{/crossLink}}),
+ * which are timed by the real clock.
+ *
+ * The recording starts as soon as the object is constructed.
+ *
+ * @class Canvace.InputRecorder
+ * @constructor
+ * @param loop {Canvace.RenderLoop} The render loop, which must be in fixed
+ * step mode.
+ * @param devices {Object} A dictionary of the input devices to record.
+ * @param [devices.keyboard] {Canvace.Keyboard} A `Keyboard` object.
+ * @param [devices.mouse] {Canvace.Mouse} A `Mouse` object.
+ * @param [seed] {Number} An optional seed stored in the log, usually the one
+ * of the `Random` object used by the game.
+ * @example
+ *	var random = new Canvace.Random();
+ *	var recorder = new Canvace.InputRecorder(loop, {
+ *		keyboard: keyboard,
+ *		mouse: mouse
+ *	}, random.getSeed());
+ *	// later, e.g. when the player reports a bug
+ *	recorder.stop();
+ *	var replay = JSON.stringify(recorder.getLog());
+ */
+Canvace.InputRecorder = function (loop, devices, seed) {
+	var fixedStep = loop.getFixedStep();
+	if (fixedStep === null) {
+		throw 'input can be recorded only in fixed step mode';
+	}
+
+	var startTick = loop.getTickCount();
+	var stopTick = null;
+	var events = [];
+	var removers = [];
+
+	Canvace.Timing.setInputTime(0);
+	removers.push(loop.onBeforeTick(function (tick) {
+		Canvace.Timing.setInputTime((tick - startTick) * fixedStep);
+	}));
+
+	function record(device) {
+		return function (type, event) {
+			events.push({
+				tick: loop.getTickCount() - startTick,
+				device: device,
+				type: type,
+				event: event
+			});
+		};
+	}
+
+	for (var device in devices) {
+		if (devices.hasOwnProperty(device) && devices[device]) {
+			removers.push(devices[device].onInput(record(device)));
+		}
+	}
+
+	/**
+	 * Stops the recording. Calling this method more than once has no further
+	 * effects.
+	 *
+	 * @method stop
+	 */
+	this.stop = function () {
+		if (stopTick === null) {
+			stopTick = loop.getTickCount();
+			for (var i = 0; i < removers.length; i++) {
+				removers[i]();
+			}
+			Canvace.Timing.resetInputTime();
+		}
+	};
+
+	/**
+	 * Indicates whether the recording has been stopped.
+	 *
+	 * @method isStopped
+	 * @return {Boolean} `true` if the recording has been stopped, `false`
+	 * otherwise.
+	 */
+	this.isStopped = function () {
+		return stopTick !== null;
+	};
+
+	/**
+	 * Returns the log recorded so far. The log is a plain object that can be
+	 * serialized to JSON and contains the following fields:
+	 *
+	 * <ul>
+	 * <li>`fixedStep`: the fixed step of the render loop, in
+	 * milliseconds;</li>
+	 * <li>`seed`: the seed specified to the constructor, or `null`;</li>
+	 * <li>`ticks`: the number of ticks covered by the recording;</li>
+	 * <li>`events`: an array of events in chronological order, each one with
+	 * the `tick` it must be replayed before, the `device` name (`'keyboard'`
+	 * or `'mouse'`) and the `type` and `event` as described by the
+	 * `onInput` methods of the devices.</li>
+	 * </ul>
+	 *
+	 * @method getLog
+	 * @return {Object} The log.
+	 */
+	this.getLog = function () {
+		return {
+			fixedStep: fixedStep,
+			seed: (typeof seed !== 'undefined') ? seed : null,
+			ticks: ((stopTick !== null) ? stopTick : loop.getTickCount()) - startTick,
+			events: JSON.parse(JSON.stringify(events))
+		};
+	};
+};
@@ -0,0 +1,213 @@
+/*
+ *	Canvace's JavaScript Game Engine, canvace.js
+ *	Copyright (C) 2013  Canvace Srl  <http://www.canvace.com/>
+ *
+ *	Dual licensed under the MIT and GPLv3 licenses.
+ *
+ *	This program is free software: you can redistribute it and/or modify
+ *	it under the terms of the GNU General Public License as published by
+ *	the Free Software Foundation, either version 3 of the License, or
+ *	(at your option) any later version.
+ *
+ *	This program is distributed in the hope that it will be useful,
+ *	but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *	GNU General Public License for more details.
+ *
+ *	You should have received a copy of the GNU General Public License
+ *	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Implements the Jump Point Search pathfinding algorithm over a grid of cells
+ * where all the moves have uniform costs.
+ *
+ * Jump Point Search finds paths as short as those found by
+ * {{#crossLink "Canvace.Astar"}}{{/crossLink}} on the graphs returned by
+ * {{#crossLink "Canvace.TileMap/getGraphNode"}}TileMap.getGraphNode{{/crossLink}}
+ * when no cost function is specified, but expands far fewer nodes on large open
+ * maps because it skips over the cells that can be reached optimally without
+ * passing through the current one.
+ *
+ * The grid is described by the `walkable` predicate, which receives the I and
+ * J coordinates of a cell and returns a boolean value indicating whether the
+ * cell can be walked on. The predicate must return `false` outside of the map
+ * or the search may never end. Cells are connected to their eight neighbors:
+ * orthogonal moves cost 1 and diagonal moves cost the square root of 2, and
+ * diagonal moves are only allowed when both the orthogonally adjacent cells
+ * are walkable.
+ *
+ * You do not usually need to instantiate this class directly, you can use the
+ * `jps` strategy of
+ * {{#crossLink "Canvace.TileMap/findPath"}}TileMap.findPath{{/crossLink}}
+ * instead.
+ *
+ * @class Canvace.JumpPointSearch
+ * @constructor
+ * @param walkable {Function} A predicate indicating whether the cell at the
+ * specified I and J coordinates is walkable.
+ * @example
+ *	var jps = new Canvace.JumpPointSearch(function (i, j) {
+ *		return (i >= 0) && (i < 100) && (j >= 0) && (j < 100) && !walls[i][j];
+ *	});
+ *	console.dir(jps.findPath(0, 0, 99, 99));
+ */
+Canvace.JumpPointSearch = function (walkable) {
+	var astar = new Canvace.Astar();
+
+	function distance(i, j, i1, j1) {
+		var di = Math.abs(i1 - i);
+		var dj = Math.abs(j1 - j);
+		return Math.SQRT2 * Math.min(di, dj) + Math.max(di, dj) - Math.min(di, dj);
+	}
+
+	/**
+	 * Finds the shortest path between two cells of the grid.
+	 *
+	 * @method findPath
+	 * @param i {Number} The I coordinate of the starting cell.
+	 * @param j {Number} The J coordinate of the starting cell.
+	 * @param i1 {Number} The I coordinate of the target cell.
+	 * @param j1 {Number} The J coordinate of the target cell.
+	 * @return {Object[]} An array of objects containing the `i` and `j`
+	 * coordinates of the cells in the computed path, or `null` if no path can
+	 * be found. The starting cell is **not** included.
+	 */
+	this.findPath = function (i, j, i1, j1) {
+		function isTarget(i, j) {
+			return (i === i1) && (j === j1);
+		}
+
+		function jumpStraight(i, j, di, dj) {
+			for (i += di, j += dj; walkable(i, j); i += di, j += dj) {
+				if (isTarget(i, j)) {
+					return [i, j];
+				} else if (di) {
+					if ((walkable(i, j - 1) && !walkable(i - di, j - 1)) ||
+						(walkable(i, j + 1) && !walkable(i - di, j + 1)))
+					{
+						return [i, j];
+					}
+				} else if ((walkable(i - 1, j) && !walkable(i - 1, j - dj)) ||
+					(walkable(i + 1, j) && !walkable(i + 1, j - dj)))
+				{
+					return [i, j];
+				}
+			}
+			return null;
+		}
+
+		function jumpDiagonal(i, j, di, dj) {
+			while (walkable(i + di, j) && walkable(i, j + dj)) {
+				i += di;
+				j += dj;
+				if (!walkable(i, j)) {
+					return null;
+				} else if (isTarget(i, j) || jumpStraight(i, j, di, 0) || jumpStraight(i, j, 0, dj)) {
+					return [i, j];
+				}
+			}
+			return null;
+		}
+
+		function getDirections(i, j, di, dj) {
+			var directions = [];
+			var ii, jj;
+			if (di && dj) {
+				if (walkable(i, j + dj)) {
+					directions.push([0, dj]);
+				}
+				if (walkable(i + di, j)) {
+					directions.push([di, 0]);
+				}
+				if (walkable(i, j + dj) && walkable(i + di, j)) {
+					directions.push([di, dj]);
+				}
+			} else if (di || dj) {
+				// (ii, jj) is the direction of the move, rotated by 90 degrees
+				ii = dj;
+				jj = di;
+				var next = walkable(i + di, j + dj);
+				var left = walkable(i + ii, j + jj);
+				var right = walkable(i - ii, j - jj);
+				if (next) {
+					directions.push([di, dj]);
+					if (left) {
+						directions.push([di + ii, dj + jj]);
+					}
+					if (right) {
+						directions.push([di - ii, dj - jj]);
+					}
+				}
+				if (left) {
+					directions.push([ii, jj]);
+				}
+				if (right) {
+					directions.push([-ii, -jj]);
+				}
+			} else {
+				for (ii = -1; ii <= 1; ii++) {
+					for (jj = -1; jj <= 1; jj++) {
+						if ((ii || jj) && walkable(i + ii, j + jj) &&
+							(!ii || !jj || walkable(i, j + jj) && walkable(i + ii, j)))
+						{
+							directions.push([ii, jj]);
+						}
+					}
+				}
+			}
+			return directions;
+		}
+
+		function makeNode(i, j, di, dj) {
+			var distances = {};
+			var node = {
+				id: i + ' ' + j + ' ' + di + ' ' + dj,
+				heuristic: distance(i, j, i1, j1),
+				neighbors: {},
+				distance: function (label) {
+					return distances[label];
+				}
+			};
+			getDirections(i, j, di, dj).forEach(function (direction) {
+				var point;
+				if (direction[0] && direction[1]) {
+					point = jumpDiagonal(i, j, direction[0], direction[1]);
+				} else {
+					point = jumpStraight(i, j, direction[0], direction[1]);
+				}
+				if (point) {
+					var label = point[0] + ' ' + point[1];
+					distances[label] = distance(i, j, point[0], point[1]);
+					node.neighbors[label] = function () {
+						return makeNode(point[0], point[1], direction[0], direction[1]);
+					};
+				}
+			});
+			return node;
+		}
+
+		var jumps = astar.findPath(makeNode(i, j, 0, 0));
+		if (null === jumps) {
+			return null;
+		}
+
+		var path = [];
+		jumps.forEach(function (label) {
+			var point = label.split(' ');
+			var i1 = parseInt(point[0], 10);
+			var j1 = parseInt(point[1], 10);
+			var di = (i1 > i) ? 1 : ((i1 < i) ? -1 : 0);
+			var dj = (j1 > j) ? 1 : ((j1 < j) ? -1 : 0);
+			while ((i !== i1) || (j !== j1)) {
+				i += di;
+				j += dj;
+				path.push({
+					i: i,
+					j: j
+				});
+			}
+		});
+		return path;
+	};
+};
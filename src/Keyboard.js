@@ -223,8 +223,10 @@ Canvace.Keyboard = function (element, preventDefaultActions) {
 				};
 			}
 		};
+		// keys whose handlers were all unregistered, e.g. by rebinding an
+		// ActionMap, do not count as handled any more
 		this.fire = function (keyCode) {
-			if (keyCode in handlers) {
+			if ((keyCode in handlers) && !handlers[keyCode].isEmpty()) {
 				handlers[keyCode].fastForEach(function (handler) {
 					handler(keyCode);
 				});
@@ -240,53 +242,75 @@ Canvace.Keyboard = function (element, preventDefaultActions) {
 	var keyDownHandlers = new Handlers();
 	var keyUpHandlers = new Handlers();
 	var keyPressHandlers = new Handlers();
+	var chordHandlers = new Canvace.MultiSet();
+	var sequenceHandlers = new Canvace.MultiSet();
 
-	if ((preventDefaultActions === true) || (typeof preventDefaultActions === 'undefined')) {
-		element.addEventListener('keydown', function (event) {
-			var code = event.charCode || event.keyCode;
+	var inputHandlers = new Canvace.MultiSet();
+
+	// returns a boolean indicating whether any chord was completed
+	function fireChords(keyCode) {
+		var completed = false;
+		chordHandlers.fastForEach(function (handler) {
+			completed = handler(keyCode) || completed;
+		});
+		return completed;
+	}
+
+	function fireSequences(keyCode, down) {
+		sequenceHandlers.fastForEach(function (handler) {
+			handler(keyCode, down);
+		});
+	}
+
+	// each processor returns a boolean indicating whether the key is handled
+	var processors = {
+		keydown: function (code) {
 			if (keys[code]) {
-				if (prevent[code]) {
-					event.preventDefault();
-				}
+				return !!prevent[code];
 			} else {
 				keys[code] = true;
 				if (keyDownHandlers.fire(code)) {
 					prevent[code] = true;
-					event.preventDefault();
 				}
+				if (fireChords(code)) {
+					prevent[code] = true;
+				}
+				fireSequences(code, true);
+				return !!prevent[code];
 			}
-		}, false);
-		element.addEventListener('keypress', function (event) {
-			if (keyPressHandlers.fire(event.charCode || event.keyCode)) {
-				event.preventDefault();
-			}
-		}, false);
-		element.addEventListener('keyup', function (event) {
-			var code = event.charCode || event.keyCode;
+		},
+		keypress: function (code) {
+			return keyPressHandlers.fire(code);
+		},
+		keyup: function (code) {
 			delete keys[code];
 			delete prevent[code];
-			if (keyUpHandlers.fire(code)) {
-				event.preventDefault();
-			}
-		}, false);
-	} else {
-		element.addEventListener('keydown', function (event) {
+			var handled = keyUpHandlers.fire(code);
+			fireSequences(code, false);
+			return handled;
+		}
+	};
+
+	var preventDefault = (preventDefaultActions === true) || (typeof preventDefaultActions === 'undefined');
+
+	function listen(type) {
+		element.addEventListener(type, function (event) {
 			var code = event.charCode || event.keyCode;
-			if (!keys[code]) {
-				keys[code] = true;
-				keyDownHandlers.fire(code);
+			inputHandlers.fastForEach(function (handler) {
+				handler(type, {
+					keyCode: code
+				});
+			});
+			if (processors[type](code) && preventDefault) {
+				event.preventDefault();
 			}
 		}, false);
-		element.addEventListener('keypress', function (event) {
-			keyPressHandlers.fire(event.charCode || event.keyCode);
-		}, false);
-		element.addEventListener('keyup', function (event) {
-			var code = event.charCode || event.keyCode;
-			delete keys[code];
-			keyUpHandlers.fire(code);
-		}, false);
 	}
 
+	listen('keydown');
+	listen('keypress');
+	listen('keyup');
+
 	/**
 	 * Indicates whether the key identified by the specified virtual key code is
 	 * currently pressed. You can safely use DOM\_VK\_XXX codes from the
@@ -449,4 +473,232 @@ Canvace.Keyboard = function (element, preventDefaultActions) {
 	 * only removes its own registration.
 	 */
 	this.onKeyPress = keyPressHandlers.register;
+
+	/**
+	 * Registers a handler that gets called when the specified keys are held
+	 * down together, e.g. Ctrl+S. The handler is invoked when the last key of
+	 * the chord is pressed while all the others are held down, regardless of
+	 * the order in which they were pressed. It is invoked again if one of the
+	 * keys is released and pressed again while the others are still held.
+	 *
+	 * The default action is prevented only for the key that completes the
+	 * chord, and only when the whole chord is down, unless `false` was
+	 * specified for the `preventDefaultActions` argument of the constructor:
+	 * registering Ctrl+S does not affect Ctrl or S pressed alone.
+	 *
+	 * This method returns a function that unregisters the registered handler.
+	 * The returned function does not receive any arguments, does not return
+	 * anything and is idempotent: it does not have any effects when called
+	 * again after the first time.
+	 *
+	 * @method onChord
+	 * @param keyCodes {Number[]} An array of virtual key codes.
+	 *
+	 * You can safely use DOM\_VK\_XXX codes from the `KeyEvent` global object:
+	 * Canvace normalizes it across browsers.
+	 * @param handler {Function} A user-defined function that gets called when
+	 * the chord is completed. It receives one argument, the virtual key code of
+	 * the key that completed the chord.
+	 * @return {Function} A function that unregisters the registered handler.
+	 */
+	this.onChord = function (keyCodes, handler) {
+		var areKeysDown = this.areKeysDown;
+		return chordHandlers.add(function (keyCode) {
+			if ((keyCodes.indexOf(keyCode) >= 0) && areKeysDown.apply(null, keyCodes)) {
+				handler(keyCode);
+				return true;
+			} else {
+				return false;
+			}
+		});
+	};
+
+	/**
+	 * Registers a handler that gets called when the specified sequence of
+	 * steps is entered within the configured time windows, e.g. a cheat code
+	 * or a fighting game move like "down, down-forward, forward + punch".
+	 *
+	 * Each step is either a key code or an array of key codes. A step is
+	 * matched when the set of keys currently held down, restricted to the keys
+	 * that appear anywhere in the sequence, is exactly the set of keys of the
+	 * step. The aforementioned move is therefore described as
+	 * `[DOWN, [DOWN, RIGHT], [RIGHT, PUNCH]]`, and the third step is matched
+	 * when the punch key is pressed while the right key is still held down.
+	 *
+	 * Steps can be matched both by pressing and by releasing keys (releasing
+	 * the down key while holding the right one in the example above), but
+	 * pressing a key that does not lead to the next step breaks the sequence.
+	 * Repeated steps (like in "up, up, down, down") require the key to be
+	 * released in between. Overlapping attempts are tracked independently, so
+	 * "up, up, up, down, down" still matches "up, up, down, down".
+	 *
+	 * Keys that were already held down when they would start a sequence do
+	 * not count: the first step is only matched by a key press.
+	 *
+	 * This method returns a function that unregisters the registered handler.
+	 * The returned function does not receive any arguments, does not return
+	 * anything and is idempotent: it does not have any effects when called
+	 * again after the first time.
+	 *
+	 * @method onSequence
+	 * @param steps {Array} The steps of the sequence. Each element is a
+	 * virtual key code or an array of virtual key codes.
+	 * @param handler {Function} A user-defined function that gets called when
+	 * the sequence is completed. It receives one argument, the time in
+	 * milliseconds elapsed between the first and the last step.
+	 * @param [settings] {Object} An optional dictionary of settings.
+	 * @param [settings.stepWindow=Canvace.Keyboard.defaultStepWindow] {Number}
+	 * The maximum time in milliseconds allowed between two consecutive steps.
+	 * @param [settings.totalWindow=Canvace.Keyboard.defaultTotalWindow]
+	 * {Number} The maximum time in milliseconds allowed between the first and
+	 * the last step, or `null` for no limit.
+	 * @return {Function} A function that unregisters the registered handler.
+	 */
+	this.onSequence = function (steps, handler, settings) {
+		if (typeof settings === 'undefined') {
+			settings = {};
+		}
+		var stepWindow = ('stepWindow' in settings) ? settings.stepWindow : Canvace.Keyboard.defaultStepWindow;
+		var totalWindow = ('totalWindow' in settings) ? settings.totalWindow : Canvace.Keyboard.defaultTotalWindow;
+
+		var sequenceKeys = {};
+		var stepKeys = [];
+		for (var i = 0; i < steps.length; i++) {
+			var step = (typeof steps[i] === 'number') ? [steps[i]] : steps[i];
+			stepKeys.push({});
+			for (var j = 0; j < step.length; j++) {
+				sequenceKeys[step[j]] = true;
+				stepKeys[i][step[j]] = true;
+			}
+		}
+
+		function matches(index) {
+			var code;
+			for (code in stepKeys[index]) {
+				if (stepKeys[index].hasOwnProperty(code) && !keys[code]) {
+					return false;
+				}
+			}
+			for (code in keys) {
+				if (keys.hasOwnProperty(code) && sequenceKeys[code] && !stepKeys[index][code]) {
+					return false;
+				}
+			}
+			return true;
+		}
+
+		// each attempt is an array of three numbers: the index of the next
+		// step, the time of the first step and the time of the last step
+		var attempts = [];
+
+		return sequenceHandlers.add(function (keyCode, down) {
+			var now = Canvace.Timing.getInputTime();
+			var advanced = [];
+			var seen = {};
+			function push(attempt) {
+				// later attempts leave more room within the total window
+				if (seen.hasOwnProperty(attempt[0])) {
+					advanced[seen[attempt[0]]] = attempt;
+				} else {
+					seen[attempt[0]] = advanced.length;
+					advanced.push(attempt);
+				}
+			}
+			for (var i = 0; i < attempts.length; i++) {
+				var attempt = attempts[i];
+				if ((now - attempt[2] <= stepWindow) &&
+					((totalWindow === null) || (now - attempt[1] <= totalWindow)))
+				{
+					if (matches(attempt[0])) {
+						if (attempt[0] + 1 < steps.length) {
+							push([attempt[0] + 1, attempt[1], now]);
+						} else {
+							attempts = [];
+							handler(now - attempt[1]);
+							return;
+						}
+					} else if (!down) {
+						push(attempt);
+					}
+				}
+			}
+			if (down && matches(0)) {
+				if (steps.length > 1) {
+					push([1, now, now]);
+				} else {
+					attempts = [];
+					handler(0);
+					return;
+				}
+			}
+			attempts = advanced;
+		});
+	};
+
+	/**
+	 * Registers a handler that gets called for every keyboard event captured
+	 * by this object, before it is processed. This is used to record input
+	 * (see {{#crossLink "Canvace.InputRecorder"}}{{/crossLink}}).
+	 *
+	 * The handler receives two arguments: the event type (`'keydown'`,
+	 * `'keypress'` or `'keyup'`) and a plain object describing the event
+	 * that can be serialized to JSON and later fed to the
+	 * {{#crossLink "Canvace.Keyboard/dispatchInput"}}{{/crossLink}} method.
+	 * The object contains one field, `keyCode`, the normalized virtual key
+	 * code.
+	 *
+	 * This method returns a function that unregisters the registered handler.
+	 *
+	 * @method onInput
+	 * @param handler {Function} A user-defined function that gets called for
+	 * each event.
+	 * @return {Function} A function that unregisters the registered handler.
+	 */
+	this.onInput = function (handler) {
+		return inputHandlers.add(handler);
+	};
+
+	/**
+	 * Processes a keyboard event as if it had been captured by the DOM
+	 * element, invoking all the relevant handlers. This is used to replay
+	 * recorded input (see
+	 * {{#crossLink "Canvace.InputPlayer"}}{{/crossLink}}).
+	 *
+	 * Dispatched events are not reported to the handlers registered through
+	 * {{#crossLink "Canvace.Keyboard/onInput"}}{{/crossLink}}.
+	 *
+	 * @method dispatchInput
+	 * @param type {String} The event type: `'keydown'`, `'keypress'` or
+	 * `'keyup'`.
+	 * @param event {Object} The event, in the format passed to the
+	 * {{#crossLink "Canvace.Keyboard/onInput"}}{{/crossLink}} handlers.
+	 */
+	this.dispatchInput = function (type, event) {
+		if (!processors.hasOwnProperty(type)) {
+			throw 'invalid keyboard event type: ' + type;
+		}
+		processors[type](event.keyCode);
+	};
 };
+
+/**
+ * The default step window setting of the
+ * {{#crossLink "Canvace.Keyboard/onSequence"}}{{/crossLink}} method, initially
+ * `500` milliseconds.
+ *
+ * @property defaultStepWindow
+ * @type Number
+ * @static
+ */
+Canvace.Keyboard.defaultStepWindow = 500;
+
+/**
+ * The default total window setting of the
+ * {{#crossLink "Canvace.Keyboard/onSequence"}}{{/crossLink}} method,
+ * initially `null` (no limit).
+ *
+ * @property defaultTotalWindow
+ * @type Number
+ * @static
+ */
+Canvace.Keyboard.defaultTotalWindow = null;
@@ -61,6 +61,61 @@
  * `[0, 100)` range.
  * @param [options.error] {Function} An optional callback function to invoke
  * whenever a loading error occurs.
+ * @param options.error.id {String} The ID of the image, the name of the sound
+ * or the URL of the atlas manifest that could not be loaded.
+ * @param options.error.type {String} The type of the asset that could not be
+ * loaded: either `'image'`, `'sound'` or `'atlas'`.
+ *
+ * The `complete` callback is invoked anyway when all the other assets have
+ * been loaded.
+ * @param [options.imageTimeout] {Number} An optional number of milliseconds
+ * after which the loading of an image is considered failed. By default there
+ * is no timeout.
+ * @param [options.imageRetries=0] {Number} The number of times the loading
+ * of an image is retried after a failure (either an error or a timeout)
+ * before giving up and invoking the `error` callback.
+ * @param [options.placeholder] {Mixed} An optional image used in place of
+ * the images that cannot be loaded. It can be either an `HTMLImageElement`,
+ * an `HTMLCanvasElement` or the URL of an image, which is then loaded along
+ * with the other images before the `complete` callback is invoked. Since the
+ * size of the placeholder becomes the size of the frames it replaces, a small
+ * image or canvas is recommended. When no placeholder is specified (or the
+ * placeholder itself cannot be loaded), the images that cannot be loaded are
+ * replaced by a transparent 1x1 canvas, so that the game can start anyway.
+ * @param [options.atlases] {Array} An optional array of texture atlas
+ * manifests (also known as sprite sheets) describing how frame images are
+ * packed into a few bigger images, so that only the bigger images need to be
+ * requested. Each element can be either a manifest object or the URL of a
+ * JSON manifest, relative to `imagesPath`.
+ *
+ * Manifests follow the JSON hash or JSON array format of TexturePacker: the
+ * `frames` field maps frame image IDs (optionally followed by a file
+ * extension, which is ignored) to regions of the image whose URL, relative
+ * to `imagesPath`, is specified by the `meta.image` field. Before loading the
+ * images, the loader rewrites the frame descriptors referring to those IDs so
+ * that they refer to the corresponding regions of the atlas images.
+ *
+ * Rotated and trimmed regions are not supported and are ignored, the
+ * corresponding images being loaded separately as usual.
+ * @example
+ *	var loader = new Canvace.Loader({
+ *		basePath: 'media',
+ *		atlases: ['sheet.json', {
+ *			frames: {
+ *				'12.png': {
+ *					frame: {x: 0, y: 0, w: 64, h: 32},
+ *					rotated: false,
+ *					trimmed: false
+ *				}
+ *			},
+ *			meta: {
+ *				image: 'tiles.png'
+ *			}
+ *		}],
+ *		complete: function () {
+ *			// ...
+ *		}
+ *	});
  */
 Canvace.Loader = function (options) {
 	function removeTrailingSlash(string) {
@@ -91,6 +146,10 @@ Canvace.Loader = function (options) {
 	var loadProgress = options.progress || function () {};
 	var loadError    = options.error    || function () {};
 
+	var imageTimeout = options.imageTimeout || 0;
+	var imageRetries = options.imageRetries || 0;
+	var placeholder = options.placeholder || null;
+
 	var thisObject = this;
 	var audio = new Canvace.Audio();
 
@@ -114,11 +173,223 @@ Canvace.Loader = function (options) {
 		}
 	}
 
+	var atlasFrames = {};
+	var atlasesLoaded = !options.atlases;
+
+	function addAtlas(manifest) {
+		function addFrame(name, frame) {
+			if (!frame.rotated && !frame.trimmed) {
+				atlasFrames[name.replace(/\.[^.\/]*$/, '')] = {
+					image: manifest.meta.image,
+					x: frame.frame.x,
+					y: frame.frame.y,
+					width: frame.frame.w,
+					height: frame.frame.h
+				};
+			}
+		}
+
+		if (Array.isArray(manifest.frames)) {
+			manifest.frames.forEach(function (frame) {
+				addFrame(frame.filename, frame);
+			});
+		} else {
+			for (var name in manifest.frames) {
+				if (manifest.frames.hasOwnProperty(name)) {
+					addFrame(name, manifest.frames[name]);
+				}
+			}
+		}
+	}
+
+	function loadAtlases(callback) {
+		var count = atlasesLoaded ? 0 : options.atlases.length;
+
+		function atlasLoaded() {
+			if (--count <= 0) {
+				atlasesLoaded = true;
+				callback();
+			}
+		}
+
+		if (!count) {
+			atlasLoaded();
+		} else {
+			options.atlases.forEach(function (atlas) {
+				if (typeof atlas === 'string') {
+					Canvace.Ajax.getJSON([options.imagesPath, atlas].join('/'), function (manifest) {
+						addAtlas(manifest);
+						atlasLoaded();
+					}, function () {
+						loadError(atlas, 'atlas');
+						atlasLoaded();
+					});
+				} else {
+					addAtlas(atlas);
+					atlasLoaded();
+				}
+			});
+		}
+	}
+
+	/*
+	 * Returns the frame arrays of the specified tile or entity descriptor: the
+	 * default `frames` array followed by those of the named animations.
+	 */
+	function getFrameLists(descriptor) {
+		var lists = [descriptor.frames];
+		for (var name in descriptor.animations) {
+			if (descriptor.animations.hasOwnProperty(name)) {
+				lists.push(descriptor.animations[name]);
+			}
+		}
+		return lists;
+	}
+
+	/*
+	 * Makes the frames of the specified tile or entity descriptor that are
+	 * packed in an atlas refer to their regions of the atlas image. If the
+	 * first frame of the default animation is one of them, the size of the
+	 * descriptor is set to the size of its region and `true` is returned.
+	 */
+	function rewriteFrames(descriptor) {
+		var rewritten = false;
+		getFrameLists(descriptor).forEach(function (frames) {
+			frames.forEach(function (frame, index) {
+				if (atlasFrames.hasOwnProperty(frame.id)) {
+					var region = atlasFrames[frame.id];
+					frame.id = region.image;
+					frame.x = region.x + (frame.x || 0);
+					frame.y = region.y + (frame.y || 0);
+					if (!frame.hasOwnProperty('width')) {
+						frame.width = region.width;
+						frame.height = region.height;
+					}
+					if ((frames === descriptor.frames) && !index) {
+						descriptor.width = frame.width;
+						descriptor.height = frame.height;
+						rewritten = true;
+					}
+				}
+			});
+		});
+		return rewritten;
+	}
+
+	/*
+	 * Loads the placeholder image if it was specified as a URL, then invokes
+	 * the callback. The placeholder is discarded if it cannot be loaded.
+	 */
+	function loadPlaceholder(callback) {
+		if (typeof placeholder !== 'string') {
+			callback();
+		} else {
+			var url = placeholder;
+			var image = new Image();
+			image.addEventListener('load', function () {
+				placeholder = image;
+				callback();
+			}, false);
+			image.addEventListener('error', function () {
+				loadError(url, 'image');
+				placeholder = null;
+				callback();
+			}, false);
+			image.src = url;
+		}
+	}
+
+	/*
+	 * Returns the image used in place of an image that cannot be loaded.
+	 */
+	function getPlaceholder() {
+		if (placeholder) {
+			return placeholder;
+		} else {
+			var canvas = document.createElement('canvas');
+			canvas.width = 1;
+			canvas.height = 1;
+			return canvas;
+		}
+	}
+
+	function countFrames(descriptor) {
+		return getFrameLists(descriptor).reduce(function (count, frames) {
+			return count + frames.length;
+		}, 0);
+	}
+
+	/*
+	 * Loads the image with the specified ID in the image set, retrying on
+	 * errors and timeouts as configured. The callback is invoked when the
+	 * image is loaded or, after reporting the error, when the loader gives up.
+	 */
+	function loadImage(id, callback) {
+		var attempts = 0;
+
+		function attempt() {
+			var image = new Image();
+			var settled = false;
+			var timeout = null;
+
+			function settle() {
+				if (settled) {
+					return false;
+				}
+				settled = true;
+				if (timeout !== null) {
+					clearTimeout(timeout);
+				}
+				image.removeEventListener('load', load, false);
+				image.removeEventListener('error', fail, false);
+				return true;
+			}
+
+			function load() {
+				if (settle()) {
+					callback();
+				}
+			}
+
+			function fail() {
+				if (settle()) {
+					if (attempts++ < imageRetries) {
+						attempt();
+					} else {
+						loadError(id, 'image');
+						imageset[id] = getPlaceholder();
+						callback();
+					}
+				}
+			}
+
+			imageset[id] = image;
+			image.addEventListener('load', load, false);
+			image.addEventListener('error', fail, false);
+			if (imageTimeout) {
+				timeout = setTimeout(fail, imageTimeout);
+			}
+			image.src = [options.imagesPath, id].join('/');
+		}
+
+		attempt();
+	}
+
 	function loadImages(data) {
 		if (typeof options.imagesPath !== 'string') {
 			throw 'Invalid value specified for "imagesPath"';
 		}
 
+		loadAtlases(function () {
+			loadPlaceholder(function () {
+				batchDescriptors(data);
+			});
+		});
+
+		return thisObject;
+	}
+
+	function batchDescriptors(data) {
 		var totalCount = 0;
 		var id;
 		var frames;
@@ -127,8 +398,8 @@ Canvace.Loader = function (options) {
 		for (id in data.tiles) {
 			if (data.tiles.hasOwnProperty(id)) {
 				frames = data.tiles[id].frames;
-				totalCount += frames.length;
-				if (frames.length) {
+				totalCount += countFrames(data.tiles[id]);
+				if (frames.length && !rewriteFrames(data.tiles[id])) {
 					if (!reverseTileFrameTable.hasOwnProperty(frames[0].id)) {
 						reverseTileFrameTable[frames[0].id] = new Canvace.MultiSet();
 					}
@@ -141,8 +412,8 @@ Canvace.Loader = function (options) {
 		for (id in data.entities) {
 			if (data.entities.hasOwnProperty(id)) {
 				frames = data.entities[id].frames;
-				totalCount += frames.length;
-				if (frames.length) {
+				totalCount += countFrames(data.entities[id]);
+				if (frames.length && !rewriteFrames(data.entities[id])) {
 					if (!reverseEntityFrameTable.hasOwnProperty(frames[0].id)) {
 						reverseEntityFrameTable[frames[0].id] = new Canvace.MultiSet();
 					}
@@ -163,17 +434,16 @@ Canvace.Loader = function (options) {
 					}(function (descriptors) {
 						for (var i in descriptors) {
 							if (descriptors.hasOwnProperty(i)) {
-								for (var j in descriptors[i].frames) {
-									if (descriptors[i].frames.hasOwnProperty(j)) {
-										var frame = descriptors[i].frames[j];
+								getFrameLists(descriptors[i]).forEach(function (frames) {
+									frames.forEach(function (frame) {
 										if (!frame.hasOwnProperty('x')) {
 											frame.x = 0;
 											frame.y = 0;
 											frame.width = imageset[frame.id].width;
 											frame.height = imageset[frame.id].height;
 										}
-									}
-								}
+									});
+								});
 							}
 						}
 					}));
@@ -203,24 +473,21 @@ Canvace.Loader = function (options) {
 
 		if (totalCount === 0) {
 			doProgress();
-			return thisObject;
+			return;
 		}
 
 		function batchImages(descriptor) {
-			for (var i in descriptor.frames) {
-				if (descriptor.frames.hasOwnProperty(i)) {
+			getFrameLists(descriptor).forEach(function (frames) {
+				frames.forEach(function (frame) {
 					(function (id, progress) {
 						if (id in imageset) {
 							progress();
 						} else {
-							var image = new Image();
-							imageset[id] = image;
-							image.addEventListener('load', progress, false);
-							image.src = [options.imagesPath, id].join('/');
+							loadImage(id, progress);
 						}
-					}(descriptor.frames[i].id, bindProgress(descriptor.frames[i].id)));
-				}
-			}
+					}(frame.id, bindProgress(frame.id)));
+				});
+			});
 		}
 
 		for (id in data.tiles) {
@@ -234,8 +501,6 @@ Canvace.Loader = function (options) {
 				batchImages(data.entities[id]);
 			}
 		}
-
-		return thisObject;
 	}
 
 	/**
@@ -297,7 +562,7 @@ Canvace.Loader = function (options) {
 
 		function triggerError(i) {
 			return function () {
-				loadError(i);
+				loadError(i, 'sound');
 			};
 		}
 
@@ -319,16 +584,31 @@ Canvace.Loader = function (options) {
 			return false;
 		}
 
+		function addSprites(spritemap) {
+			return function (node) {
+				for (var name in spritemap) {
+					if (spritemap.hasOwnProperty(name)) {
+						var sprite = spritemap[name];
+						soundset[name] = node.getSegment(sprite.start, sprite.end).setLooping(!!sprite.loop);
+					}
+				}
+				progress();
+			};
+		}
+
 		for (var i in sources) {
 			if (sources.hasOwnProperty(i)) {
 				if (i in soundset) {
 					progress();
 				} else {
-					var source = getSuitableSource(sources[i]);
+					var sprite = !Array.isArray(sources[i]);
+					var source = getSuitableSource(sprite ? sources[i].resources : sources[i]);
 
 					if (false === source) {
-						loadError(i);
+						loadError(i, 'sound');
 						progress();
+					} else if (sprite) {
+						soundset[i] = audio.load(source, addSprites(sources[i].spritemap), triggerError(i));
 					} else {
 						soundset[i] = audio.load(source, progress, triggerError(i));
 					}
@@ -342,8 +622,14 @@ Canvace.Loader = function (options) {
 	/**
 	 * Returns a `Canvace.Audio.SourceNode` representing the audio asset
 	 * identified by the specified name. This name corresponds to one of the
-	 * names specified to the `loadAssets` method. This method must be called
-	 * after the sounds have been loaded by the `loadAssets` method.
+	 * names specified to the `loadAssets` method, or to one of the sounds of
+	 * an audio sprite. This method must be called after the sounds have been
+	 * loaded by the `loadAssets` method.
+	 *
+	 * The sounds of an audio sprite only play their own segment of the audio
+	 * file. Use
+	 * {{#crossLink "Canvace.Audio.SourceNode/playClone"}}Audio.SourceNode.playClone{{/crossLink}}
+	 * to play the same sound more than once at the same time.
 	 *
 	 * @method getSound
 	 * @param name {String} A name identifying an audio asset.
@@ -376,6 +662,17 @@ Canvace.Loader = function (options) {
 	 * These objects represent the audio file sources that will be tried in
 	 * order, falling back to the next one if the browser doesn't support
 	 * playing the specified MIME type.
+	 *
+	 * A value can also be an audio sprite, i.e. a single audio file containing
+	 * many short sounds, which saves downloads on mobile browsers. Audio
+	 * sprites are described by objects in the format output by the
+	 * `audiosprite` tool, with two fields: `resources`, the array of source
+	 * descriptors of the file, and `spritemap`, a map where the keys are the
+	 * names of the sounds and the values are objects containing the `start`
+	 * and `end` time of each sound in seconds and an optional `loop` flag.
+	 * Each sound of the sprite can then be obtained by its name through the
+	 * {{#crossLink "Canvace.Loader/getSound"}}{{/crossLink}} method, while the
+	 * key of the sprite refers to the whole file.
 	 * @example
 	 *	var soundResources;
 	 *
@@ -403,6 +700,19 @@ Canvace.Loader = function (options) {
 	 *		'second-sound': ['second.mp3', 'second.ogg']
 	 *	};
 	 *
+	 *	// An audio sprite along with a regular sound
+	 *	soundResources = {
+	 *		'effects': {
+	 *			resources: ['effects.mp3', 'effects.ogg'],
+	 *			spritemap: {
+	 *				'coin': { start: 0, end: 0.4 },
+	 *				'jump': { start: 1, end: 1.25 },
+	 *				'engine': { start: 2, end: 4, loop: true }
+	 *			}
+	 *		},
+	 *		'theme': ['theme.mp3', 'theme.ogg']
+	 *	};
+	 *
 	 *	// Explicit, manual loading of the JSON resource
 	 *	Canvace.Ajax.getJSON('stage.json', function (stage) {
 	 *		var loader = new Canvace.Loader({
@@ -567,13 +877,33 @@ Canvace.Loader.getSourceInfo = function (source) {
  * @param name {String} A name identifying the audio asset.
  * @param [loop=false] {Boolean} An optional boolean value that indicates
  * whether the sound must be looped. It defaults to `false` when not specified.
+ * @param [settings] {Object} An optional dictionary of settings applied to the
+ * sound before playing it.
+ * @param [settings.volume] {Number} The volume of the sound (see
+ * {{#crossLink "Canvace.Audio.SourceNode/setVolume"}}Audio.SourceNode.setVolume{{/crossLink}}).
+ * @param [settings.bus] {String} The name of the mixer bus the sound is played
+ * through (see
+ * {{#crossLink "Canvace.Audio.SourceNode/setBus"}}Audio.SourceNode.setBus{{/crossLink}}).
  * @return {Canvace.Audio.SourceNode} An object that can be used to play
  * the sound back if the specified name is known, `null` otherwise.
+ * @example
+ *	loader.playSound('theme', true, {
+ *		bus: 'music',
+ *		volume: 0.8
+ *	});
  */
-Canvace.Loader.prototype.playSound = function (name, loop) {
+Canvace.Loader.prototype.playSound = function (name, loop, settings) {
 	var sound = this.getSound(name);
 	if (null !== sound) {
 		sound.setLooping(!!loop);
+		if (settings) {
+			if ('volume' in settings) {
+				sound.setVolume(settings.volume);
+			}
+			if ('bus' in settings) {
+				sound.setBus(settings.bus);
+			}
+		}
 		sound.play();
 	}
 	return sound;
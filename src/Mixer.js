@@ -0,0 +1,314 @@
+/*
+ *	Canvace's JavaScript Game Engine, canvace.js
+ *	Copyright (C) 2013  Canvace Srl  <http://www.canvace.com/>
+ *
+ *	Dual licensed under the MIT and GPLv3 licenses.
+ *
+ *	This program is free software: you can redistribute it and/or modify
+ *	it under the terms of the GNU General Public License as published by
+ *	the Free Software Foundation, either version 3 of the License, or
+ *	(at your option) any later version.
+ *
+ *	This program is distributed in the hope that it will be useful,
+ *	but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *	GNU General Public License for more details.
+ *
+ *	You should have received a copy of the GNU General Public License
+ *	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Static class that mixes all the sounds played through
+ * {{#crossLink "Canvace.Audio"}}Audio{{/crossLink}} objects (including the
+ * ones loaded by a {{#crossLink "Canvace.Loader"}}Loader{{/crossLink}}).
+ *
+ * Every sound is played through a named bus (see
+ * {{#crossLink "Canvace.Mixer.Bus"}}Mixer.Bus{{/crossLink}}), e.g. "music",
+ * "sfx" or "voice", and all the buses go through the master bus. Each bus has
+ * its own volume and can be muted independently, which makes it easy to
+ * implement the usual music and sound effects sliders.
+ *
+ * Buses are created on demand: any name can be used. Sounds are played
+ * through the bus specified by
+ * {{#crossLink "Canvace.Mixer/defaultBus"}}{{/crossLink}} unless a different
+ * one is set through
+ * {{#crossLink "Canvace.Audio.SourceNode/setBus"}}Audio.SourceNode.setBus{{/crossLink}}.
+ *
+ * Where WebAudio is available, each bus is a `GainNode` and all the sounds
+ * share the same `AudioContext`. Otherwise the volume of each
+ * `HTMLAudioElement` is computed by multiplying the volume of the sound by the
+ * volumes of its bus and of the master bus, in which case the resulting volume
+ * cannot exceed 1.
+ *
+ * @class Canvace.Mixer
+ * @static
+ * @example
+ *	Canvace.Mixer.getBus('music').setVolume(0.5);
+ *	Canvace.Mixer.getMaster().mute();
+ *	loader.getSound('theme').setBus('music').setLooping(true).play();
+ */
+Canvace.Mixer = (function () {
+	var AudioContext = Canvace.Polyfill.getPrefixedConstructor('AudioContext');
+	var context = null;
+
+	function getContext() {
+		if ((context === null) && (typeof AudioContext !== 'undefined')) {
+			context = new AudioContext();
+		}
+		return context;
+	}
+
+	function createGain() {
+		if (context.createGain) {
+			return context.createGain();
+		} else {
+			return context.createGainNode();
+		}
+	}
+
+	/**
+	 * A mixer bus. Buses are obtained through the
+	 * {{#crossLink "Canvace.Mixer/getBus"}}Mixer.getBus{{/crossLink}} and
+	 * {{#crossLink "Canvace.Mixer/getMaster"}}Mixer.getMaster{{/crossLink}}
+	 * methods and cannot be instantiated directly.
+	 *
+	 * @class Canvace.Mixer.Bus
+	 */
+	function Bus(name, parent) {
+		var thisObject = this;
+		var volume = 1;
+		var muted = false;
+		var changeHandlers = new Canvace.MultiSet();
+		var playbacks = new Canvace.MultiSet();
+
+		var node = null;
+		if (getContext() !== null) {
+			node = createGain();
+			node.connect(parent ? parent.getNode() : context.destination);
+		}
+
+		function update() {
+			if (node !== null) {
+				node.gain.value = muted ? 0 : volume;
+			}
+			changeHandlers.fastForEach(function (handler) {
+				handler(thisObject);
+			});
+		}
+
+		if (parent) {
+			parent.onChange(update);
+		}
+
+		/**
+		 * Returns the name of the bus.
+		 *
+		 * @method getName
+		 * @return {String} The name of the bus, or `'master'` for the master
+		 * bus.
+		 */
+		this.getName = function () {
+			return name;
+		};
+
+		/**
+		 * Returns the volume of the bus.
+		 *
+		 * @method getVolume
+		 * @return {Number} The volume, initially 1.
+		 */
+		this.getVolume = function () {
+			return volume;
+		};
+
+		/**
+		 * Sets the volume of the bus. The volume is a gain factor: 0 means
+		 * silence and 1 means the original volume. Muting the bus does not
+		 * change its volume.
+		 *
+		 * @method setVolume
+		 * @param value {Number} The new volume, a non-negative number.
+		 * @chainable
+		 */
+		this.setVolume = function (value) {
+			if ((typeof value !== 'number') || (value < 0)) {
+				throw 'the volume must be a non-negative number';
+			}
+			volume = value;
+			update();
+			return thisObject;
+		};
+
+		/**
+		 * Indicates whether the bus is muted.
+		 *
+		 * @method isMuted
+		 * @return {Boolean} `true` if the bus is muted, `false` otherwise.
+		 */
+		this.isMuted = function () {
+			return muted;
+		};
+
+		/**
+		 * Mutes or unmutes the bus.
+		 *
+		 * @method setMuted
+		 * @param value {Boolean} `true` to mute the bus, `false` to unmute it.
+		 * @chainable
+		 */
+		this.setMuted = function (value) {
+			muted = !!value;
+			update();
+			return thisObject;
+		};
+
+		/**
+		 * Mutes the bus. Equivalent to `setMuted(true)`.
+		 *
+		 * @method mute
+		 * @chainable
+		 */
+		this.mute = function () {
+			return thisObject.setMuted(true);
+		};
+
+		/**
+		 * Unmutes the bus. Equivalent to `setMuted(false)`.
+		 *
+		 * @method unmute
+		 * @chainable
+		 */
+		this.unmute = function () {
+			return thisObject.setMuted(false);
+		};
+
+		/**
+		 * Returns the actual gain applied to the sounds played through this
+		 * bus, taking into account the volume and the muted state of both
+		 * this bus and the master bus.
+		 *
+		 * @method getEffectiveVolume
+		 * @return {Number} The effective volume.
+		 */
+		this.getEffectiveVolume = function () {
+			if (muted) {
+				return 0;
+			} else if (parent) {
+				return volume * parent.getEffectiveVolume();
+			} else {
+				return volume;
+			}
+		};
+
+		/**
+		 * Returns the WebAudio `GainNode` of this bus, which can be used to
+		 * route the sounds through further WebAudio nodes.
+		 *
+		 * @method getNode
+		 * @return {GainNode} The `GainNode` of the bus, or `null` if WebAudio
+		 * is not available.
+		 */
+		this.getNode = function () {
+			return node;
+		};
+
+		/**
+		 * Registers a handler that gets called every time the effective volume
+		 * of the bus may have changed, that is when the volume or the muted
+		 * state of this bus or of the master bus change.
+		 *
+		 * @method onChange
+		 * @param handler {Function} A user-defined function that receives one
+		 * argument, this bus.
+		 * @return {Function} A function that unregisters the registered
+		 * handler.
+		 */
+		this.onChange = function (handler) {
+			return changeHandlers.add(handler);
+		};
+
+		/**
+		 * Registers a sound being played through this bus. Sounds register
+		 * themselves when they start playing, so you do not usually need to
+		 * call this method.
+		 *
+		 * @method addPlayback
+		 * @param sound {Canvace.Audio.SourceNode} The playing sound.
+		 * @return {Function} A function that unregisters the sound, to be
+		 * called when it stops playing.
+		 */
+		this.addPlayback = function (sound) {
+			return playbacks.add(sound);
+		};
+
+		/**
+		 * Indicates whether any sound is currently being played through this
+		 * bus, regardless of its volume.
+		 *
+		 * @method isPlaying
+		 * @return {Boolean} `true` if any sound is playing, `false`
+		 * otherwise.
+		 */
+		this.isPlaying = function () {
+			return !playbacks.isEmpty();
+		};
+	}
+
+	var master = null;
+	var buses = {};
+
+	function getMaster() {
+		if (master === null) {
+			master = new Bus('master', null);
+		}
+		return master;
+	}
+
+	return {
+		/**
+		 * Returns the `AudioContext` shared by all the sounds, creating it if
+		 * needed.
+		 *
+		 * @method getContext
+		 * @static
+		 * @return {AudioContext} The `AudioContext`, or `null` if WebAudio is
+		 * not available.
+		 */
+		getContext: getContext,
+
+		/**
+		 * Returns the master bus, which all the other buses go through.
+		 *
+		 * @method getMaster
+		 * @static
+		 * @return {Canvace.Mixer.Bus} The master bus.
+		 */
+		getMaster: getMaster,
+
+		/**
+		 * Returns the bus with the specified name, creating it if needed.
+		 *
+		 * @method getBus
+		 * @static
+		 * @param name {String} The name of the bus.
+		 * @return {Canvace.Mixer.Bus} The bus.
+		 */
+		getBus: function (name) {
+			if (!buses.hasOwnProperty(name)) {
+				buses[name] = new Bus(name, getMaster());
+			}
+			return buses[name];
+		},
+
+		/**
+		 * The name of the bus sounds are played through by default, initially
+		 * `'sfx'`.
+		 *
+		 * @property defaultBus
+		 * @type String
+		 * @static
+		 */
+		defaultBus: 'sfx'
+	};
+}());
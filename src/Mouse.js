@@ -21,6 +21,18 @@
 /**
  * Helper class that eases cross-browser mouse input management.
  *
+ * Touch input is captured as well. The first touch that starts when no other
+ * touch is active (the "primary" touch) is reported to the mouse handlers as
+ * if it were the left mouse button, so that `onDown`, `onMove`, `onUp` and
+ * `onDrag` work on touch screens without any changes; all touches, including
+ * the primary one, are also reported to the dedicated multi-touch handlers
+ * (see {{#crossLink "Canvace.Mouse/onTouchStart"}}{{/crossLink}},
+ * {{#crossLink "Canvace.Mouse/onTouchMove"}}{{/crossLink}} and
+ * {{#crossLink "Canvace.Mouse/onTouchEnd"}}{{/crossLink}}).
+ *
+ * The default action of touch events is prevented, so that the browser does
+ * not scroll the page nor emulate mouse events while the element is touched.
+ *
  * @class Canvace.Mouse
  * @constructor
  * @param element {HTMLElement} The HTML element that captures mouse input. This
@@ -32,66 +44,206 @@ Canvace.Mouse = function (element) {
 	var upHandlers = new Canvace.MultiSet();
 	var dragHandlers = new Canvace.MultiSet();
 	var wheelHandlers = new Canvace.MultiSet();
+	var touchStartHandlers = new Canvace.MultiSet();
+	var touchMoveHandlers = new Canvace.MultiSet();
+	var touchEndHandlers = new Canvace.MultiSet();
 
 	var dragging = false, button = 0;
 	var x0, y0;
 
-	function wrapEventHandler(handler) {
-		return function (event) {
-			var rect = element.getBoundingClientRect();
-			handler.call(
-				element,
-				event,
-				event.clientX - rect.left,
-				event.clientY - rect.top
-				);
+	var touches = {};
+	var primaryTouch = null;
+
+	function touchStart(id, x, y) {
+		touches[id] = {
+			id: id,
+			x: x,
+			y: y
 		};
+		if (primaryTouch === null) {
+			primaryTouch = id;
+			button = 0;
+			dragging = true;
+			x0 = x;
+			y0 = y;
+			downHandlers.fastForEach(function (handler) {
+				handler(x, y, 0);
+			});
+		}
+		touchStartHandlers.fastForEach(function (handler) {
+			handler(id, x, y);
+		});
 	}
 
-	element.addEventListener('mousedown', wrapEventHandler(function (event, x, y) {
-		button = event.button;
-		dragging = true;
-
-		x0 = x;
-		y0 = y;
-		downHandlers.fastForEach(function (handler) {
-			handler(x, y, event.button);
-		});
-	}), false);
-	element.addEventListener('mousemove', wrapEventHandler(function (event, x, y) {
-		moveHandlers.fastForEach(function (handler) {
-			handler(x, y);
-		});
-		if (dragging) {
+	function touchMove(id, x, y) {
+		if (touches.hasOwnProperty(id)) {
+			touches[id].x = x;
+			touches[id].y = y;
+		}
+		if (id === primaryTouch) {
+			moveHandlers.fastForEach(function (handler) {
+				handler(x, y);
+			});
 			dragHandlers.fastForEach(function (handler) {
-				handler(x0, y0, x, y, button);
+				handler(x0, y0, x, y, 0);
 			});
 			x0 = x;
 			y0 = y;
 		}
-	}), false);
-	element.addEventListener('mouseup', wrapEventHandler(function (event, x, y) {
-		dragging = false;
-		upHandlers.fastForEach(function (handler) {
-			handler(x, y, event.button);
+		touchMoveHandlers.fastForEach(function (handler) {
+			handler(id, x, y);
 		});
-	}), false);
+	}
 
-	if (typeof element.onwheel !== 'undefined') {
-		element.addEventListener('wheel', wrapEventHandler(function (event, x, y) {
-			wheelHandlers.fastForEach(function (handler) {
-				handler(x, y, -event.deltaX, -event.deltaY);
+	function touchEnd(id, x, y, cancelled) {
+		delete touches[id];
+		if (id === primaryTouch) {
+			primaryTouch = null;
+			dragging = false;
+			upHandlers.fastForEach(function (handler) {
+				handler(x, y, 0);
 			});
-		}), false);
-	} else if (typeof element.onmousewheel !== 'undefined') {
-		element.addEventListener('mousewheel', wrapEventHandler(function (event, x, y) {
+		}
+		touchEndHandlers.fastForEach(function (handler) {
+			handler(id, x, y, cancelled);
+		});
+	}
+
+	function forEachTouch(event, action) {
+		for (var i = 0; i < event.touches.length; i++) {
+			var touch = event.touches[i];
+			action(touch.id, touch.x, touch.y);
+		}
+	}
+
+	/*
+	 * The processors receive plain objects rather than DOM events, with
+	 * coordinates already relative to the element, so that the same events can
+	 * be recorded and later dispatched (see the `onInput` and `dispatchInput`
+	 * methods).
+	 */
+	var processors = {
+		mousedown: function (event) {
+			button = event.button;
+			dragging = true;
+
+			x0 = event.x;
+			y0 = event.y;
+			downHandlers.fastForEach(function (handler) {
+				handler(event.x, event.y, event.button);
+			});
+		},
+		mousemove: function (event) {
+			moveHandlers.fastForEach(function (handler) {
+				handler(event.x, event.y);
+			});
+			if (dragging) {
+				dragHandlers.fastForEach(function (handler) {
+					handler(x0, y0, event.x, event.y, button);
+				});
+				x0 = event.x;
+				y0 = event.y;
+			}
+		},
+		mouseup: function (event) {
+			dragging = false;
+			upHandlers.fastForEach(function (handler) {
+				handler(event.x, event.y, event.button);
+			});
+		},
+		wheel: function (event) {
 			wheelHandlers.fastForEach(function (handler) {
-				handler(x, y, event.wheelDeltaX, event.wheelDeltaY);
+				handler(event.x, event.y, event.deltaX, event.deltaY);
+			});
+		},
+		touchstart: function (event) {
+			forEachTouch(event, touchStart);
+		},
+		touchmove: function (event) {
+			forEachTouch(event, touchMove);
+		},
+		touchend: function (event) {
+			forEachTouch(event, function (id, x, y) {
+				touchEnd(id, x, y, false);
+			});
+		},
+		touchcancel: function (event) {
+			forEachTouch(event, function (id, x, y) {
+				touchEnd(id, x, y, true);
+			});
+		}
+	};
+
+	var inputHandlers = new Canvace.MultiSet();
+
+	function listen(domType, type, convert) {
+		element.addEventListener(domType, function (event) {
+			var rect = element.getBoundingClientRect();
+			var data = convert(event, rect.left, rect.top);
+			inputHandlers.fastForEach(function (handler) {
+				handler(type, data);
 			});
-		}), false);
+			processors[type](data);
+		}, false);
+	}
+
+	function convertMouseEvent(event, left, top) {
+		return {
+			x: event.clientX - left,
+			y: event.clientY - top,
+			button: event.button
+		};
+	}
+
+	function convertTouchEvent(event, left, top) {
+		event.preventDefault();
+		var result = {
+			touches: []
+		};
+		for (var i = 0; i < event.changedTouches.length; i++) {
+			var touch = event.changedTouches[i];
+			result.touches.push({
+				id: touch.identifier,
+				x: touch.clientX - left,
+				y: touch.clientY - top
+			});
+		}
+		return result;
+	}
+
+	listen('mousedown', 'mousedown', convertMouseEvent);
+	listen('mousemove', 'mousemove', function (event, left, top) {
+		return {
+			x: event.clientX - left,
+			y: event.clientY - top
+		};
+	});
+	listen('mouseup', 'mouseup', convertMouseEvent);
+
+	if (typeof element.onwheel !== 'undefined') {
+		listen('wheel', 'wheel', function (event, left, top) {
+			return {
+				x: event.clientX - left,
+				y: event.clientY - top,
+				deltaX: -event.deltaX,
+				deltaY: -event.deltaY
+			};
+		});
+	} else if (typeof element.onmousewheel !== 'undefined') {
+		listen('mousewheel', 'wheel', function (event, left, top) {
+			return {
+				x: event.clientX - left,
+				y: event.clientY - top,
+				deltaX: event.wheelDeltaX,
+				deltaY: event.wheelDeltaY
+			};
+		});
 	}
 
-	// TODO capture touch events
+	listen('touchstart', 'touchstart', convertTouchEvent);
+	listen('touchmove', 'touchmove', convertTouchEvent);
+	listen('touchend', 'touchend', convertTouchEvent);
+	listen('touchcancel', 'touchcancel', convertTouchEvent);
 
 	/**
 	 * Registers the specified user-defined event handler that is invoked every
@@ -251,4 +403,169 @@ Canvace.Mouse = function (element) {
 	this.onWheel = function (handler) {
 		return wheelHandlers.add(handler);
 	};
+
+	/**
+	 * Registers the specified user-defined event handler that is invoked every
+	 * time a finger touches the HTML element.
+	 *
+	 * The specified function receives three arguments: `id`, a number
+	 * identifying the touch for as long as it lasts, and `x` and `y`, the
+	 * coordinates of the touch relative to the element's left top corner.
+	 * The return value is ignored.
+	 *
+	 * This method returns a function that unregisters the registered handler.
+	 *
+	 * Multiple handlers may be registered. The same handler may also be
+	 * registered more than once, in which case it gets called as many times as
+	 * it was registered every time a touch starts.
+	 *
+	 * If a handler is registered more than once, the function returned by this
+	 * method only removes its own registration.
+	 *
+	 * @method onTouchStart
+	 * @param handler {Function} A user-defined handler function. The specified
+	 * function receives three arguments (the ID and the coordinates of the
+	 * touch) and its return value is ignored.
+	 * @return {Function} A function that unregisters the registered handler.
+	 * The returned function does not receive any arguments and does not return
+	 * anything.
+	 */
+	this.onTouchStart = function (handler) {
+		return touchStartHandlers.add(handler);
+	};
+
+	/**
+	 * Registers the specified user-defined event handler that is invoked every
+	 * time a finger touching the HTML element moves.
+	 *
+	 * The specified function receives three arguments: `id`, the number
+	 * identifying the touch (the same number passed to the `onTouchStart`
+	 * handlers when it started), and `x` and `y`, the new coordinates of the
+	 * touch relative to the element's left top corner. The return value is
+	 * ignored.
+	 *
+	 * This method returns a function that unregisters the registered handler.
+	 *
+	 * Multiple handlers may be registered. The same handler may also be
+	 * registered more than once, in which case it gets called as many times as
+	 * it was registered every time a touch moves.
+	 *
+	 * If a handler is registered more than once, the function returned by this
+	 * method only removes its own registration.
+	 *
+	 * @method onTouchMove
+	 * @param handler {Function} A user-defined handler function. The specified
+	 * function receives three arguments (the ID and the coordinates of the
+	 * touch) and its return value is ignored.
+	 * @return {Function} A function that unregisters the registered handler.
+	 * The returned function does not receive any arguments and does not return
+	 * anything.
+	 */
+	this.onTouchMove = function (handler) {
+		return touchMoveHandlers.add(handler);
+	};
+
+	/**
+	 * Registers the specified user-defined event handler that is invoked every
+	 * time a finger stops touching the HTML element, or the touch is cancelled
+	 * by the browser.
+	 *
+	 * The specified function receives four arguments: `id`, the number
+	 * identifying the touch, `x` and `y`, the last coordinates of the touch
+	 * relative to the element's left top corner, and `cancelled`, a boolean
+	 * value indicating whether the touch has been cancelled rather than
+	 * ended by the user. The return value is ignored.
+	 *
+	 * This method returns a function that unregisters the registered handler.
+	 *
+	 * Multiple handlers may be registered. The same handler may also be
+	 * registered more than once, in which case it gets called as many times as
+	 * it was registered every time a touch ends.
+	 *
+	 * If a handler is registered more than once, the function returned by this
+	 * method only removes its own registration.
+	 *
+	 * @method onTouchEnd
+	 * @param handler {Function} A user-defined handler function. The specified
+	 * function receives four arguments (the ID and the coordinates of the
+	 * touch and the `cancelled` flag) and its return value is ignored.
+	 * @return {Function} A function that unregisters the registered handler.
+	 * The returned function does not receive any arguments and does not return
+	 * anything.
+	 */
+	this.onTouchEnd = function (handler) {
+		return touchEndHandlers.add(handler);
+	};
+
+	/**
+	 * Returns the touches currently active on the HTML element.
+	 *
+	 * @method getTouches
+	 * @return {Array} An array of objects, one for each active touch, in no
+	 * particular order. Each object contains three fields: `id`, the number
+	 * identifying the touch, and `x` and `y`, its coordinates relative to the
+	 * element's left top corner.
+	 */
+	this.getTouches = function () {
+		var result = [];
+		for (var id in touches) {
+			if (touches.hasOwnProperty(id)) {
+				result.push({
+					id: touches[id].id,
+					x: touches[id].x,
+					y: touches[id].y
+				});
+			}
+		}
+		return result;
+	};
+
+	/**
+	 * Registers a handler that gets called for every mouse and touch event
+	 * captured by this object, before it is processed. This is used to record
+	 * input (see {{#crossLink "Canvace.InputRecorder"}}{{/crossLink}}).
+	 *
+	 * The handler receives two arguments: the event type (`'mousedown'`,
+	 * `'mousemove'`, `'mouseup'`, `'wheel'`, `'touchstart'`, `'touchmove'`,
+	 * `'touchend'` or `'touchcancel'`) and a plain object describing the
+	 * event that can be serialized to JSON and later fed to the
+	 * {{#crossLink "Canvace.Mouse/dispatchInput"}}{{/crossLink}} method.
+	 *
+	 * Mouse events are described by the `x` and `y` coordinates relative to
+	 * the element's left top corner, plus the `button` field for button events
+	 * and the normalized `deltaX` and `deltaY` fields for wheel events. Touch
+	 * events are described by a `touches` array containing the changed
+	 * touches, each one with `id`, `x` and `y` fields.
+	 *
+	 * This method returns a function that unregisters the registered handler.
+	 *
+	 * @method onInput
+	 * @param handler {Function} A user-defined function that gets called for
+	 * each event.
+	 * @return {Function} A function that unregisters the registered handler.
+	 */
+	this.onInput = function (handler) {
+		return inputHandlers.add(handler);
+	};
+
+	/**
+	 * Processes a mouse or touch event as if it had been captured by the HTML
+	 * element, invoking all the relevant handlers. This is used to replay
+	 * recorded input (see
+	 * {{#crossLink "Canvace.InputPlayer"}}{{/crossLink}}).
+	 *
+	 * Dispatched events are not reported to the handlers registered through
+	 * {{#crossLink "Canvace.Mouse/onInput"}}{{/crossLink}}.
+	 *
+	 * @method dispatchInput
+	 * @param type {String} The event type.
+	 * @param event {Object} The event, in the format passed to the
+	 * {{#crossLink "Canvace.Mouse/onInput"}}{{/crossLink}} handlers.
+	 */
+	this.dispatchInput = function (type, event) {
+		if (!processors.hasOwnProperty(type)) {
+			throw 'invalid mouse event type: ' + type;
+		}
+		processors[type](event);
+	};
 };
@@ -0,0 +1,443 @@
+/*
+ *	Canvace's JavaScript Game Engine, canvace.js
+ *	Copyright (C) 2013  Canvace Srl  <http://www.canvace.com/>
+ *
+ *	Dual licensed under the MIT and GPLv3 licenses.
+ *
+ *	This program is free software: you can redistribute it and/or modify
+ *	it under the terms of the GNU General Public License as published by
+ *	the Free Software Foundation, either version 3 of the License, or
+ *	(at your option) any later version.
+ *
+ *	This program is distributed in the hope that it will be useful,
+ *	but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *	GNU General Public License for more details.
+ *
+ *	You should have received a copy of the GNU General Public License
+ *	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Plays a playlist of music tracks, in sequence or shuffled, crossfading from
+ * each track to the next one and temporarily lowering the music volume
+ * ("ducking") while sounds are played through some other mixer buses, e.g.
+ * voice lines.
+ *
+ * Tracks are {{#crossLink "Canvace.Audio.SourceNode"}}Audio.SourceNode{{/crossLink}}
+ * objects, e.g. obtained through
+ * {{#crossLink "Canvace.Loader/getSound"}}Loader.getSound{{/crossLink}}; a
+ * clone of each track is played, so the specified nodes are left untouched.
+ * All the tracks are played through the same
+ * {{#crossLink "Canvace.Mixer"}}Mixer{{/crossLink}} bus.
+ *
+ * The playlist can be replaced at any time by the
+ * {{#crossLink "Canvace.MusicPlayer/setTracks"}}{{/crossLink}} method, which
+ * crossfades from the current track to the new one: use it to switch music
+ * when changing level.
+ *
+ * Fades are performed by a timer that only runs while music is playing.
+ *
+ * @class Canvace.MusicPlayer
+ * @constructor
+ * @param tracks {Canvace.Audio.SourceNode[]} The tracks of the playlist.
+ * @param [settings] {Object} An optional dictionary of settings.
+ * @param [settings.bus='music'] {String} The name of the mixer bus the tracks
+ * are played through.
+ * @param [settings.volume=1] {Number} The volume of the music.
+ * @param [settings.shuffle=false] {Boolean} Indicates whether the tracks are
+ * played in random order rather than in sequence.
+ * @param [settings.loop=true] {Boolean} Indicates whether the playlist starts
+ * again from the first track after the last one. Shuffled playlists never
+ * end if this is `true`.
+ * @param [settings.crossfade=Canvace.MusicPlayer.defaultCrossfade] {Number}
+ * The duration of crossfades, in milliseconds.
+ * @param [settings.duckBuses=['voice']] {String[]} The names of the mixer
+ * buses that cause the music to be ducked while any sound is playing through
+ * them.
+ * @param [settings.duckVolume=Canvace.MusicPlayer.defaultDuckVolume]
+ * {Number} The factor the music volume is multiplied by while ducked.
+ * @param [settings.duckFade=Canvace.MusicPlayer.defaultDuckFade] {Number}
+ * The time in milliseconds it takes to duck the music and to restore it.
+ * @param [settings.random] {Canvace.Random} An optional random number
+ * generator used to shuffle the tracks. `Math.random` is used if not
+ * specified.
+ * @example
+ *	var music = new Canvace.MusicPlayer([
+ *		loader.getSound('level1-a'),
+ *		loader.getSound('level1-b')
+ *	], {
+ *		shuffle: true
+ *	});
+ *	music.play();
+ *	// later, when the level changes
+ *	music.setTracks([loader.getSound('boss')]);
+ */
+Canvace.MusicPlayer = function (tracks, settings) {
+	if (typeof settings === 'undefined') {
+		settings = {};
+	}
+	var bus = ('bus' in settings) ? settings.bus : 'music';
+	var volume = ('volume' in settings) ? settings.volume : 1;
+	var shuffle = !!settings.shuffle;
+	var loop = ('loop' in settings) ? !!settings.loop : true;
+	var crossfade = ('crossfade' in settings) ? settings.crossfade : Canvace.MusicPlayer.defaultCrossfade;
+	var duckBuses = ('duckBuses' in settings) ? settings.duckBuses : ['voice'];
+	var duckVolume = ('duckVolume' in settings) ? settings.duckVolume : Canvace.MusicPlayer.defaultDuckVolume;
+	var duckFade = ('duckFade' in settings) ? settings.duckFade : Canvace.MusicPlayer.defaultDuckFade;
+	var random = settings.random || null;
+
+	var thisObject = this;
+
+	/*
+	 * Each voice is a playing clone of a track, with its own fade: the gain
+	 * goes from `from` to `to` in `duration` milliseconds starting at `start`.
+	 * The last voice is the current one, the others are fading out.
+	 */
+	var voices = [];
+	var current = null;
+	var duckGain = 1;
+	var lastUpdate = 0;
+	var timer = null;
+
+	function fadeGain(voice, now) {
+		if (voice.duration <= 0) {
+			return voice.to;
+		} else {
+			var progress = Math.min(1, (now - voice.start) / voice.duration);
+			return voice.from + (voice.to - voice.from) * progress;
+		}
+	}
+
+	function fade(voice, to, duration, now) {
+		voice.from = fadeGain(voice, now);
+		voice.to = to;
+		voice.start = now;
+		voice.duration = duration;
+	}
+
+	function randomIndex(count) {
+		return Math.floor((random ? random.next() : Math.random()) * count);
+	}
+
+	function nextIndex() {
+		if (tracks.length === 0) {
+			return null;
+		} else if (current === null) {
+			return shuffle ? randomIndex(tracks.length) : 0;
+		} else if (shuffle) {
+			if (tracks.length < 2) {
+				return loop ? current : null;
+			}
+			// never play the same track twice in a row
+			var index = randomIndex(tracks.length - 1);
+			return (index < current) ? index : index + 1;
+		} else if (current + 1 < tracks.length) {
+			return current + 1;
+		} else {
+			return loop ? 0 : null;
+		}
+	}
+
+	function isDucking() {
+		for (var i = 0; i < duckBuses.length; i++) {
+			if (Canvace.Mixer.getBus(duckBuses[i]).isPlaying()) {
+				return true;
+			}
+		}
+		return false;
+	}
+
+	function stopTimer() {
+		if (timer !== null) {
+			clearInterval(timer);
+			timer = null;
+		}
+	}
+
+	function start(index, duration, now) {
+		if (voices.length) {
+			fade(voices[voices.length - 1], 0, duration, now);
+		}
+		current = index;
+		if (index !== null) {
+			var voice = {
+				node: tracks[index].clone().setBus(bus).setLooping(false),
+				from: 0,
+				to: 1,
+				start: now,
+				duration: voices.length ? duration : 0
+			};
+			voices.push(voice);
+			voice.node.setVolume(0).play();
+		}
+	}
+
+	function update() {
+		var now = Canvace.Timing.now();
+		var elapsed = now - lastUpdate;
+		lastUpdate = now;
+
+		var target = isDucking() ? duckVolume : 1;
+		if (duckFade <= 0) {
+			duckGain = target;
+		} else if (duckGain < target) {
+			duckGain = Math.min(target, duckGain + elapsed * (1 - duckVolume) / duckFade);
+		} else {
+			duckGain = Math.max(target, duckGain - elapsed * (1 - duckVolume) / duckFade);
+		}
+
+		var last = voices[voices.length - 1];
+		if (last && (current !== null)) {
+			if (!last.node.isPlaying()) {
+				start(nextIndex(), 0, now);
+			} else if (crossfade > 0) {
+				var duration = last.node.getDuration();
+				if ((duration !== null) && ((duration - last.node.getCurrentTime()) * 1000 <= crossfade)) {
+					var index = nextIndex();
+					if (index !== null) {
+						start(index, crossfade, now);
+					}
+				}
+			}
+		}
+
+		voices = voices.filter(function (voice) {
+			var gain = fadeGain(voice, now);
+			if (((gain <= 0) && (voice.to <= 0)) || !voice.node.isPlaying()) {
+				voice.node.pause();
+				return false;
+			} else {
+				voice.node.setVolume(volume * duckGain * gain);
+				return true;
+			}
+		});
+
+		if (!voices.length) {
+			current = null;
+			stopTimer();
+		}
+	}
+
+	function startTimer() {
+		if (timer === null) {
+			lastUpdate = Canvace.Timing.now();
+			timer = setInterval(update, Canvace.MusicPlayer.updatePeriod);
+		}
+	}
+
+	/**
+	 * Starts playing the specified track, or the next one if no index is
+	 * specified. If another track is playing, the player crossfades to the
+	 * new one.
+	 *
+	 * @method play
+	 * @param [index] {Number} The index of the track to play.
+	 * @chainable
+	 */
+	this.play = function (index) {
+		if (typeof index !== 'number') {
+			index = nextIndex();
+		}
+		if (index !== null) {
+			if ((index < 0) || (index >= tracks.length)) {
+				throw 'invalid track index: ' + index;
+			}
+			start(index, crossfade, Canvace.Timing.now());
+			startTimer();
+			update();
+		}
+		return thisObject;
+	};
+
+	/**
+	 * Crossfades to the next track of the playlist. Equivalent to calling
+	 * {{#crossLink "Canvace.MusicPlayer/play"}}{{/crossLink}} with no
+	 * arguments.
+	 *
+	 * @method next
+	 * @chainable
+	 */
+	this.next = function () {
+		return thisObject.play();
+	};
+
+	/**
+	 * Fades out the music and stops playing.
+	 *
+	 * @method stop
+	 * @param [duration] {Number} The duration of the fade in milliseconds.
+	 * Defaults to the crossfade duration; specify 0 to stop immediately.
+	 * @chainable
+	 */
+	this.stop = function (duration) {
+		if (typeof duration !== 'number') {
+			duration = crossfade;
+		}
+		if (voices.length) {
+			fade(voices[voices.length - 1], 0, duration, Canvace.Timing.now());
+			current = null;
+			update();
+		}
+		return thisObject;
+	};
+
+	/**
+	 * Indicates whether the player is playing, including while the last
+	 * track is fading out after a
+	 * {{#crossLink "Canvace.MusicPlayer/stop"}}{{/crossLink}} call.
+	 *
+	 * @method isPlaying
+	 * @return {Boolean} `true` if some music is playing, `false` otherwise.
+	 */
+	this.isPlaying = function () {
+		return voices.length > 0;
+	};
+
+	/**
+	 * Returns the index of the current track.
+	 *
+	 * @method getCurrentIndex
+	 * @return {Number} The index of the current track, or `null` if the
+	 * player is stopped.
+	 */
+	this.getCurrentIndex = function () {
+		return current;
+	};
+
+	/**
+	 * Returns the tracks of the playlist.
+	 *
+	 * @method getTracks
+	 * @return {Canvace.Audio.SourceNode[]} The tracks.
+	 */
+	this.getTracks = function () {
+		return tracks.slice();
+	};
+
+	/**
+	 * Replaces the playlist. If the player is playing, it crossfades to the
+	 * first track of the new playlist (or to a random one if shuffled).
+	 *
+	 * @method setTracks
+	 * @param newTracks {Canvace.Audio.SourceNode[]} The new tracks.
+	 * @chainable
+	 */
+	this.setTracks = function (newTracks) {
+		var playing = (current !== null);
+		tracks = newTracks.slice();
+		current = null;
+		if (playing) {
+			thisObject.play();
+		}
+		return thisObject;
+	};
+
+	/**
+	 * Indicates whether the playlist is shuffled.
+	 *
+	 * @method isShuffled
+	 * @return {Boolean} `true` if the playlist is shuffled, `false`
+	 * otherwise.
+	 */
+	this.isShuffled = function () {
+		return shuffle;
+	};
+
+	/**
+	 * Enables or disables shuffling. The change takes effect from the next
+	 * track.
+	 *
+	 * @method setShuffle
+	 * @param value {Boolean} `true` to shuffle the playlist, `false` to play
+	 * it in sequence.
+	 * @chainable
+	 */
+	this.setShuffle = function (value) {
+		shuffle = !!value;
+		return thisObject;
+	};
+
+	/**
+	 * Returns the volume of the music.
+	 *
+	 * @method getVolume
+	 * @return {Number} The volume.
+	 */
+	this.getVolume = function () {
+		return volume;
+	};
+
+	/**
+	 * Sets the volume of the music, which is applied on top of the volume of
+	 * its mixer bus.
+	 *
+	 * @method setVolume
+	 * @param value {Number} The new volume, a non-negative number.
+	 * @chainable
+	 */
+	this.setVolume = function (value) {
+		if ((typeof value !== 'number') || (value < 0)) {
+			throw 'the volume must be a non-negative number';
+		}
+		volume = value;
+		if (voices.length) {
+			update();
+		}
+		return thisObject;
+	};
+
+	/**
+	 * Indicates whether the music is currently ducked, or being ducked,
+	 * because a sound is playing through one of the duck buses.
+	 *
+	 * @method isDucked
+	 * @return {Boolean} `true` if the music is ducked, `false` otherwise.
+	 */
+	this.isDucked = function () {
+		return duckGain < 1;
+	};
+};
+
+/**
+ * The default crossfade setting, initially `2000` milliseconds.
+ *
+ * See the documentation of the class constructor for details.
+ *
+ * @property defaultCrossfade
+ * @type Number
+ * @static
+ */
+Canvace.MusicPlayer.defaultCrossfade = 2000;
+
+/**
+ * The default duck volume setting, initially `0.3`.
+ *
+ * See the documentation of the class constructor for details.
+ *
+ * @property defaultDuckVolume
+ * @type Number
+ * @static
+ */
+Canvace.MusicPlayer.defaultDuckVolume = 0.3;
+
+/**
+ * The default duck fade setting, initially `250` milliseconds.
+ *
+ * See the documentation of the class constructor for details.
+ *
+ * @property defaultDuckFade
+ * @type Number
+ * @static
+ */
+Canvace.MusicPlayer.defaultDuckFade = 250;
+
+/**
+ * The period in milliseconds of the timer that updates the volumes of the
+ * tracks during fades, initially `50`.
+ *
+ * @property updatePeriod
+ * @type Number
+ * @static
+ */
+Canvace.MusicPlayer.updatePeriod = 50;
@@ -0,0 +1,208 @@
+/*
+ *	Canvace's JavaScript Game Engine, canvace.js
+ *	Copyright (C) 2013  Canvace Srl  <http://www.canvace.com/>
+ *
+ *	Dual licensed under the MIT and GPLv3 licenses.
+ *
+ *	This program is free software: you can redistribute it and/or modify
+ *	it under the terms of the GNU General Public License as published by
+ *	the Free Software Foundation, either version 3 of the License, or
+ *	(at your option) any later version.
+ *
+ *	This program is distributed in the hope that it will be useful,
+ *	but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *	GNU General Public License for more details.
+ *
+ *	You should have received a copy of the GNU General Public License
+ *	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Spreads pathfinding jobs across several frames.
+ *
+ * Path requests are queued and served in order by the
+ * {{#crossLink "Canvace.PathQueue/process"}}{{/crossLink}} method, which
+ * carries on the pending searches (see
+ * {{#crossLink "Canvace.Astar.Search"}}{{/crossLink}}) until a node or time
+ * budget is exhausted. The budget is shared by all the jobs served by a call,
+ * so that many simultaneous long requests never freeze a frame.
+ *
+ * `process` is usually called once per frame, either manually or by attaching
+ * the queue to a {{#crossLink "Canvace.RenderLoop"}}RenderLoop{{/crossLink}}
+ * (see {{#crossLink "Canvace.PathQueue/attach"}}{{/crossLink}}).
+ *
+ * The `settings` argument is optional and may contain the following
+ * properties:
+ *
+ * <ul>
+ * <li>`nodes`: the maximum number of nodes expanded by each call to
+ * `process`, defaults to
+ * {{#crossLink "Canvace.PathQueue/defaultNodeBudget:property"}}{{/crossLink}};</li>
+ * <li>`time`: the maximum number of milliseconds spent by each call to
+ * `process`, defaults to
+ * {{#crossLink "Canvace.PathQueue/defaultTimeBudget:property"}}{{/crossLink}};</li>
+ * <li>`epsilon`: the epsilon parameter of the underlying
+ * {{#crossLink "Canvace.Astar"}}{{/crossLink}} object, defaults to zero.</li>
+ * </ul>
+ *
+ * @class Canvace.PathQueue
+ * @constructor
+ * @param [settings] {Object} An optional dictionary of settings.
+ * @example
+ *	var queue = new Canvace.PathQueue({
+ *		time: 3
+ *	});
+ *	queue.attach(loop);
+ *	queue.request(map.getGraphNode(i, j, k, i1, j1), function (path) {
+ *		if (path) {
+ *			npc.follow(Canvace.TileMap.translatePath(i, j, path, k));
+ *		}
+ *	});
+ */
+Canvace.PathQueue = function (settings) {
+	if (typeof settings === 'undefined') {
+		settings = {};
+	}
+
+	var nodeBudget = ('nodes' in settings) ? settings.nodes : Canvace.PathQueue.defaultNodeBudget;
+	var timeBudget = ('time' in settings) ? settings.time : Canvace.PathQueue.defaultTimeBudget;
+	var astar = new Canvace.Astar(settings.epsilon);
+	var jobs = [];
+	var length = 0;
+
+	/**
+	 * Queues a path request.
+	 *
+	 * The graph is specified exactly like for
+	 * {{#crossLink "Canvace.Astar/findPath"}}{{/crossLink}}. The `callback`
+	 * function is called by
+	 * {{#crossLink "Canvace.PathQueue/process"}}{{/crossLink}} once the search
+	 * is finished and receives the computed path, in the same format returned
+	 * by `Astar.findPath`, or `null` if no path exists.
+	 *
+	 * @method request
+	 * @param startNode {Canvace.Astar.Node} The starting node.
+	 * @param callback {Function} A user-defined function that receives the
+	 * computed path.
+	 * @return {Function} A function that cancels the request if it is still
+	 * pending. The callback is not called for cancelled requests. The
+	 * returned function returns `true` if the request was actually cancelled,
+	 * `false` if it was not pending anymore.
+	 */
+	this.request = function (startNode, callback) {
+		var job = {
+			search: astar.search(startNode),
+			callback: callback,
+			pending: true
+		};
+		jobs.push(job);
+		length++;
+		return function () {
+			if (job.pending) {
+				job.pending = false;
+				length--;
+				return true;
+			} else {
+				return false;
+			}
+		};
+	};
+
+	/**
+	 * Carries on the pending searches, in the order they were requested, until
+	 * the queue is empty or the node or time budget is exhausted. The callback
+	 * of each finished request is called right away.
+	 *
+	 * @method process
+	 */
+	this.process = function () {
+		var nodes = (nodeBudget !== null) ? nodeBudget : Infinity;
+		var deadline = (timeBudget !== null) ? Canvace.Timing.now() + timeBudget : Infinity;
+		while (jobs.length && (nodes > 0) && (Canvace.Timing.now() < deadline)) {
+			var job = jobs[0];
+			if (!job.pending) {
+				jobs.shift();
+				continue;
+			}
+			var expanded = job.search.getExpandedCount();
+			var budget = {};
+			if (nodes < Infinity) {
+				budget.nodes = nodes;
+			}
+			if (deadline < Infinity) {
+				budget.time = deadline - Canvace.Timing.now();
+			}
+			var finished = job.search.run(budget);
+			nodes -= job.search.getExpandedCount() - expanded;
+			if (finished) {
+				job.pending = false;
+				length--;
+				jobs.shift();
+				job.callback(job.search.getPath());
+			}
+		}
+	};
+
+	/**
+	 * Returns the number of pending requests.
+	 *
+	 * @method getLength
+	 * @return {Number} The number of pending requests.
+	 */
+	this.getLength = function () {
+		return length;
+	};
+
+	/**
+	 * Cancels all the pending requests.
+	 *
+	 * @method clear
+	 */
+	this.clear = function () {
+		jobs.forEach(function (job) {
+			job.pending = false;
+		});
+		jobs = [];
+		length = 0;
+	};
+
+	/**
+	 * Makes the specified render loop process the queue once at the beginning
+	 * of each frame (see
+	 * {{#crossLink "Canvace.RenderLoop/onBeforeFrame"}}{{/crossLink}}), so
+	 * that the budget is spent once per rendered frame however many ticks the
+	 * frame comprises.
+	 *
+	 * @method attach
+	 * @param loop {Canvace.RenderLoop} The render loop.
+	 * @return {Function} A function that detaches the queue from the loop.
+	 */
+	this.attach = function (loop) {
+		return loop.onBeforeFrame(this.process);
+	};
+};
+
+/**
+ * The default maximum number of nodes expanded by each call to
+ * {{#crossLink "Canvace.PathQueue/process"}}{{/crossLink}}. `null` means there
+ * is no node limit.
+ *
+ * @property defaultNodeBudget
+ * @type Number
+ * @static
+ * @default null
+ */
+Canvace.PathQueue.defaultNodeBudget = null;
+
+/**
+ * The default maximum number of milliseconds spent by each call to
+ * {{#crossLink "Canvace.PathQueue/process"}}{{/crossLink}}. `null` means there
+ * is no time limit.
+ *
+ * @property defaultTimeBudget
+ * @type Number
+ * @static
+ * @default 2
+ */
+Canvace.PathQueue.defaultTimeBudget = 2;
@@ -0,0 +1,109 @@
+/*
+ *	Canvace's JavaScript Game Engine, canvace.js
+ *	Copyright (C) 2013  Canvace Srl  <http://www.canvace.com/>
+ *
+ *	Dual licensed under the MIT and GPLv3 licenses.
+ *
+ *	This program is free software: you can redistribute it and/or modify
+ *	it under the terms of the GNU General Public License as published by
+ *	the Free Software Foundation, either version 3 of the License, or
+ *	(at your option) any later version.
+ *
+ *	This program is distributed in the hope that it will be useful,
+ *	but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *	GNU General Public License for more details.
+ *
+ *	You should have received a copy of the GNU General Public License
+ *	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * A seeded pseudo-random number generator. Unlike `Math.random`, the sequence
+ * of numbers it generates is entirely determined by its seed, which makes it
+ * possible to reproduce a game session exactly when replaying recorded input
+ * (see {{#crossLink "Canvace.InputRecorder"}}{{/crossLink}}).
+ *
+ * The generator implements the 32-bit xorshift algorithm, which is fast and
+ * good enough for games but not suitable for cryptographic purposes.
+ *
+ * @class Canvace.Random
+ * @constructor
+ * @param [seed] {Number} The seed, an unsigned 32-bit integer. If not
+ * specified, a seed is chosen using `Math.random`.
+ * @example
+ *	var random = new Canvace.Random(1234);
+ *	var damage = random.nextInt(10, 20);
+ */
+Canvace.Random = function (seed) {
+	if (typeof seed === 'undefined') {
+		seed = Math.floor(Math.random() * 4294967296);
+	}
+	seed >>>= 0;
+
+	var state;
+
+	/**
+	 * Returns the seed of this generator.
+	 *
+	 * @method getSeed
+	 * @return {Number} The seed.
+	 */
+	this.getSeed = function () {
+		return seed;
+	};
+
+	/**
+	 * Returns the current internal state of the generator, which can be
+	 * saved along with a game snapshot and later restored through
+	 * {{#crossLink "Canvace.Random/setState"}}{{/crossLink}}.
+	 *
+	 * @method getState
+	 * @return {Number} The state, an unsigned 32-bit integer.
+	 */
+	this.getState = function () {
+		return state;
+	};
+
+	/**
+	 * Restores a state previously returned by
+	 * {{#crossLink "Canvace.Random/getState"}}{{/crossLink}}.
+	 *
+	 * @method setState
+	 * @param value {Number} The state to restore.
+	 */
+	this.setState = function (value) {
+		// the xorshift algorithm gets stuck at zero
+		state = (value >>> 0) || 0x9E3779B9;
+	};
+
+	this.setState(seed);
+
+	/**
+	 * Returns the next pseudo-random number, uniformly distributed in the
+	 * `[0, 1)` range just like `Math.random`.
+	 *
+	 * @method next
+	 * @return {Number} A pseudo-random number.
+	 */
+	this.next = function () {
+		state ^= state << 13;
+		state ^= state >>> 17;
+		state ^= state << 5;
+		state >>>= 0;
+		return state / 4294967296;
+	};
+
+	/**
+	 * Returns a pseudo-random integer number uniformly distributed between
+	 * the specified bounds.
+	 *
+	 * @method nextInt
+	 * @param min {Number} The minimum value, inclusive.
+	 * @param max {Number} The maximum value, inclusive.
+	 * @return {Number} A pseudo-random integer number.
+	 */
+	this.nextInt = function (min, max) {
+		return min + Math.floor(this.next() * (max - min + 1));
+	};
+};
@@ -24,8 +24,9 @@
  *
  * The loop runs at the specified rate (expressed in iterations per second).
  *
- * At each iteration, first all the entities that have physics enabled are
- * ticked and then a rendering is performed.
+ * At each iteration, first the gamepads are polled (see
+ * {{#crossLink "Canvace.Gamepad"}}{{/crossLink}}), then all the entities that
+ * have physics enabled are ticked and then a rendering is performed.
  *
  * The loop is not initially running: it starts when the
  * {{#crossLink "Canvace.RenderLoop/start"}}{{/crossLink}} method is called. It
@@ -68,6 +69,11 @@ Canvace.RenderLoop = (function () {
 		var period = Math.floor(1000 / rate);
 		var maxPeriod = 5000;
 
+		var fixedStep = null;
+		var interpolate = true;
+		var accumulator = 0;
+		var maxSteps = 5;
+
 		var running = false;
 		var banned = false;
 
@@ -179,6 +185,101 @@ Canvace.RenderLoop = (function () {
 			maxPeriod = value;
 		};
 
+		/**
+		 * Returns the maximum number of times the stage is ticked per frame in
+		 * fixed step mode (see
+		 * {{#crossLink "Canvace.RenderLoop/setFixedStep"}}{{/crossLink}}).
+		 *
+		 * When the time accumulated since the previous frame contains more
+		 * steps, for example when a tab regains focus after being in the
+		 * background, the exceeding steps are dropped rather than performed
+		 * all at once, so that the game slows down instead of freezing and
+		 * then jumping ahead.
+		 *
+		 * The default maximum number of steps is `5`.
+		 *
+		 * @method getMaximumSteps
+		 * @return {Number} The maximum number of steps per frame.
+		 */
+		this.getMaximumSteps = function () {
+			return maxSteps;
+		};
+
+		/**
+		 * Sets the maximum number of steps per frame. See
+		 * {{#crossLink "Canvace.RenderLoop/getMaximumSteps"}}{{/crossLink}}
+		 * for more information.
+		 *
+		 * @method setMaximumSteps
+		 * @param value {Number} The new maximum number of steps, a positive
+		 * integer.
+		 */
+		this.setMaximumSteps = function (value) {
+			if ((typeof value !== 'number') || (value < 1)) {
+				throw 'the maximum number of steps must be a positive number';
+			}
+			maxSteps = Math.floor(value);
+		};
+
+		/**
+		 * Returns the fixed physics step set by
+		 * {{#crossLink "Canvace.RenderLoop/setFixedStep"}}{{/crossLink}}, or
+		 * `null` if the loop is not in fixed step mode (the default).
+		 *
+		 * @method getFixedStep
+		 * @return {Number} The fixed step expressed in milliseconds, or `null`.
+		 */
+		this.getFixedStep = function () {
+			return fixedStep;
+		};
+
+		/**
+		 * Switches the loop to fixed step mode, or back to the default
+		 * variable step mode if `null` is specified.
+		 *
+		 * In the default mode the stage is ticked once per frame with the time
+		 * elapsed since the previous frame (split in chunks at most as long as
+		 * the period), so the outcome of the physics depends on the frame
+		 * rate.
+		 *
+		 * In fixed step mode the elapsed time is accumulated and the stage is
+		 * ticked, along with the `userTick` callback, as many times as the
+		 * accumulated time contains the fixed step, always with the same time
+		 * delta; the remaining time is carried over to the next frame. The
+		 * stage is also updated after each tick rather than once per frame, so
+		 * that collisions (see
+		 * {{#crossLink "Canvace.Stage/onCollision"}}Stage.onCollision{{/crossLink}})
+		 * are detected at every step. This makes the game logic deterministic
+		 * regardless of the frame rate.
+		 *
+		 * Since the physics then generally runs "behind" the rendering, the
+		 * instances are by default rendered at a position interpolated between
+		 * their previous and current positions according to the fraction of a
+		 * step left in the accumulator (see
+		 * {{#crossLink "Canvace.Stage/interpolate"}}Stage.interpolate{{/crossLink}}).
+		 *
+		 * The number of steps performed in a single frame is limited (see
+		 * {{#crossLink "Canvace.RenderLoop/getMaximumSteps"}}{{/crossLink}}):
+		 * any further accumulated steps are dropped.
+		 *
+		 * @method setFixedStep
+		 * @param step {Number} The fixed step expressed in milliseconds, or
+		 * `null` to disable fixed step mode.
+		 * @param [interpolateStep=true] {Boolean} Indicates whether the
+		 * rendered positions must be interpolated. Defaults to `true`.
+		 * @example
+		 *	// tick the physics 60 times per second regardless of the frame rate
+		 *	loop.setFixedStep(1000 / 60);
+		 */
+		this.setFixedStep = function (step, interpolateStep) {
+			if ((step !== null) && ((typeof step !== 'number') || (step <= 0))) {
+				throw 'the fixed step must be a positive number or null';
+			}
+			fixedStep = step;
+			interpolate = (typeof interpolateStep === 'undefined') || !!interpolateStep;
+			accumulator = 0;
+		};
+
 		/**
 		 * Returns the {{#crossLink "Canvace.Stage"}}Stage{{/crossLink}}
 		 * rendererd by this render loop. This is the same object specified to
@@ -204,27 +305,110 @@ Canvace.RenderLoop = (function () {
 			return renderer;
 		};
 
+		var tickCount = 0;
+		var tickHandlers = new Canvace.MultiSet();
+
+		/**
+		 * Returns the number of times the stage has been ticked by this loop
+		 * so far. In fixed step mode a frame may comprise zero or more ticks,
+		 * otherwise it comprises one or more ticks.
+		 *
+		 * @method getTickCount
+		 * @return {Number} The number of ticks.
+		 */
+		this.getTickCount = function () {
+			return tickCount;
+		};
+
+		/**
+		 * Registers a handler that gets called right before each tick of the
+		 * stage. This is where recorded input is replayed (see
+		 * {{#crossLink "Canvace.InputPlayer"}}{{/crossLink}}).
+		 *
+		 * @method onBeforeTick
+		 * @param handler {Function} A user-defined function that receives one
+		 * argument, the number of ticks performed so far (see
+		 * {{#crossLink "Canvace.RenderLoop/getTickCount"}}{{/crossLink}}).
+		 * @return {Function} A function that unregisters the registered
+		 * handler.
+		 */
+		this.onBeforeTick = function (handler) {
+			return tickHandlers.add(handler);
+		};
+
+		var frameHandlers = new Canvace.MultiSet();
+
+		/**
+		 * Registers a handler that gets called once at the beginning of each
+		 * frame, before the stage is ticked. Unlike the handlers registered
+		 * by {{#crossLink "Canvace.RenderLoop/onBeforeTick"}}{{/crossLink}},
+		 * these are called exactly once per rendered frame regardless of the
+		 * number of ticks it comprises, so they are suited to work that must
+		 * be bounded per frame (see
+		 * {{#crossLink "Canvace.PathQueue/attach"}}PathQueue.attach{{/crossLink}}).
+		 *
+		 * @method onBeforeFrame
+		 * @param handler {Function} A user-defined function. It does not
+		 * receive any arguments.
+		 * @return {Function} A function that unregisters the registered
+		 * handler.
+		 */
+		this.onBeforeFrame = function (handler) {
+			return frameHandlers.add(handler);
+		};
+
 		var step = (function () {
+			function beforeTick() {
+				tickHandlers.fastForEach(function (handler) {
+					handler(tickCount);
+				});
+			}
 			if (typeof userTick !== 'function') {
 				return function (dt) {
+					beforeTick();
 					stepInterface.tick(dt);
+					if (fixedStep !== null) {
+						stepInterface.update();
+					}
+					tickCount++;
 				};
 			} else {
 				return function (dt) {
+					beforeTick();
 					stepInterface.tick(dt);
 					userTick(dt);
+					if (fixedStep !== null) {
+						stepInterface.update();
+					}
+					tickCount++;
 				};
 			}
 		}());
 
 		function updateLoop(delta, elapsed) {
 			delta = Math.min(delta, maxPeriod);
-			while (delta > period) {
-				step(period / 1000);
-				delta -= period;
+			Canvace.Gamepad.poll();
+			frameHandlers.fastForEach(function (handler) {
+				handler();
+			});
+			if (fixedStep !== null) {
+				accumulator += delta;
+				for (var steps = 0; (steps < maxSteps) && (accumulator >= fixedStep); steps++) {
+					step(fixedStep / 1000);
+					accumulator -= fixedStep;
+				}
+				accumulator %= fixedStep;
+				if (interpolate) {
+					stepInterface.interpolate(accumulator / fixedStep);
+				}
+			} else {
+				while (delta > period) {
+					step(period / 1000);
+					delta -= period;
+				}
+				step(delta / 1000);
+				stepInterface.update();
 			}
-			step(delta / 1000);
-			stepInterface.update();
 			if (typeof synchronizeView === 'function') {
 				synchronizeView();
 			}
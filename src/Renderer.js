@@ -107,9 +107,9 @@ Canvace.Renderer = function (canvas, loader, view, buckets, preProcess, postProc
 	 * @method render
 	 */
 	this.render = function () {
-		var origin = view.getOrigin();
-		context.setTransform(1, 0, 0, 1, origin.x, origin.y);
-		context.clearRect(-origin.x, -origin.y, width, height);
+		context.setTransform(1, 0, 0, 1, 0, 0);
+		context.clearRect(0, 0, width, height);
+		context.setTransform.apply(context, view.getTransform());
 		preProcess && preProcess(context);
 		buckets.forEachElement(drawImage);
 		postProcess && postProcess(context);
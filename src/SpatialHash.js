@@ -0,0 +1,296 @@
+/*
+ *	Canvace's JavaScript Game Engine, canvace.js
+ *	Copyright (C) 2013  Canvace Srl  <http://www.canvace.com/>
+ *
+ *	Dual licensed under the MIT and GPLv3 licenses.
+ *
+ *	This program is free software: you can redistribute it and/or modify
+ *	it under the terms of the GNU General Public License as published by
+ *	the Free Software Foundation, either version 3 of the License, or
+ *	(at your option) any later version.
+ *
+ *	This program is distributed in the hope that it will be useful,
+ *	but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *	GNU General Public License for more details.
+ *
+ *	You should have received a copy of the GNU General Public License
+ *	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Implements a spatial hash, a data structure that allows to efficiently find
+ * the elements whose bounding boxes overlap a given rectangular area.
+ *
+ * The `(i, j)` plane of each layer is divided into square cells whose side is
+ * `cellSize` long; each element is stored in all the cells its bounding box
+ * overlaps, so that a query only needs to test the elements stored in the
+ * cells overlapped by the queried area rather than all the elements.
+ *
+ * Bounding boxes are specified by the `i` and `j` coordinates of their origin
+ * and by their `di` and `dj` spans along the I and J axes, and all of them
+ * may be real numbers. The `k` coordinate identifies the layer and is rounded
+ * down to an integer: elements in different layers never overlap.
+ *
+ * This class is used by the {{#crossLink "Canvace.Stage"}}Stage{{/crossLink}}
+ * to implement a broad phase for the collisions between entity instances.
+ *
+ * @class Canvace.SpatialHash
+ * @constructor
+ * @param [cellSize=Canvace.SpatialHash.defaultCellSize] {Number} The side of
+ * the cells. Defaults to `Canvace.SpatialHash.defaultCellSize`.
+ * @example
+ *	var hash = new Canvace.SpatialHash();
+ *	var entry = hash.add('bullet', 0, 1.5, 1.5, 0.25, 0.25);
+ *	hash.add('enemy', 0, 1, 1, 1, 1);
+ *	hash.forEachInBox(0, 0, 0, 2, 2, function (element) {
+ *		console.log(element); // logs "bullet" and "enemy"
+ *	});
+ *	entry.update(0, 5, 5, 0.25, 0.25);
+ */
+Canvace.SpatialHash = function (cellSize) {
+	if (typeof cellSize !== 'number') {
+		cellSize = Canvace.SpatialHash.defaultCellSize;
+	} else if (cellSize <= 0) {
+		throw 'the cell size must be positive';
+	}
+
+	var cells = new Canvace.Matrix();
+	var nextId = 0;
+
+	function getCell(i, j, k) {
+		if (cells.has(i, j, k)) {
+			return cells.get(i, j, k);
+		} else {
+			var cell = new Canvace.MultiSet();
+			cells.put(i, j, k, cell);
+			return cell;
+		}
+	}
+
+	// empty cells are erased, otherwise moving elements would leave behind a
+	// trail of cells that forEachPair keeps visiting
+	function addToCell(i, j, k, entry) {
+		var cell = getCell(i, j, k);
+		var remove = cell.add(entry);
+		return function () {
+			remove();
+			if (cell.isEmpty() && (cells.get(i, j, k) === cell)) {
+				cells.erase(i, j, k);
+			}
+		};
+	}
+
+	function overlaps(entry, i, j, di, dj) {
+		return (entry.i < i + di) &&
+			(i < entry.i + entry.di) &&
+			(entry.j < j + dj) &&
+			(j < entry.j + entry.dj);
+	}
+
+	/**
+	 * Represents an element stored in the spatial hash.
+	 *
+	 * This class cannot be instantiated directly, instances are returned by
+	 * the {{#crossLink "Canvace.SpatialHash/add"}}{{/crossLink}} method.
+	 *
+	 * @class Canvace.SpatialHash.Entry
+	 */
+	function Entry(element, k, i, j, di, dj) {
+		this.id = nextId++;
+		this.element = element;
+		this.removers = [];
+		this.removed = false;
+		this.setBox(k, i, j, di, dj);
+		this.addToCells();
+	}
+
+	Entry.prototype.setBox = function (k, i, j, di, dj) {
+		this.k = Math.floor(k);
+		this.i = i;
+		this.j = j;
+		this.di = di;
+		this.dj = dj;
+		this.i0 = Math.floor(i / cellSize);
+		this.j0 = Math.floor(j / cellSize);
+		this.i1 = Math.floor((i + di) / cellSize);
+		this.j1 = Math.floor((j + dj) / cellSize);
+	};
+
+	Entry.prototype.addToCells = function () {
+		for (var i = this.i0; i <= this.i1; i++) {
+			for (var j = this.j0; j <= this.j1; j++) {
+				this.removers.push(addToCell(i, j, this.k, this));
+			}
+		}
+	};
+
+	Entry.prototype.removeFromCells = function () {
+		for (var index = 0; index < this.removers.length; index++) {
+			this.removers[index]();
+		}
+		this.removers = [];
+	};
+
+	/**
+	 * Updates the bounding box of the element.
+	 *
+	 * This method does not have any effects if the entry has been removed.
+	 *
+	 * @method update
+	 * @param k {Number} The new layer of the element.
+	 * @param i {Number} The new I coordinate of the origin of the bounding
+	 * box.
+	 * @param j {Number} The new J coordinate of the origin of the bounding
+	 * box.
+	 * @param di {Number} The new span of the bounding box along the I axis.
+	 * @param dj {Number} The new span of the bounding box along the J axis.
+	 */
+	Entry.prototype.update = function (k, i, j, di, dj) {
+		if (!this.removed) {
+			var k0 = this.k;
+			var i0 = this.i0;
+			var j0 = this.j0;
+			var i1 = this.i1;
+			var j1 = this.j1;
+			this.setBox(k, i, j, di, dj);
+			if ((k0 !== this.k) || (i0 !== this.i0) || (j0 !== this.j0) ||
+				(i1 !== this.i1) || (j1 !== this.j1))
+			{
+				this.removeFromCells();
+				this.addToCells();
+			}
+		}
+	};
+
+	/**
+	 * Removes the element from the spatial hash so that it is not enumerated
+	 * any more.
+	 *
+	 * This method is idempotent: it does not have any effects when it is
+	 * called again after the first time.
+	 *
+	 * @method remove
+	 */
+	Entry.prototype.remove = function () {
+		this.removeFromCells();
+		this.removed = true;
+	};
+
+	/**
+	 * Stores an element in the spatial hash.
+	 *
+	 * @method add
+	 * @for Canvace.SpatialHash
+	 * @param element {Any} The element to store. It can be of any type and is
+	 * passed back as is to the callback functions of the enumeration methods.
+	 * @param k {Number} The layer of the element.
+	 * @param i {Number} The I coordinate of the origin of the bounding box.
+	 * @param j {Number} The J coordinate of the origin of the bounding box.
+	 * @param di {Number} The span of the bounding box along the I axis.
+	 * @param dj {Number} The span of the bounding box along the J axis.
+	 * @return {Canvace.SpatialHash.Entry} An object that can be used to update
+	 * the bounding box of the element or remove it.
+	 */
+	this.add = function (element, k, i, j, di, dj) {
+		return new Entry(element, k, i, j, di, dj);
+	};
+
+	/**
+	 * Enumerates the elements whose bounding boxes overlap the specified
+	 * rectangular area of the specified layer. Each element is enumerated
+	 * once, even if it is stored in more than one cell.
+	 *
+	 * Bounding boxes that merely touch the area along an edge are not
+	 * considered overlapping.
+	 *
+	 * The enumeration can be interrupted by returning `false` in the `action`
+	 * callback function.
+	 *
+	 * @method forEachInBox
+	 * @param k {Number} The layer.
+	 * @param i {Number} The I coordinate of the origin of the area.
+	 * @param j {Number} The J coordinate of the origin of the area.
+	 * @param di {Number} The span of the area along the I axis.
+	 * @param dj {Number} The span of the area along the J axis.
+	 * @param action {Function} A callback function that gets called for every
+	 * enumerated element. It receives one argument, the element, and can
+	 * interrupt the enumeration by returning `false`.
+	 * @return {Boolean} `true` if the callback function returned `false` and
+	 * the enumeration was interrupted, `false` otherwise.
+	 */
+	this.forEachInBox = function (k, i, j, di, dj, action) {
+		k = Math.floor(k);
+		var i0 = Math.floor(i / cellSize);
+		var j0 = Math.floor(j / cellSize);
+		var i1 = Math.floor((i + di) / cellSize);
+		var j1 = Math.floor((j + dj) / cellSize);
+		var visited = {};
+		function yieldEntry(entry) {
+			if (!visited.hasOwnProperty(entry.id)) {
+				visited[entry.id] = true;
+				if (overlaps(entry, i, j, di, dj)) {
+					return action(entry.element);
+				}
+			}
+		}
+		for (var i2 = i0; i2 <= i1; i2++) {
+			for (var j2 = j0; j2 <= j1; j2++) {
+				if (cells.has(i2, j2, k) && cells.get(i2, j2, k).forEach(yieldEntry)) {
+					return true;
+				}
+			}
+		}
+		return false;
+	};
+
+	/**
+	 * Enumerates all the pairs of elements whose bounding boxes overlap. Each
+	 * pair is enumerated once, even if its elements share more than one cell.
+	 *
+	 * The enumeration can be interrupted by returning `false` in the `action`
+	 * callback function.
+	 *
+	 * @method forEachPair
+	 * @param action {Function} A callback function that gets called for every
+	 * pair of overlapping elements. It receives two arguments, the elements,
+	 * and can interrupt the enumeration by returning `false`.
+	 * @return {Boolean} `true` if the callback function returned `false` and
+	 * the enumeration was interrupted, `false` otherwise.
+	 */
+	this.forEachPair = function (action) {
+		var visited = {};
+		return cells.forEach(function (i, j, k, cell) {
+			var entries = [];
+			cell.fastForEach(function (entry) {
+				entries.push(entry);
+			});
+			for (var index1 = 0; index1 < entries.length; index1++) {
+				for (var index2 = index1 + 1; index2 < entries.length; index2++) {
+					var first = entries[index1];
+					var second = entries[index2];
+					var key = Math.min(first.id, second.id) + ' ' + Math.max(first.id, second.id);
+					if (!visited.hasOwnProperty(key)) {
+						visited[key] = true;
+						if (overlaps(first, second.i, second.j, second.di, second.dj)) {
+							if (action(first.element, second.element) === false) {
+								return false;
+							}
+						}
+					}
+				}
+			}
+		});
+	};
+};
+
+/**
+ * The default cell size, initially `2`.
+ *
+ * See the documentation of the class constructor for details.
+ *
+ * @property defaultCellSize
+ * @type Number
+ * @static
+ */
+Canvace.SpatialHash.defaultCellSize = 2;
@@ -21,9 +21,16 @@
 /**
  * Wraps a Canvace stage.
  *
- * While providing the `data` object output by the Canvace Development
- * Environment to the `Stage` constructor be aware that its contents may be
- * modified in order to implement some optimizations.
+ * The `Stage` keeps its runtime state (entity instances, their physics
+ * vectors and custom properties, changed tiles) separately from the `data`
+ * object output by the Canvace Development Environment, which is not modified
+ * and can thus be reused to construct other stages.
+ *
+ * A stage can be constructed in the state described by a snapshot previously
+ * returned by the {{#crossLink "Canvace.Stage/getSnapshot"}}{{/crossLink}}
+ * method of another stage constructed from the same `data`. In that case the
+ * entity instances listed in the snapshot replace the ones in `data`, and the
+ * tiles changed in the snapshot are put again in the tile map.
  *
  * @class Canvace.Stage
  * @constructor
@@ -33,8 +40,18 @@
  * be rendered. This parameter can be either the actual `HTMLCanvasElement`, or
  * a selector string. In the latter case, the first matching element is used,
  * and an exception is thrown if no matching element is found.
+ * @param [snapshot] {Object} An optional snapshot object returned by the
+ * {{#crossLink "Canvace.Stage/getSnapshot"}}{{/crossLink}} method, possibly
+ * after a round trip through `JSON.stringify` and `JSON.parse`.
+ * @example
+ *	// save
+ *	window.localStorage.setItem('slot1', JSON.stringify(stage.getSnapshot()));
+ *
+ *	// restore
+ *	var snapshot = JSON.parse(window.localStorage.getItem('slot1'));
+ *	var restoredStage = new Canvace.Stage(data, '#canvas', snapshot);
  */
-Canvace.Stage = function (data, canvas) {
+Canvace.Stage = function (data, canvas, snapshot) {
 	if (typeof canvas === 'string') {
 		canvas = document.querySelector(canvas);
 
@@ -52,6 +69,28 @@ Canvace.Stage = function (data, canvas) {
 	var instances = new Canvace.MultiSet();
 	var instancesWithPhysics = new Canvace.MultiSet();
 
+	var createHandlers = new Canvace.MultiSet();
+	var removeHandlers = new Canvace.MultiSet();
+	var replaceHandlers = new Canvace.MultiSet();
+
+	var spatialHash = new Canvace.SpatialHash();
+	var collisionHandlers = new Canvace.MultiSet();
+
+	var animationChecks = new Canvace.MultiSet();
+	var soundUpdates = new Canvace.MultiSet();
+
+	function copy(object) {
+		return JSON.parse(JSON.stringify(object));
+	}
+
+	function copyVector(vector) {
+		return {
+			i: vector.i,
+			j: vector.j,
+			k: vector.k
+		};
+	}
+
 	function assertObject(object, properties, fallback) {
 		for (var key in properties) {
 			if (properties.hasOwnProperty(key)) {
@@ -226,7 +265,7 @@ Canvace.Stage = function (data, canvas) {
 		 * @return {Canvace.Stage.Instance} The newly created instance.
 		 */
 		this.createInstance = function (i, j, k) {
-			return new Instance({
+			var instance = new Instance({
 				id: id,
 				i: i,
 				j: j,
@@ -258,6 +297,10 @@ Canvace.Stage = function (data, canvas) {
 				},
 				properties: {}
 			}, buckets.addEntity(id, i, j, k));
+			createHandlers.fastForEach(function (handler) {
+				handler(instance);
+			});
+			return instance;
 		};
 	}
 
@@ -316,14 +359,11 @@ Canvace.Stage = function (data, canvas) {
 	 *
 	 * @class Canvace.Stage.Instance
 	 */
-	function Instance(instanceOrId, element) {
-		var id, instance;
-		if (typeof instanceOrId !== 'number') {
+	function Instance(instance, element, id) {
+		var thisObject = this;
+
+		if (typeof id !== 'number') {
 			id = null;
-			instance = instanceOrId;
-		} else {
-			id = instanceOrId;
-			instance = data.instances[id];
 		}
 		var entity = data.entities[instance.id];
 
@@ -336,6 +376,36 @@ Canvace.Stage = function (data, canvas) {
 			}(remove, instancesWithPhysics.add(this)));
 		}
 
+		var spatialEntry = spatialHash.add(
+			this,
+			instance.position.k,
+			instance.position.i + entity.box.i0,
+			instance.position.j + entity.box.j0,
+			entity.box.iSpan,
+			entity.box.jSpan
+			);
+		var removeAnimationCheck = null;
+
+		function cancelAnimationCallback() {
+			if (removeAnimationCheck) {
+				removeAnimationCheck();
+				removeAnimationCheck = null;
+			}
+		}
+
+		var soundStoppers = new Canvace.MultiSet();
+
+		remove = (function (remove) {
+			return function () {
+				spatialEntry.remove();
+				cancelAnimationCallback();
+				soundStoppers.fastForEach(function (stop) {
+					stop();
+				});
+				return remove();
+			};
+		}(remove));
+
 		/**
 		 * Returns the numeric ID of the instance, or `null` if this instance
 		 * was not initially present in the JSON data exported from the Canvace
@@ -418,6 +488,26 @@ Canvace.Stage = function (data, canvas) {
 			return instance.position;
 		};
 
+		/**
+		 * Returns the instance's `(i, j, k)` position vector as it was before
+		 * the last `tick`, as an object containing three fields, `i`, `j` and
+		 * `k`.
+		 *
+		 * The previous position is used by the collision methods to determine
+		 * the distance the instance has gone since the last step.
+		 *
+		 * Note that the original vector object associated to the instance is
+		 * returned: changes made to the returned object affect the collision
+		 * tests of the instance.
+		 *
+		 * @method getPreviousPosition
+		 * @return {Object} An object containing three fields, `i`, `j` and
+		 * `k`, indicating the position before the last tick.
+		 */
+		this.getPreviousPosition = function () {
+			return instance.previousPosition;
+		};
+
 		/**
 		 * Returns the instance's projected position, which is its `(i, j, k)`
 		 * position left-multiplied by the projection matrix.
@@ -470,7 +560,8 @@ Canvace.Stage = function (data, canvas) {
 		 * returned by the `getProjectedPosition` method) falls within the
 		 * "range" area, which is a rectangular area centered in the center of
 		 * the viewport. The range area is usually much larger than the viewport
-		 * area.
+		 * area. The range area grows accordingly when the viewport is zoomed out
+		 * or rotated.
 		 *
 		 * This method is useful, for example, for discarding too far entity
 		 * instances when stepping/ticking the physics of the game in order to
@@ -487,13 +578,13 @@ Canvace.Stage = function (data, canvas) {
 			var viewportHeight = view.getHeight();
 			return function (width, height) {
 				var position = element.getProjectedPosition();
-				var origin = view.getOrigin();
-				var frameWidth = (width - viewportWidth) / 2;
-				var frameHeight = (height - viewportHeight) / 2;
-				return (position.x >= -origin.x - frameWidth) &&
-					(position.x <= -origin.x + viewportWidth + frameWidth) &&
-					(position.y >= -origin.y - frameHeight) &&
-					(position.y <= -origin.y + viewportHeight + frameHeight);
+				var visible = view.getVisibleRectangle();
+				var frameWidth = (width - viewportWidth) / 2 / view.getZoom();
+				var frameHeight = (height - viewportHeight) / 2 / view.getZoom();
+				return (position.x >= visible.x - frameWidth) &&
+					(position.x <= visible.x + visible.width + frameWidth) &&
+					(position.y >= visible.y - frameHeight) &&
+					(position.y <= visible.y + visible.height + frameHeight);
 			};
 		}());
 
@@ -960,6 +1051,44 @@ Canvace.Stage = function (data, canvas) {
 			return v.i || v.j;
 		};
 
+		/**
+		 * Enumerates the other entity instances whose bounding boxes overlap
+		 * the bounding box of this instance in the same layer.
+		 *
+		 * The enumeration uses the spatial index of the stage, so it is much
+		 * faster than testing every instance of the stage, but it is based on
+		 * the positions the instances had when they were last updated by the
+		 * `update` method; see
+		 * {{#crossLink "Canvace.Stage/forEachInstanceInBox"}}Stage.forEachInstanceInBox{{/crossLink}}
+		 * for more information.
+		 *
+		 * The enumeration can be interrupted by returning `false` in the
+		 * `action` callback function.
+		 *
+		 * @method forEachOverlappingInstance
+		 * @param action {Function} A callback function that gets called for
+		 * every overlapping instance.
+		 *
+		 * It receives one single argument of type `Canvace.Stage.Instance` and
+		 * can interrupt the enumeration by returning `false`.
+		 * @return {Boolean} `true` if the callback function returned `false`
+		 * and the enumeration was interrupted, `false` otherwise.
+		 */
+		this.forEachOverlappingInstance = function (action) {
+			return spatialHash.forEachInBox(
+				spatialEntry.k,
+				spatialEntry.i,
+				spatialEntry.j,
+				spatialEntry.di,
+				spatialEntry.dj,
+				function (otherInstance) {
+					if (otherInstance !== thisObject) {
+						return action(otherInstance);
+					}
+				}
+				);
+		};
+
 		/**
 		 * "Ticks" the instance, updating its position based on its velocity and
 		 * its velocity based on its acceleration.
@@ -994,10 +1123,62 @@ Canvace.Stage = function (data, canvas) {
 		 * This method is automatically called by the `Canvace.Stage.update`
 		 * method if the entity has physics enabled.
 		 *
+		 * This method also updates the position of the instance in the spatial
+		 * index used by the stage to detect collisions between instances (see
+		 * {{#crossLink "Canvace.Stage/forEachInstanceInBox"}}Stage.forEachInstanceInBox{{/crossLink}}).
+		 *
+		 * If an `alpha` interpolation factor is specified, the instance is
+		 * rendered at the point located at that fraction of the way from its
+		 * previous position (see `getPreviousPosition`) to its current one
+		 * rather than at its current position. This is used by the
+		 * {{#crossLink "Canvace.RenderLoop"}}{{/crossLink}} to smooth the
+		 * rendering when physics is stepped at a fixed rate (see
+		 * {{#crossLink "Canvace.RenderLoop/setFixedStep"}}RenderLoop.setFixedStep{{/crossLink}}).
+		 * Only the rendering is affected: the spatial index always reflects the
+		 * current position.
+		 *
+		 * Note that the previous position is only updated by the `tick`
+		 * method, so an instance moved by changing its position vector
+		 * directly is rendered as if it were moving from its previous position
+		 * until it is ticked again; you can avoid that by also changing the
+		 * vector returned by `getPreviousPosition`.
+		 *
 		 * @method update
+		 * @param [alpha] {Number} An optional interpolation factor in the
+		 * range `[0, 1]`.
 		 */
-		this.update = function () {
-			element.updatePosition(instance.position.i, instance.position.j, instance.position.k);
+		this.update = function (alpha) {
+			thisObject.interpolate(alpha);
+			spatialEntry.update(
+				instance.position.k,
+				instance.position.i + entity.box.i0,
+				instance.position.j + entity.box.j0,
+				entity.box.iSpan,
+				entity.box.jSpan
+				);
+		};
+
+		/**
+		 * Updates only the graphical representation of the instance, like
+		 * {{#crossLink "Canvace.Stage.Instance/update"}}{{/crossLink}} does,
+		 * leaving the spatial index untouched.
+		 *
+		 * @method interpolate
+		 * @param [alpha] {Number} An optional interpolation factor in the
+		 * range `[0, 1]`. If it is not specified the instance is rendered at
+		 * its current position.
+		 */
+		this.interpolate = function (alpha) {
+			if (typeof alpha !== 'number') {
+				element.updatePosition(instance.position.i, instance.position.j, instance.position.k);
+			} else {
+				var previous = instance.previousPosition;
+				element.updatePosition(
+					previous.i + (instance.position.i - previous.i) * alpha,
+					previous.j + (instance.position.j - previous.j) * alpha,
+					previous.k + (instance.position.k - previous.k) * alpha
+					);
+			}
 		};
 
 		/**
@@ -1013,7 +1194,11 @@ Canvace.Stage = function (data, canvas) {
 		 */
 		this.remove = function () {
 			element.remove();
-			remove();
+			if (remove()) {
+				removeHandlers.fastForEach(function (handler) {
+					handler(thisObject);
+				});
+			}
 		};
 
 		/**
@@ -1025,6 +1210,216 @@ Canvace.Stage = function (data, canvas) {
 		 */
 		this.isRemoved = element.isRemoved.bind(element);
 
+		/**
+		 * Plays one of the named animations of the entity from its first
+		 * frame. If `name` is `null` or omitted the default animation of the
+		 * entity is played instead.
+		 *
+		 * Named animations are declared in an optional `animations` field of
+		 * the entity descriptor in the JSON data, mapping each name to an
+		 * array of frames with the same format as the `frames` field, e.g.:
+		 *
+		 *	"animations": {
+		 *		"walk": [{"id": 3, "duration": 100}, {"id": 4, "duration": 100}],
+		 *		"attack": [{"id": 5, "duration": 50}, {"id": 6}]
+		 *	}
+		 *
+		 * As with the `frames` field, an animation whose last frame has no
+		 * `duration` does not loop but stops at that frame. When such an
+		 * animation reaches its last frame the optional `callback` is invoked
+		 * by the next {{#crossLink "Canvace.Stage/update"}}Stage.update{{/crossLink}}
+		 * (or {{#crossLink "Canvace.Stage.Range/update"}}Range.update{{/crossLink}})
+		 * call. The callback is never invoked for looping animations, nor if
+		 * another animation is played or the instance is removed or replaced
+		 * before the animation is over.
+		 *
+		 * The animation keeps the speed set by `setAnimationSpeed` but is
+		 * resumed if it was paused.
+		 *
+		 * An exception is thrown if the entity does not declare an animation
+		 * with the specified name.
+		 *
+		 * @method playAnimation
+		 * @param [name] {String} The name of the animation to play.
+		 * @param [callback] {Function} An optional function invoked when a
+		 * non-looping animation is over. It receives one argument, this
+		 * `Stage.Instance` object.
+		 */
+		this.playAnimation = function (name, callback) {
+			element.playAnimation(name);
+			cancelAnimationCallback();
+			if (callback) {
+				removeAnimationCheck = animationChecks.add(function () {
+					if (element.isAnimationOver()) {
+						removeAnimationCheck();
+						removeAnimationCheck = null;
+						return function () {
+							callback(thisObject);
+						};
+					}
+				});
+			}
+		};
+
+		/**
+		 * Returns the name of the animation being played, or `null` if the
+		 * default animation of the entity is being played.
+		 *
+		 * @method getAnimation
+		 * @return {String} The name of the current animation, or `null`.
+		 */
+		this.getAnimation = element.getAnimation.bind(element);
+
+		/**
+		 * Pauses the animation of the instance, which keeps being rendered with
+		 * the current frame until `resumeAnimation` or `playAnimation` is
+		 * called.
+		 *
+		 * @method pauseAnimation
+		 */
+		this.pauseAnimation = element.pauseAnimation.bind(element);
+
+		/**
+		 * Resumes the animation of the instance from the frame where it was
+		 * paused.
+		 *
+		 * @method resumeAnimation
+		 */
+		this.resumeAnimation = element.resumeAnimation.bind(element);
+
+		/**
+		 * Indicates whether the animation of the instance is paused.
+		 *
+		 * @method isAnimationPaused
+		 * @return {Boolean} `true` if the animation is paused, `false`
+		 * otherwise.
+		 */
+		this.isAnimationPaused = element.isAnimationPaused.bind(element);
+
+		/**
+		 * Changes the speed of the animation of the instance: 1 is the normal
+		 * speed, 2 plays the animation twice as fast and 0.5 twice as slow.
+		 *
+		 * An exception is thrown if the specified speed is not a positive
+		 * number.
+		 *
+		 * @method setAnimationSpeed
+		 * @param speed {Number} The new speed.
+		 */
+		this.setAnimationSpeed = element.setAnimationSpeed.bind(element);
+
+		/**
+		 * Returns the speed of the animation of the instance. The initial speed
+		 * is 1.
+		 *
+		 * @method getAnimationSpeed
+		 * @return {Number} The current speed.
+		 */
+		this.getAnimationSpeed = element.getAnimationSpeed.bind(element);
+
+		/**
+		 * Plays a sound attached to this instance: its volume and stereo pan
+		 * follow the projected position of the instance relative to the center
+		 * of the viewport, and are updated by every
+		 * {{#crossLink "Canvace.Stage/update"}}Stage.update{{/crossLink}} (or
+		 * {{#crossLink "Canvace.Stage.Range/update"}}Range.update{{/crossLink}})
+		 * call, hence at every frame of the render loop.
+		 *
+		 * The sound is played at full volume while the instance is within
+		 * `innerRadius` from the center of the viewport, fades out linearly
+		 * and becomes silent at `outerRadius`. Distances are measured in the
+		 * projected space, so they do not depend on the zoom factor of the
+		 * view. The pan is proportional to the horizontal offset of the
+		 * instance on the screen, and reaches full left or right at
+		 * `panWidth`; panning is only available where WebAudio is.
+		 *
+		 * A clone of the specified sound is played, so the same sound can be
+		 * played by many instances at the same time. The clone keeps
+		 * following the instance until it stops playing (because it ends or
+		 * is paused) or the instance is removed or replaced, in which case it
+		 * is paused.
+		 *
+		 * @method playSound
+		 * @param sound {Canvace.Audio.SourceNode} The sound to play, e.g. as
+		 * returned by
+		 * {{#crossLink "Canvace.Loader/getSound"}}Loader.getSound{{/crossLink}}.
+		 * @param [settings] {Object} An optional dictionary of settings.
+		 * @param [settings.loop=false] {Boolean} Indicates whether the sound
+		 * must be looped.
+		 * @param [settings.volume] {Number} The volume of the sound when the
+		 * instance is within the inner radius. Defaults to the volume of the
+		 * specified sound.
+		 * @param [settings.bus] {String} The name of the mixer bus the sound is
+		 * played through. Defaults to the bus of the specified sound.
+		 * @param [settings.innerRadius=Canvace.Stage.defaultSoundInnerRadius]
+		 * {Number} The distance within which the sound is played at full
+		 * volume.
+		 * @param [settings.outerRadius=Canvace.Stage.defaultSoundOuterRadius]
+		 * {Number} The distance beyond which the sound is silent.
+		 * @param [settings.panWidth] {Number} The horizontal distance from the
+		 * center of the viewport at which the sound is fully panned to one
+		 * side. Defaults to the width of the viewport.
+		 * @return {Canvace.Audio.SourceNode} The playing clone of the sound.
+		 * @example
+		 *	barrel.playSound(loader.getSound('explosion'), {
+		 *		outerRadius: 2000
+		 *	});
+		 */
+		this.playSound = function (sound, settings) {
+			if (typeof settings === 'undefined') {
+				settings = {};
+			}
+			var innerRadius = ('innerRadius' in settings) ? settings.innerRadius : Canvace.Stage.defaultSoundInnerRadius;
+			var outerRadius = ('outerRadius' in settings) ? settings.outerRadius : Canvace.Stage.defaultSoundOuterRadius;
+			var panWidth = ('panWidth' in settings) ? settings.panWidth : view.getWidth();
+
+			var node = sound.clone();
+			var volume = ('volume' in settings) ? settings.volume : node.getVolume();
+			if ('bus' in settings) {
+				node.setBus(settings.bus);
+			}
+			node.setLooping(!!settings.loop);
+
+			function follow() {
+				var position = element.getProjectedPosition();
+				var transform = view.getTransform();
+				var zoom = view.getZoom();
+				var dx = (transform[0] * position.x + transform[2] * position.y + transform[4] - view.getWidth() / 2) / zoom;
+				var dy = (transform[1] * position.x + transform[3] * position.y + transform[5] - view.getHeight() / 2) / zoom;
+				var distance = Math.sqrt(dx * dx + dy * dy);
+				if (distance <= innerRadius) {
+					node.setVolume(volume);
+				} else if (distance >= outerRadius) {
+					node.setVolume(0);
+				} else {
+					node.setVolume(volume * (outerRadius - distance) / (outerRadius - innerRadius));
+				}
+				node.setPan(Math.max(-1, Math.min(1, dx / panWidth)));
+			}
+
+			var removeUpdate, removeStopper;
+
+			function detach() {
+				removeUpdate();
+				removeStopper();
+			}
+
+			follow();
+			node.play();
+			removeUpdate = soundUpdates.add(function () {
+				if (node.isPlaying()) {
+					follow();
+				} else {
+					detach();
+				}
+			});
+			removeStopper = soundStoppers.add(function () {
+				detach();
+				node.pause();
+			});
+			return node;
+		};
+
 		/**
 		 * Replaces this entity instance with a new instance of another entity.
 		 *
@@ -1046,7 +1441,11 @@ Canvace.Stage = function (data, canvas) {
 		 */
 		this.replaceWith = function (entity) {
 			if (remove()) {
-				return new Instance(instance, element.replace(instance.id = entity.getId()));
+				var newInstance = new Instance(instance, element.replace(instance.id = entity.getId()));
+				replaceHandlers.fastForEach(function (handler) {
+					handler(thisObject, newInstance);
+				});
+				return newInstance;
 			} else {
 				throw 'the instance cannot be replaced because it has been removed';
 			}
@@ -1070,7 +1469,7 @@ Canvace.Stage = function (data, canvas) {
 		 */
 		this.fork = function (entity) {
 			var id = entity ? entity.getId() : instance.id;
-			return new Instance({
+			var newInstance = new Instance({
 				id: id,
 				i: instance.i,
 				j: instance.j,
@@ -1102,40 +1501,71 @@ Canvace.Stage = function (data, canvas) {
 				},
 				properties: {}
 			}, buckets.addEntity(id, instance.position.i, instance.position.j, instance.position.k));
+			createHandlers.fastForEach(function (handler) {
+				handler(newInstance);
+			});
+			return newInstance;
 		};
 	}
 
 	(function () {
 		map = new Canvace.TileMap(data, buckets);
-		for (var id in data.instances) {
-			if (data.instances.hasOwnProperty(id)) {
-				var instance = data.instances[id];
-				instance.position = {
-					i: instance.i,
-					j: instance.j,
-					k: instance.k
-				};
-				instance.previousPosition = {
-					i: instance.i,
-					j: instance.j,
-					k: instance.k
-				};
-				instance.velocity = {
-					i: 0,
-					j: 0,
-					k: 0
-				};
-				instance.uniformVelocity = {
-					i: 0,
-					j: 0,
-					k: 0
-				};
-				instance.acceleration = {
-					i: 0,
-					j: 0,
-					k: 0
-				};
-				new Instance(parseInt(id, 10), buckets.addEntity(instance.id, instance.i, instance.j, instance.k));
+		if (snapshot) {
+			snapshot.tiles.forEach(function (tile) {
+				map.putAt(tile.i, tile.j, tile.k, tile.id);
+			});
+			snapshot.instances.forEach(function (instance) {
+				var position = instance.position;
+				new Instance({
+					id: instance.entity,
+					i: position.i,
+					j: position.j,
+					k: position.k,
+					position: copyVector(position),
+					previousPosition: copyVector(instance.previousPosition),
+					velocity: copyVector(instance.velocity),
+					uniformVelocity: copyVector(instance.uniformVelocity),
+					acceleration: copyVector(instance.acceleration),
+					properties: copy(instance.properties || {})
+				}, buckets.addEntity(instance.entity, position.i, position.j, position.k), instance.id);
+			});
+		} else {
+			for (var id in data.instances) {
+				if (data.instances.hasOwnProperty(id)) {
+					var instance = data.instances[id];
+					new Instance({
+						id: instance.id,
+						i: instance.i,
+						j: instance.j,
+						k: instance.k,
+						position: {
+							i: instance.i,
+							j: instance.j,
+							k: instance.k
+						},
+						previousPosition: {
+							i: instance.i,
+							j: instance.j,
+							k: instance.k
+						},
+						velocity: {
+							i: 0,
+							j: 0,
+							k: 0
+						},
+						uniformVelocity: {
+							i: 0,
+							j: 0,
+							k: 0
+						},
+						acceleration: {
+							i: 0,
+							j: 0,
+							k: 0
+						},
+						properties: copy(instance.properties || {})
+					}, buckets.addEntity(instance.id, instance.i, instance.j, instance.k), parseInt(id, 10));
+				}
 			}
 		}
 	}());
@@ -1444,6 +1874,119 @@ Canvace.Stage = function (data, canvas) {
 		return result;
 	};
 
+	/**
+	 * Enumerates the entity instances whose bounding boxes overlap the
+	 * specified rectangular area of the layer `k`.
+	 *
+	 * The stage maintains a spatial index of its instances (see
+	 * {{#crossLink "Canvace.SpatialHash"}}{{/crossLink}}), so this method only
+	 * tests the instances located near the specified area. The index is
+	 * updated by the
+	 * {{#crossLink "Canvace.Stage.Instance/update"}}Instance.update{{/crossLink}}
+	 * method, which means the enumeration reflects the positions the instances
+	 * had when they were last updated rather than their current physics state;
+	 * this is usually what you want when calling this method after
+	 * {{#crossLink "Canvace.Stage/update"}}{{/crossLink}}, or from within a
+	 * handler registered with
+	 * {{#crossLink "Canvace.Stage/onCollision"}}{{/crossLink}}.
+	 *
+	 * The bounding box of an instance is determined by its position and by the
+	 * bounding box of its entity (see
+	 * {{#crossLink "Canvace.Stage.Entity/getBoundingBox"}}Entity.getBoundingBox{{/crossLink}}),
+	 * and its layer is its K coordinate rounded down.
+	 *
+	 * To enumerate the instances in a range of cells, specify the I and J
+	 * coordinates of the first cell and the number of cells along each axis:
+	 * for example, `(i0, j0, i1 - i0 + 1, j1 - j0 + 1)` for the cells from
+	 * `(i0, j0)` to `(i1, j1)`.
+	 *
+	 * The enumeration can be interrupted by returning `false` in the `action`
+	 * callback function.
+	 *
+	 * @method forEachInstanceInBox
+	 * @for Canvace.Stage
+	 * @param k {Number} The layer.
+	 * @param i {Number} The I coordinate of the origin of the area.
+	 * @param j {Number} The J coordinate of the origin of the area.
+	 * @param di {Number} The span of the area along the I axis.
+	 * @param dj {Number} The span of the area along the J axis.
+	 * @param action {Function} A callback function that gets called for every
+	 * overlapping instance.
+	 *
+	 * It receives one single argument of type `Canvace.Stage.Instance` and can
+	 * interrupt the enumeration by returning `false`.
+	 * @return {Boolean} `true` if the callback function returned `false` and
+	 * the enumeration was interrupted, `false` otherwise.
+	 */
+	this.forEachInstanceInBox = function (k, i, j, di, dj, action) {
+		return spatialHash.forEachInBox(k, i, j, di, dj, action);
+	};
+
+	/**
+	 * Registers an event handler invoked once per colliding pair of entity
+	 * instances every time the stage is updated by the
+	 * {{#crossLink "Canvace.Stage/update"}}{{/crossLink}} method or by the
+	 * `update` method of a {{#crossLink "Canvace.Stage.Range"}}{{/crossLink}}.
+	 *
+	 * Two instances collide when their bounding boxes overlap in the same
+	 * layer; see
+	 * {{#crossLink "Canvace.Stage/forEachInstanceInBox"}}{{/crossLink}} for
+	 * more information. The pairs are detected using the spatial index of the
+	 * stage, which is only scanned if at least one handler is registered.
+	 *
+	 * The handlers are invoked after all the instances have been updated, so
+	 * they may safely remove or replace the colliding instances.
+	 *
+	 * This method returns a function that unregisters the registered handler.
+	 * If a handler was registered more than once, the returned function only
+	 * removes its own registration.
+	 *
+	 * @method onCollision
+	 * @param handler {Function} A function that is invoked for every colliding
+	 * pair. It receives two arguments of type `Canvace.Stage.Instance`, the
+	 * colliding instances.
+	 * @return {Function} A function that unregisters the handler. The returned
+	 * function does not receive any arguments.
+	 */
+	this.onCollision = function (handler) {
+		return collisionHandlers.add(handler);
+	};
+
+	function updateSounds() {
+		soundUpdates.fastForEach(function (update) {
+			update();
+		});
+	}
+
+	function checkAnimations() {
+		var callbacks = [];
+		animationChecks.fastForEach(function (check) {
+			var callback = check();
+			if (callback) {
+				callbacks.push(callback);
+			}
+		});
+		callbacks.forEach(function (callback) {
+			callback();
+		});
+	}
+
+	function detectCollisions() {
+		if (!collisionHandlers.isEmpty()) {
+			var pairs = [];
+			spatialHash.forEachPair(function (first, second) {
+				pairs.push([first, second]);
+			});
+			pairs.forEach(function (pair) {
+				if (!pair[0].isRemoved() && !pair[1].isRemoved()) {
+					collisionHandlers.fastForEach(function (handler) {
+						handler(pair[0], pair[1]);
+					});
+				}
+			});
+		}
+	}
+
 	/**
 	 * TODO
 	 *
@@ -1492,16 +2035,181 @@ Canvace.Stage = function (data, canvas) {
 		 * TODO
 		 *
 		 * @method update
+		 * @param [alpha] {Number} An optional interpolation factor, forwarded
+		 * to the `update` method of each instance (see
+		 * {{#crossLink "Canvace.Stage.Instance/update"}}Instance.update{{/crossLink}}).
+		 */
+		this.update = function (alpha) {
+			instancesWithPhysics.fastForEach(function (instance) {
+				if (instance.inRange(width, height)) {
+					instance.update(alpha);
+				}
+			});
+			detectCollisions();
+			checkAnimations();
+			updateSounds();
+		};
+
+		/**
+		 * Updates only the graphical representation of the entities in range
+		 * that have physics enabled (see
+		 * {{#crossLink "Canvace.Stage.Instance/interpolate"}}Instance.interpolate{{/crossLink}}).
+		 *
+		 * @method interpolate
+		 * @param [alpha] {Number} An optional interpolation factor.
 		 */
-		this.update = function () {
+		this.interpolate = function (alpha) {
 			instancesWithPhysics.fastForEach(function (instance) {
 				if (instance.inRange(width, height)) {
-					instance.update();
+					instance.interpolate(alpha);
 				}
 			});
 		};
 	};
 
+	/**
+	 * Registers an event handler invoked every time a new entity instance is
+	 * created at runtime, either by
+	 * {{#crossLink "Canvace.Stage.Entity/createInstance"}}Entity.createInstance{{/crossLink}}
+	 * or by
+	 * {{#crossLink "Canvace.Stage.Instance/fork"}}Instance.fork{{/crossLink}}.
+	 *
+	 * Multiple handlers may be registered. A handler may be registered more
+	 * than once, in which case it gets called as many times as it was
+	 * registered.
+	 *
+	 * This method returns a function that unregisters the registered handler.
+	 * If a handler was registered more than once, the returned function only
+	 * removes its own registration.
+	 *
+	 * @method onInstanceCreate
+	 * @for Canvace.Stage
+	 * @param handler {Function} A function that is invoked every time an
+	 * instance is created. The function receives one argument, the new
+	 * `Canvace.Stage.Instance`.
+	 * @return {Function} A function that unregisters the handler. The returned
+	 * function does not receive any arguments.
+	 */
+	this.onInstanceCreate = function (handler) {
+		return createHandlers.add(handler);
+	};
+
+	/**
+	 * Registers an event handler invoked every time an entity instance is
+	 * removed from the stage by
+	 * {{#crossLink "Canvace.Stage.Instance/remove"}}Instance.remove{{/crossLink}}.
+	 *
+	 * The handler is not invoked when the instance had already been removed
+	 * or replaced, nor when it is replaced using
+	 * {{#crossLink "Canvace.Stage.Instance/replaceWith"}}Instance.replaceWith{{/crossLink}}:
+	 * see {{#crossLink "Canvace.Stage/onInstanceReplace"}}{{/crossLink}} for
+	 * that.
+	 *
+	 * This method returns a function that unregisters the registered handler.
+	 * If a handler was registered more than once, the returned function only
+	 * removes its own registration.
+	 *
+	 * @method onInstanceRemove
+	 * @param handler {Function} A function that is invoked every time an
+	 * instance is removed. The function receives one argument, the removed
+	 * `Canvace.Stage.Instance`.
+	 * @return {Function} A function that unregisters the handler. The returned
+	 * function does not receive any arguments.
+	 */
+	this.onInstanceRemove = function (handler) {
+		return removeHandlers.add(handler);
+	};
+
+	/**
+	 * Registers an event handler invoked every time an entity instance is
+	 * replaced with an instance of another entity by
+	 * {{#crossLink "Canvace.Stage.Instance/replaceWith"}}Instance.replaceWith{{/crossLink}}.
+	 *
+	 * This method returns a function that unregisters the registered handler.
+	 * If a handler was registered more than once, the returned function only
+	 * removes its own registration.
+	 *
+	 * @method onInstanceReplace
+	 * @param handler {Function} A function that is invoked every time an
+	 * instance is replaced. The function receives two arguments, the replaced
+	 * `Canvace.Stage.Instance` and the new one.
+	 * @return {Function} A function that unregisters the handler. The returned
+	 * function does not receive any arguments.
+	 */
+	this.onInstanceReplace = function (handler) {
+		return replaceHandlers.add(handler);
+	};
+
+	/**
+	 * Registers an event handler invoked every time a tile of the stage's tile
+	 * map is changed by
+	 * {{#crossLink "Canvace.TileMap/putAt"}}TileMap.putAt{{/crossLink}}.
+	 *
+	 * This is the same as the
+	 * {{#crossLink "Canvace.TileMap/onChange"}}{{/crossLink}} method of the
+	 * tile map returned by {{#crossLink "Canvace.Stage/getTileMap"}}{{/crossLink}}.
+	 *
+	 * @method onTileChange
+	 * @param handler {Function} A function that is invoked every time a tile
+	 * is changed. The function receives four arguments, the `i`, `j` and `k`
+	 * coordinates of the cell and the ID of the new tile.
+	 * @return {Function} A function that unregisters the handler. The returned
+	 * function does not receive any arguments.
+	 */
+	this.onTileChange = function (handler) {
+		return map.onChange(handler);
+	};
+
+	/**
+	 * Returns a snapshot of the current runtime state of the stage, suitable
+	 * for implementing save games.
+	 *
+	 * The snapshot is a plain object that only contains JSON-serializable
+	 * data, so it can be safely passed to `JSON.stringify`. It can then be
+	 * specified to the {{#crossLink "Canvace.Stage"}}{{/crossLink}}
+	 * constructor, along with the same `data` object used to construct this
+	 * stage, in order to construct an equivalent stage.
+	 *
+	 * The snapshot contains two fields:
+	 *	<ul>
+	 *	<li>`instances`, an array describing every entity instance currently
+	 *		in the stage: its instance ID (`null` for instances created at
+	 *		runtime), its entity ID, its position, previous position, velocity,
+	 *		uniform velocity and acceleration vectors and a copy of its custom
+	 *		properties;</li>
+	 *	<li>`tiles`, an array of the tiles changed by the
+	 *		{{#crossLink "Canvace.TileMap/putAt"}}TileMap.putAt{{/crossLink}}
+	 *		method, as returned by
+	 *		{{#crossLink "Canvace.TileMap/getChanges"}}TileMap.getChanges{{/crossLink}}.</li>
+	 *	</ul>
+	 *
+	 * The returned object does not share any data with the stage: later
+	 * changes to the stage do not affect it and vice versa.
+	 *
+	 * @method getSnapshot
+	 * @for Canvace.Stage
+	 * @return {Object} The snapshot object.
+	 */
+	this.getSnapshot = function () {
+		var instanceSnapshots = [];
+		instances.fastForEach(function (instance) {
+			instanceSnapshots.push({
+				id: instance.getId(),
+				entity: instance.getEntityId(),
+				position: copyVector(instance.getPosition()),
+				previousPosition: copyVector(instance.getPreviousPosition()),
+				velocity: copyVector(instance.getVelocity()),
+				uniformVelocity: copyVector(instance.getUniformVelocity()),
+				acceleration: copyVector(instance.getAcceleration()),
+				properties: copy(instance.getProperties())
+			});
+		});
+		return {
+			instances: instanceSnapshots,
+			tiles: map.getChanges()
+		};
+	};
+
 	/**
 	 * "Ticks" all the entities of the stage that have physics enabled. This
 	 * method simply iterates over such entities and invokes their `tick`
@@ -1526,15 +2234,71 @@ Canvace.Stage = function (data, canvas) {
 	 * method simply iterates over such entities and invokes their `update`
 	 * method.
 	 *
+	 * After the update, the handlers registered with
+	 * {{#crossLink "Canvace.Stage/onCollision"}}{{/crossLink}} are invoked for
+	 * every pair of colliding instances.
+	 * Then the callbacks of the animations that are over are invoked (see
+	 * {{#crossLink "Canvace.Stage.Instance/playAnimation"}}Instance.playAnimation{{/crossLink}})
+	 * and the sounds attached to the instances are updated (see
+	 * {{#crossLink "Canvace.Stage.Instance/playSound"}}Instance.playSound{{/crossLink}}).
+	 *
 	 * You do not usually need to call this method as it is automatically called
 	 * by Canvace's render loop implementation in the
 	 * {{#crossLink "Canvace.RenderLoop"}}{{/crossLink}} class.
 	 *
 	 * @method update
+	 * @param [alpha] {Number} An optional interpolation factor, forwarded to
+	 * the `update` method of each instance (see
+	 * {{#crossLink "Canvace.Stage.Instance/update"}}Instance.update{{/crossLink}}).
 	 */
-	this.update = function () {
+	this.update = function (alpha) {
 		instancesWithPhysics.fastForEach(function (instance) {
-			instance.update();
+			instance.update(alpha);
+		});
+		detectCollisions();
+		checkAnimations();
+		updateSounds();
+	};
+
+	/**
+	 * Updates only the graphical representation of all the entities of the
+	 * stage that have physics enabled, without detecting collisions or
+	 * running any of the other tasks of
+	 * {{#crossLink "Canvace.Stage/update"}}{{/crossLink}} (see
+	 * {{#crossLink "Canvace.Stage.Instance/interpolate"}}Instance.interpolate{{/crossLink}}).
+	 *
+	 * This is used by the {{#crossLink "Canvace.RenderLoop"}}{{/crossLink}}
+	 * in fixed step mode, where the stage is updated after each tick and only
+	 * interpolated once per frame.
+	 *
+	 * @method interpolate
+	 * @param [alpha] {Number} An optional interpolation factor.
+	 */
+	this.interpolate = function (alpha) {
+		instancesWithPhysics.fastForEach(function (instance) {
+			instance.interpolate(alpha);
 		});
 	};
 };
+
+/**
+ * The default inner radius of the sounds played by
+ * {{#crossLink "Canvace.Stage.Instance/playSound"}}Instance.playSound{{/crossLink}},
+ * initially `100`.
+ *
+ * @property defaultSoundInnerRadius
+ * @type Number
+ * @static
+ */
+Canvace.Stage.defaultSoundInnerRadius = 100;
+
+/**
+ * The default outer radius of the sounds played by
+ * {{#crossLink "Canvace.Stage.Instance/playSound"}}Instance.playSound{{/crossLink}},
+ * initially `1000`.
+ *
+ * @property defaultSoundOuterRadius
+ * @type Number
+ * @static
+ */
+Canvace.Stage.defaultSoundOuterRadius = 1000;
@@ -31,10 +31,21 @@
  * @param stage {Canvace.Stage} The stage to render.
  * @param loader {Canvace.Loader} A Loader object used to get the images to
  * render.
+ * @param [webgl] {Boolean} Indicates whether the stage must be rendered by a
+ * {{#crossLink "Canvace.WebGLRenderer"}}{{/crossLink}} rather than a plain
+ * `Renderer`. Defaults to the value of the static
+ * {{#crossLink "Canvace.StageRenderer/useWebGL:property"}}{{/crossLink}}
+ * property. The `WebGLRenderer` falls back to a plain `Renderer` anyway if
+ * WebGL is not available.
  */
-Canvace.StageRenderer = function (stage, loader) {
+Canvace.StageRenderer = function (stage, loader, webgl) {
+	if (typeof webgl === 'undefined') {
+		webgl = Canvace.StageRenderer.useWebGL;
+	}
+
+	var Renderer = webgl ? Canvace.WebGLRenderer : Canvace.Renderer;
 	var effects = [];
-	var renderer = new Canvace.Renderer(stage.getCanvas(), loader, stage.getView(), stage.getBuckets(), function (context) {
+	var renderer = new Renderer(stage.getCanvas(), loader, stage.getView(), stage.getBuckets(), function (context) {
 		for (var i = 0; i < effects.length; i++) {
 			if (effects[i].isOver()) {
 				effects.splice(i--, 1);
@@ -59,7 +70,12 @@ Canvace.StageRenderer = function (stage, loader) {
 	 * The `preProcess` and `postProcess` methods are used by the underlying
 	 * `Renderer` and thus receive a `context` argument, which is the "2d"
 	 * context of the HTML5 canvas (see the constructor of the `Renderer`
-	 * class).
+	 * class). When the stage is rendered by a `WebGLRenderer` the context
+	 * belongs to an overlay canvas instead, but transformations set in
+	 * `preProcess` and drawings made in either method still show up on the
+	 * rendered stage, below the elements if they were made in `preProcess`
+	 * and over them if they were made in `postProcess`, just like with a
+	 * `Renderer` (see the constructor of the `WebGLRenderer` class).
 	 *
 	 * The `isOver` method does not receive any arguments and must return a
 	 * boolean value indicating whether the effect must be disapplied, in which
@@ -81,3 +97,15 @@ Canvace.StageRenderer = function (stage, loader) {
 
 	return renderer;
 };
+
+/**
+ * Indicates whether `StageRenderer` objects constructed without the `webgl`
+ * argument (such as the one created by
+ * {{#crossLink "Canvace.RenderLoop"}}{{/crossLink}}) use a
+ * {{#crossLink "Canvace.WebGLRenderer"}}{{/crossLink}}. Defaults to `false`.
+ *
+ * @property useWebGL
+ * @type Boolean
+ * @static
+ */
+Canvace.StageRenderer.useWebGL = false;
@@ -66,11 +66,39 @@ Canvace.TileMap = function (data, buckets) {
 				}
 			}
 		}
-		delete data.map;
 	}());
 
+	var changes = {};
+	var changeCount = 0;
+	var changeHandlers = new Canvace.MultiSet();
+
 	var tileCache = {};
 
+	var clusterGraphs = {};
+
+	function getDescriptor(i, j, k) {
+		if (matrix.has(i, j, k)) {
+			var id = matrix.get(i, j, k);
+			if (typeof id !== 'number') {
+				var coordinates = id.split(' ');
+				id = matrix.get(coordinates[0], coordinates[1], k);
+			}
+			return data.tiles[id];
+		} else {
+			return null;
+		}
+	}
+
+	function getClusterGraph(k) {
+		if (!clusterGraphs.hasOwnProperty(k)) {
+			clusterGraphs[k] = new Canvace.ClusterGraph(function (i, j) {
+				var tile = getDescriptor(i, j, k);
+				return !!tile && !tile.solid;
+			});
+		}
+		return clusterGraphs[k];
+	}
+
 	/**
 	 * This class wraps a tile descriptor.
 	 *
@@ -484,9 +512,89 @@ Canvace.TileMap = function (data, buckets) {
 		}
 		matrix.put(i, j, k, id);
 		buckets.addTile(id, i, j, k);
+		if (clusterGraphs.hasOwnProperty(k)) {
+			for (i1 = i - layout.ref.i; i1 < i - layout.ref.i + layout.span.i; i1++) {
+				for (j1 = j - layout.ref.j; j1 < j - layout.ref.j + layout.span.j; j1++) {
+					clusterGraphs[k].invalidate(i1, j1);
+				}
+			}
+		}
+		changes[i + ' ' + j + ' ' + k] = {
+			i: i,
+			j: j,
+			k: k,
+			id: id,
+			serial: changeCount++
+		};
+		changeHandlers.fastForEach(function (handler) {
+			handler(i, j, k, id);
+		});
 		return true;
 	};
 
+	/**
+	 * Registers an event handler invoked every time a tile is successfully
+	 * placed in the map by the
+	 * {{#crossLink "Canvace.TileMap/putAt"}}{{/crossLink}} method.
+	 *
+	 * Multiple handlers may be registered. A handler may be registered more
+	 * than once, in which case it gets called as many times as it was
+	 * registered.
+	 *
+	 * This method returns a function that unregisters the registered handler.
+	 * If a handler was registered more than once, the returned function only
+	 * removes its own registration.
+	 *
+	 * @method onChange
+	 * @param handler {Function} A function that is invoked every time a tile
+	 * is placed. The function receives four arguments, the `i`, `j` and `k`
+	 * coordinates of the cell and the ID of the new tile.
+	 * @return {Function} A function that unregisters the handler. The returned
+	 * function does not receive any arguments.
+	 */
+	this.onChange = function (handler) {
+		return changeHandlers.add(handler);
+	};
+
+	/**
+	 * Returns the list of the tiles that have been placed in the map by the
+	 * {{#crossLink "Canvace.TileMap/putAt"}}{{/crossLink}} method since the
+	 * map was constructed.
+	 *
+	 * Each change is described by an object containing four fields: the `i`,
+	 * `j` and `k` coordinates of the cell and the `id` of the tile placed
+	 * there. If a tile was placed more than once at the same coordinates only
+	 * the last one is reported.
+	 *
+	 * The changes are returned in the same order they were made, so putting
+	 * the reported tiles again in the same order in a newly constructed map
+	 * results in an equivalent map. This is what the
+	 * {{#crossLink "Canvace.Stage"}}{{/crossLink}} class does to restore
+	 * snapshots.
+	 *
+	 * @method getChanges
+	 * @return {Object[]} An array of objects containing four fields: `i`,
+	 * `j`, `k` and `id`.
+	 */
+	this.getChanges = function () {
+		var result = [];
+		for (var key in changes) {
+			if (changes.hasOwnProperty(key)) {
+				result.push(changes[key]);
+			}
+		}
+		return result.sort(function (a, b) {
+			return a.serial - b.serial;
+		}).map(function (change) {
+			return {
+				i: change.i,
+				j: change.j,
+				k: change.k,
+				id: change.id
+			};
+		});
+	};
+
 	/**
 	 * This method uses the `findPath` method of the
 	 * {{#crossLink "Canvace.Astar"}}{{/crossLink}} class to compute a suitable
@@ -496,6 +604,27 @@ Canvace.TileMap = function (data, buckets) {
 	 * {{#crossLink "Canvace.Astar"}}{{/crossLink}} class is the way the
 	 * computed path is returned to the caller.
 	 *
+	 * Large maps where all the moves have uniform costs can be searched much
+	 * faster by specifying a different algorithm in `options.strategy`:
+	 *
+	 * <ul>
+	 * <li>`'astar'`: the default strategy, described above;</li>
+	 * <li>`'jps'`: Jump Point Search (see
+	 * {{#crossLink "Canvace.JumpPointSearch"}}{{/crossLink}}), which returns
+	 * optimal paths;</li>
+	 * <li>`'hpa'`: hierarchical pathfinding (see
+	 * {{#crossLink "Canvace.ClusterGraph"}}{{/crossLink}}), which returns
+	 * nearly optimal paths and is usually the fastest on very large maps. The
+	 * pre-processed graph of each layer is kept by the `TileMap` and updated
+	 * when tiles are changed by
+	 * {{#crossLink "Canvace.TileMap/putAt"}}{{/crossLink}}.</li>
+	 * </ul>
+	 *
+	 * The `jps` and `hpa` strategies do not support the `cost` and
+	 * `climbable` options and the target node must be in layer `k`. The `hpa`
+	 * strategy does not support the `walkable` option either, tiles are
+	 * walkable if they are not solid.
+	 *
 	 * @method findPath
 	 * @param i {Number} The I coordinate of the requested node.
 	 * @param j {Number} The J coordinate of the requested node.
@@ -503,23 +632,98 @@ Canvace.TileMap = function (data, buckets) {
 	 * and the target node.
 	 * @param i1 {Number} The I coordinate of the target node.
 	 * @param j1 {Number} The J coordinate of the target node.
-	 * @return {Object[]} An array of objects containing the `i` and `j`
+	 * @param [k1] {Number} The number of the layer containing the target
+	 * node. Defaults to `k`. Paths can move from a layer to another through
+	 * stairs, ladders and ramps, see
+	 * {{#crossLink "Canvace.TileMap/getGraphNode"}}{{/crossLink}}.
+	 * @param [options] {Object} An optional dictionary of options affecting
+	 * the costs of the tiles, their walkability and the connections between
+	 * layers. See {{#crossLink "Canvace.TileMap/getGraphNode"}}{{/crossLink}}
+	 * for details.
+	 * @param [options.cost] {Function} An optional tile cost function.
+	 * @param [options.walkable] {Function} An optional walkability
+	 * predicate.
+	 * @param [options.climbable] {Function} An optional predicate indicating
+	 * which tiles lead to the upper layer.
+	 * @param [options.strategy='astar'] {String} The pathfinding algorithm,
+	 * either `'astar'`, `'jps'` or `'hpa'`.
+	 * @return {Object[]} An array of objects containing the `i`, `j` and `k`
 	 * coordinates of the nodes in the computed path, or `null` if no path can
 	 * be found. The starting node is **not** included.
+	 * @example
+	 *	// prefer roads, avoid mud and never walk on water
+	 *	var path = map.findPath(i, j, k, i1, j1, {
+	 *		cost: function (properties) {
+	 *			return {
+	 *				road: 1,
+	 *				grass: 2,
+	 *				mud: 5
+	 *			}[properties.terrain] || 2;
+	 *		},
+	 *		walkable: function (solid, properties) {
+	 *			return !solid && (properties.terrain !== 'water');
+	 *		}
+	 *	});
 	 */
 	this.findPath = (function () {
 		var astar;
-		return function (i, j, k, i1, j1) {
-			if (!astar) {
-				astar = new Canvace.Astar();
+		return function (i, j, k, i1, j1, k1, options) {
+			if (typeof k1 !== 'number') {
+				options = k1;
+				k1 = k;
+			}
+			if (typeof options === 'undefined') {
+				options = {};
 			}
 
-			var path = astar.findPath(thisObject.getGraphNode(i, j, k, i1, j1));
+			var strategy = options.strategy || 'astar';
+			var path;
+			if (strategy === 'astar') {
+				if (!astar) {
+					astar = new Canvace.Astar();
+				}
+
+				path = astar.findPath(thisObject.getGraphNode(i, j, k, i1, j1, k1, options));
+				if (null === path) {
+					return null;
+				}
+
+				return Canvace.TileMap.translatePath(i, j, path, k);
+			}
+
+			if ((k1 !== k) || options.cost || options.climbable) {
+				throw 'the ' + strategy + ' strategy only supports uniform costs within a single layer';
+			}
+			if (strategy === 'jps') {
+				var isWalkable = options.walkable || function (solid) {
+					return !solid;
+				};
+				path = new Canvace.JumpPointSearch(function (i, j) {
+					var tile = getDescriptor(i, j, k);
+					return !!tile && isWalkable(tile.solid, tile.properties);
+				}).findPath(i, j, i1, j1);
+			} else if (strategy === 'hpa') {
+				if (options.walkable) {
+					throw 'the hpa strategy does not support walkability predicates';
+				}
+				path = getClusterGraph(k).findPath(i, j, i1, j1);
+			} else {
+				throw {
+					message: 'invalid pathfinding strategy',
+					strategy: strategy
+				};
+			}
 			if (null === path) {
 				return null;
 			}
 
-			return Canvace.TileMap.translatePath(i, j, path);
+			return path.map(function (node) {
+				return {
+					i: node.i,
+					j: node.j,
+					k: k
+				};
+			});
 		};
 	}());
 
@@ -534,66 +738,121 @@ Canvace.TileMap = function (data, buckets) {
 	 * itself. This makes the graph usable with the `Astar` class.
 	 *
 	 * The target node is the tile identified by the coordinates `i1`, `j1` and
-	 * `k`.
+	 * `k1`, where `k1` defaults to `k`.
+	 *
+	 * By default a tile is walkable if it is not solid, and walking to an
+	 * adjacent tile costs 1 orthogonally and the square root of 2 diagonally.
+	 * Diagonal moves are only allowed when both the orthogonally adjacent
+	 * tiles are walkable as well.
+	 *
+	 * The optional `options.walkable` predicate replaces the default
+	 * walkability rule. Just like the `collides` callback of
+	 * {{#crossLink "Canvace.TileMap/rectangleCollision"}}{{/crossLink}}, it
+	 * receives two arguments, the tile's solid flag and its properties, and
+	 * returns a boolean value indicating whether the tile is walkable.
+	 *
+	 * The optional `options.cost` function allows to model different terrains:
+	 * it receives the properties of a walkable tile and returns the cost of
+	 * entering it, which multiplies the distance of the move. Costs must be
+	 * positive numbers and should not be lower than 1: the heuristic assumes
+	 * every move costs at least its distance, so lower costs may lead to
+	 * paths that are not optimal.
+	 *
+	 * Layers are connected by stairs, ladders and ramps: a walkable tile at
+	 * layer `k` for which the `options.climbable` predicate returns `true`
+	 * allows to move to the walkable tile having the same I and J coordinates
+	 * at layer `k + 1`, and back. The predicate receives the tile's solid flag
+	 * and properties, just like `options.walkable`; by default it returns
+	 * `true` for tiles having a truthy `stairs`, `ladder` or `ramp` property.
+	 * Moving between layers costs 1, multiplied by the cost of the destination
+	 * tile.
 	 *
 	 * @method getGraphNode
 	 * @param i {Number} The I coordinate of the requested node.
 	 * @param j {Number} The J coordinate of the requested node.
-	 * @param k {Number} The number of the layer containing both the requested
-	 * and the target node.
+	 * @param k {Number} The number of the layer containing the requested node.
 	 * @param i1 {Number} The I coordinate of the target node.
 	 * @param j1 {Number} The J coordinate of the target node.
+	 * @param [k1] {Number} The number of the layer containing the target
+	 * node. Defaults to `k`.
+	 * @param [options] {Object} An optional dictionary of options.
+	 * @param [options.cost] {Function} An optional function returning the
+	 * cost of entering a tile, given its properties.
+	 * @param [options.walkable] {Function} An optional predicate indicating
+	 * whether a tile is walkable, given its solid flag and properties.
+	 * @param [options.climbable] {Function} An optional predicate indicating
+	 * whether a tile leads to the upper layer, given its solid flag and
+	 * properties.
 	 * @return {Canvace.Astar.Node} A node object that satisfies the
 	 * `Astar.Node` requirements and can be passed to the `Astar.findPath`
 	 * method.
 	 */
-	this.getGraphNode = function (i, j, k, i1, j1) {
-		return (function makeNode(i, j) {
-			function bind(i, j) {
+	this.getGraphNode = function (i, j, k, i1, j1, k1, options) {
+		if (typeof k1 !== 'number') {
+			options = k1;
+			k1 = k;
+		}
+		if (typeof options === 'undefined') {
+			options = {};
+		}
+		var isWalkable = options.walkable || function (solid) {
+			return !solid;
+		};
+		var getCost = options.cost || function () {
+			return 1;
+		};
+		var isClimbable = options.climbable || function (solid, properties) {
+			return !!(properties.stairs || properties.ladder || properties.ramp);
+		};
+		function walkable(i, j, k) {
+			var tile = getDescriptor(i, j, k);
+			return !!tile && isWalkable(tile.solid, tile.properties);
+		}
+		function climbable(i, j, k) {
+			var tile = getDescriptor(i, j, k);
+			return !!tile && isClimbable(tile.solid, tile.properties);
+		}
+		return (function makeNode(i, j, k) {
+			function bind(i, j, k) {
 				return function () {
-					return makeNode(i, j);
+					return makeNode(i, j, k);
 				};
 			}
 			var di = Math.abs(i1 - i);
 			var dj = Math.abs(j1 - j);
+			var distances = {};
 			var node = {
 				id: i + ' ' + j + ' ' + k,
 				heuristic: Math.sqrt(Math.pow(Math.min(di, dj), 2) * 2) +
-					Math.max(di, dj) - Math.min(di, dj),
+					Math.max(di, dj) - Math.min(di, dj) + Math.abs(k1 - k),
 				neighbors: {},
 				distance: function (index) {
-					if (parseInt(index, 10) % 2) {
-						return 1;
-					} else {
-						return Math.sqrt(2);
-					}
+					return distances[index];
 				}
 			};
-			(function () {
-				function walkable(i, j) {
-					if (matrix.has(i, j, k)) {
-						var id = matrix.get(i, j, k);
-						if (typeof id !== 'number') {
-							var coordinates = id.split(' ');
-							id = matrix.get(coordinates[0], coordinates[1], k);
-						}
-						return !data.tiles[id].solid;
-					} else {
-						return false;
-					}
-				}
-				for (var index = 0; index < 9; index++) {
-					var i1 = i + [-1, -1, -1, 0, 0, 0, 1, 1, 1][index];
-					var j1 = j + [-1, 0, 1, -1, 0, 1, -1, 0, 1][index];
-					if (((i1 !== i) || (j1 !== j)) && walkable(i1, j1)) {
-						if ((index % 2) || walkable(i, j1) && walkable(i1, j)) {
-							node.neighbors[index] = bind(i1, j1);
-						}
+			function connect(index, i, j, k, distance) {
+				node.neighbors[index] = bind(i, j, k);
+				distances[index] = distance * getCost(getDescriptor(i, j, k).properties);
+			}
+			for (var index = 0; index < 9; index++) {
+				var i2 = i + [-1, -1, -1, 0, 0, 0, 1, 1, 1][index];
+				var j2 = j + [-1, 0, 1, -1, 0, 1, -1, 0, 1][index];
+				if (((i2 !== i) || (j2 !== j)) && walkable(i2, j2, k)) {
+					if (index % 2) {
+						connect(index, i2, j2, k, 1);
+					} else if (walkable(i, j2, k) && walkable(i2, j, k)) {
+						connect(index, i2, j2, k, Math.SQRT2);
 					}
 				}
-			}());
+			}
+			if (walkable(i, j, k - 1) && climbable(i, j, k - 1)) {
+				connect(9, i, j, k - 1, 1);
+			}
+			if (climbable(i, j, k) && walkable(i, j, k + 1)) {
+				connect(10, i, j, k + 1, 1);
+			}
 			return node;
-		}(i, j));
+		}(i, j, k));
 	};
 
 	/**
@@ -755,24 +1014,44 @@ Canvace.TileMap = function (data, buckets) {
 };
 
 /**
- * TODO
+ * Translates a path returned by the `Astar.findPath` method for a graph
+ * obtained through
+ * {{#crossLink "Canvace.TileMap/getGraphNode"}}{{/crossLink}} into an array
+ * of tile coordinates.
+ *
+ * The path is a list of edge indices: indices from 0 to 8 identify the
+ * adjacent tiles in the same layer, while 9 and 10 respectively identify the
+ * tiles in the lower and upper layers.
  *
  * @method translatePath
  * @static
- * @param i {Number} TODO
- * @param j {Number} TODO
- * @param path {Number[]} TODO
- * @return {Object[]} TODO
+ * @param i {Number} The I coordinate of the starting node.
+ * @param j {Number} The J coordinate of the starting node.
+ * @param path {Number[]} The path to translate.
+ * @param [k] {Number} The layer of the starting node. If specified, the
+ * returned objects also contain the `k` coordinate of each node.
+ * @return {Object[]} An array of objects containing the `i` and `j`
+ * coordinates, and optionally the `k` coordinate, of the nodes in the path.
+ * The starting node is **not** included.
  */
-Canvace.TileMap.translatePath = function (i, j, path) {
+Canvace.TileMap.translatePath = function (i, j, path, k) {
 	var result = [];
 	for (var index = 0; index < path.length; ++index) {
-		i = i + [-1, -1, -1, 0, 0, 0, 1, 1, 1][path[index]];
-		j = j + [-1, 0, 1, -1, 0, 1, -1, 0, 1][path[index]];
-		result.push({
-			i: i,
-			j: j
-		});
+		i = i + [-1, -1, -1, 0, 0, 0, 1, 1, 1, 0, 0][path[index]];
+		j = j + [-1, 0, 1, -1, 0, 1, -1, 0, 1, 0, 0][path[index]];
+		if (typeof k === 'number') {
+			k = k + [0, 0, 0, 0, 0, 0, 0, 0, 0, -1, 1][path[index]];
+			result.push({
+				i: i,
+				j: j,
+				k: k
+			});
+		} else {
+			result.push({
+				i: i,
+				j: j
+			});
+		}
 	}
 	return result;
 };
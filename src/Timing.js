@@ -23,18 +23,21 @@
  * Whenever possible, the methods provided by this class make use of a high
  * resolution, monotonic clock.
  *
+ * This class also provides an _input clock_, used by the input handlers
+ * whose outcome depends on time, like
+ * {{#crossLink "Canvace.Keyboard/onSequence"}}Keyboard.onSequence{{/crossLink}}
+ * and the {{#crossLink "Canvace.Gestures"}}{{/crossLink}} recognizers. The
+ * input clock follows the real clock unless it is driven by an
+ * {{#crossLink "Canvace.InputRecorder"}}InputRecorder{{/crossLink}} or an
+ * {{#crossLink "Canvace.InputPlayer"}}InputPlayer{{/crossLink}}, which make
+ * it advance by one fixed step per tick so that recorded sessions can be
+ * reproduced exactly.
+ *
  * @class Canvace.Timing
  * @static
  */
-Canvace.Timing = {
-	/**
-	 * This method returns a timestamp using `window.performance.now()`, if
-	 * available, or `Date.now()` otherwise.
-	 *
-	 * @method now
-	 * @return {Number} A number indicating a timestamp in milliseconds.
-	 */
-	now: (function () {
+Canvace.Timing = (function () {
+	var now = (function () {
 		if (!!window.performance) {
 			var now = Canvace.Polyfill.getPrefixedProperty(window.performance, 'now');
 			if (!!now) {
@@ -46,5 +49,144 @@ Canvace.Timing = {
 		return function () {
 			return Date.now();
 		};
-	}())
-};
+	}());
+
+	var inputTime = null;
+	var inputTimers = new Canvace.MultiSet();
+
+	function getInputTime() {
+		if (inputTime !== null) {
+			return inputTime;
+		} else {
+			return now();
+		}
+	}
+
+	/*
+	 * Moves the pending input timers to a different clock, preserving their
+	 * remaining delays.
+	 */
+	function rebaseTimers(from, to) {
+		inputTimers.fastForEach(function (timer) {
+			timer.due += to - from;
+			if (timer.token !== null) {
+				clearTimeout(timer.token);
+				timer.token = null;
+			}
+			if (inputTime === null) {
+				timer.token = setTimeout(timer.fire, Math.max(0, timer.due - to));
+			}
+		});
+	}
+
+	return {
+		/**
+		 * This method returns a timestamp using `window.performance.now()`, if
+		 * available, or `Date.now()` otherwise.
+		 *
+		 * @method now
+		 * @return {Number} A number indicating a timestamp in milliseconds.
+		 */
+		now: now,
+
+		/**
+		 * Returns the current time of the input clock. This is the same as
+		 * {{#crossLink "Canvace.Timing/now"}}{{/crossLink}}, unless the input
+		 * clock is driven by
+		 * {{#crossLink "Canvace.Timing/setInputTime"}}{{/crossLink}}.
+		 *
+		 * @method getInputTime
+		 * @return {Number} A number indicating a timestamp in milliseconds.
+		 */
+		getInputTime: getInputTime,
+
+		/**
+		 * Invokes the specified callback function once the specified number of
+		 * milliseconds has elapsed on the input clock.
+		 *
+		 * While the input clock follows the real clock this works like
+		 * `setTimeout`; while it is driven by
+		 * {{#crossLink "Canvace.Timing/setInputTime"}}{{/crossLink}} the
+		 * callback is invoked as soon as the input time reaches the due time.
+		 *
+		 * @method setInputTimeout
+		 * @param callback {Function} The callback function. It does not
+		 * receive any arguments.
+		 * @param delay {Number} The delay in milliseconds.
+		 * @return {Function} A function that cancels the timeout if it has not
+		 * expired yet.
+		 */
+		setInputTimeout: function (callback, delay) {
+			var timer = {
+				due: getInputTime() + delay,
+				token: null
+			};
+			var remove = inputTimers.add(timer);
+			function cancel() {
+				if (timer.token !== null) {
+					clearTimeout(timer.token);
+					timer.token = null;
+				}
+				remove();
+			}
+			timer.fire = function () {
+				cancel();
+				callback();
+			};
+			if (inputTime === null) {
+				timer.token = setTimeout(timer.fire, delay);
+			}
+			return cancel;
+		},
+
+		/**
+		 * Makes the input clock stop following the real clock and sets its
+		 * current time, invoking the expired input timeouts (see
+		 * {{#crossLink "Canvace.Timing/setInputTimeout"}}{{/crossLink}}) in
+		 * chronological order.
+		 *
+		 * You do not usually need to call this method directly:
+		 * {{#crossLink "Canvace.InputRecorder"}}InputRecorder{{/crossLink}}
+		 * and {{#crossLink "Canvace.InputPlayer"}}InputPlayer{{/crossLink}}
+		 * objects call it at each tick.
+		 *
+		 * @method setInputTime
+		 * @param time {Number} The new input time in milliseconds.
+		 */
+		setInputTime: function (time) {
+			if (inputTime === null) {
+				var from = now();
+				inputTime = time;
+				rebaseTimers(from, time);
+			} else {
+				inputTime = time;
+			}
+			var next;
+			do {
+				next = null;
+				inputTimers.fastForEach(function (timer) {
+					if ((timer.due <= time) && (!next || (timer.due < next.due))) {
+						next = timer;
+					}
+				});
+				if (next) {
+					next.fire();
+				}
+			} while (next);
+		},
+
+		/**
+		 * Makes the input clock follow the real clock again. Pending input
+		 * timeouts keep their remaining delays.
+		 *
+		 * @method resetInputTime
+		 */
+		resetInputTime: function () {
+			if (inputTime !== null) {
+				var from = inputTime;
+				inputTime = null;
+				rebaseTimers(from, now());
+			}
+		}
+	};
+}());
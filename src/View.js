@@ -25,6 +25,14 @@
  * Note that the `width` and `height` attributes of the canvas may not change
  * after the `View` object is constructed, or inconsistent rendering may result.
  *
+ * Besides being dragged, the viewport can be zoomed and rotated around its
+ * center (see {{#crossLink "Canvace.View/setZoom"}}{{/crossLink}} and
+ * {{#crossLink "Canvace.View/setRotation"}}{{/crossLink}}). The coordinates
+ * received by the picking methods (`unproject` and `getCell`) are canvas
+ * coordinates and take zoom and rotation into account, while the projection
+ * methods (`project` and `projectElement`) do not depend on the viewport at
+ * all.
+ *
  * You do not usually need to construct a `View` object manually, as one is
  * automatically created by the `Stage` class.
  *
@@ -61,6 +69,34 @@ Canvace.View = function (data, canvas) {
 	var y0 = data.y0;
 	var width = canvas.width;
 	var height = canvas.height;
+	var zoom = 1;
+	var rotation = 0;
+
+	/*
+	 * The cosine and sine of the rotation angle, multiplied by the zoom
+	 * factor.
+	 */
+	var cos = 1;
+	var sin = 0;
+
+	function updateTransform() {
+		cos = zoom * Math.cos(rotation);
+		sin = zoom * Math.sin(rotation);
+	}
+
+	/*
+	 * Converts canvas coordinates to projected coordinates, undoing origin
+	 * translation, zoom and rotation.
+	 */
+	function toProjected(x, y) {
+		var dx = x - width / 2;
+		var dy = y - height / 2;
+		var det = cos * cos + sin * sin;
+		return [
+			(cos * dx + sin * dy) / det + width / 2 - x0,
+			(cos * dy - sin * dx) / det + height / 2 - y0
+		];
+	}
 
 	/**
 	 * Computes the projected `x`, `y` and `z` coordinates of an element by
@@ -143,9 +179,10 @@ Canvace.View = function (data, canvas) {
 	 * values, respectively.
 	 */
 	this.unproject = function (x, y, k) {
-		var z = (k + inv[2][0] * (x0 - x) + inv[2][1] * (y0 - y)) / inv[2][2];
-		var i = inv[0][0] * (x - x0) + inv[0][1] * (y - y0) + inv[0][2] * z;
-		var j = inv[1][0] * (x - x0) + inv[1][1] * (y - y0) + inv[1][2] * z;
+		var p = toProjected(x, y);
+		var z = (k - inv[2][0] * p[0] - inv[2][1] * p[1]) / inv[2][2];
+		var i = inv[0][0] * p[0] + inv[0][1] * p[1] + inv[0][2] * z;
+		var j = inv[1][0] * p[0] + inv[1][1] * p[1] + inv[1][2] * z;
 		return [i, j, k];
 	};
 
@@ -170,9 +207,10 @@ Canvace.View = function (data, canvas) {
 	 * @return {Object} an object containing three properties, `i`, `j` and `k`.
 	 */
 	this.getCell = function (x, y, k) {
-		var z = (k - inv[2][0] * (x - x0) - inv[2][1] * (y - y0)) / inv[2][2];
-		var i = Math.floor(inv[0][0] * (x - x0) + inv[0][1] * (y - y0) + inv[0][2] * z);
-		var j = Math.floor(inv[1][0] * (x - x0) + inv[1][1] * (y - y0) + inv[1][2] * z);
+		var p = toProjected(x, y);
+		var z = (k - inv[2][0] * p[0] - inv[2][1] * p[1]) / inv[2][2];
+		var i = Math.floor(inv[0][0] * p[0] + inv[0][1] * p[1] + inv[0][2] * z);
+		var j = Math.floor(inv[1][0] * p[0] + inv[1][1] * p[1] + inv[1][2] * z);
 		return {
 			i: i,
 			j: j,
@@ -220,18 +258,144 @@ Canvace.View = function (data, canvas) {
 		return height;
 	};
 
+	/**
+	 * Returns the zoom factor of the viewport. The initial zoom factor is 1.
+	 *
+	 * @method getZoom
+	 * @return {Number} The zoom factor.
+	 */
+	this.getZoom = function () {
+		return zoom;
+	};
+
+	/**
+	 * Sets the zoom factor of the viewport. Values greater than 1 zoom in,
+	 * values between 0 and 1 zoom out. The zoom is centered in the viewport.
+	 *
+	 * An exception is thrown if the specified value is not a positive number.
+	 *
+	 * @method setZoom
+	 * @param value {Number} The new zoom factor.
+	 */
+	this.setZoom = function (value) {
+		if ((typeof value !== 'number') || (value <= 0)) {
+			throw 'The zoom factor must be a positive number';
+		}
+		zoom = value;
+		updateTransform();
+	};
+
+	/**
+	 * Returns the rotation angle of the viewport in radians. The initial
+	 * rotation angle is 0.
+	 *
+	 * @method getRotation
+	 * @return {Number} The rotation angle in radians.
+	 */
+	this.getRotation = function () {
+		return rotation;
+	};
+
+	/**
+	 * Sets the rotation angle of the viewport. The rotation is clockwise and
+	 * centered in the viewport.
+	 *
+	 * @method setRotation
+	 * @param angle {Number} The new rotation angle in radians.
+	 */
+	this.setRotation = function (angle) {
+		rotation = angle;
+		updateTransform();
+	};
+
+	/**
+	 * Returns the transformation that maps projected coordinates to canvas
+	 * coordinates, taking into account the viewport's origin, zoom and
+	 * rotation.
+	 *
+	 * The transformation is returned as an array of six numbers that can be
+	 * passed as they are to the `setTransform` method of a "2d" canvas
+	 * context. When the viewport is neither zoomed nor rotated the
+	 * transformation is simply a translation by the viewport's origin.
+	 *
+	 * @method getTransform
+	 * @return {Array} An array containing the six components `a`, `b`, `c`,
+	 * `d`, `e` and `f` of the transformation, in the order expected by
+	 * `CanvasRenderingContext2D.setTransform`.
+	 */
+	this.getTransform = function () {
+		var dx = x0 - width / 2;
+		var dy = y0 - height / 2;
+		return [
+			cos,
+			sin,
+			-sin,
+			cos,
+			cos * dx - sin * dy + width / 2,
+			sin * dx + cos * dy + height / 2
+		];
+	};
+
+	/**
+	 * Returns the smallest rectangle of the projected space (the space of the
+	 * coordinates returned by `projectElement`) that contains everything
+	 * visible in the viewport.
+	 *
+	 * When the viewport is neither zoomed nor rotated the rectangle is located
+	 * at `(-x0, -y0)` and has the same size as the viewport; zooming out makes
+	 * it larger and rotating the viewport makes it contain the rotated
+	 * viewport.
+	 *
+	 * @method getVisibleRectangle
+	 * @return {Object} An object containing four fields, `x`, `y`, `width`
+	 * and `height`.
+	 */
+	this.getVisibleRectangle = function () {
+		var corners = [
+			toProjected(0, 0),
+			toProjected(width, 0),
+			toProjected(0, height),
+			toProjected(width, height)
+		];
+		var left = Math.min.apply(Math, corners.map(function (corner) {
+			return corner[0];
+		}));
+		var top = Math.min.apply(Math, corners.map(function (corner) {
+			return corner[1];
+		}));
+		var right = Math.max.apply(Math, corners.map(function (corner) {
+			return corner[0];
+		}));
+		var bottom = Math.max.apply(Math, corners.map(function (corner) {
+			return corner[1];
+		}));
+		return {
+			x: left,
+			y: top,
+			width: right - left,
+			height: bottom - top
+		};
+	};
+
 	var dragHandlers = new Canvace.MultiSet();
 
 	/**
 	 * Drags the viewport by the specified `dx` and `dy` offsets.
 	 *
+	 * The offsets are expressed in canvas pixels, like the ones received by
+	 * {{#crossLink "Canvace.Mouse/onDrag"}}Mouse.onDrag{{/crossLink}}
+	 * handlers, so that the dragged content follows the pointer regardless of
+	 * the zoom factor and rotation angle of the viewport. The origin moves by
+	 * the offsets converted to projected coordinates.
+	 *
 	 * @method drag
-	 * @param dx {Number} The drag offset along the X axis.
-	 * @param dy {Number} The drag offset along the Y axis.
+	 * @param dx {Number} The drag offset along the X axis, in canvas pixels.
+	 * @param dy {Number} The drag offset along the Y axis, in canvas pixels.
 	 */
 	this.drag = function (dx, dy) {
-		x0 += dx;
-		y0 += dy;
+		var det = cos * cos + sin * sin;
+		x0 += (cos * dx + sin * dy) / det;
+		y0 += (cos * dy - sin * dx) / det;
 		dragHandlers.fastForEach(function (handler) {
 			handler(x0, y0);
 		});
@@ -241,6 +405,9 @@ Canvace.View = function (data, canvas) {
 	 * Drags the viewport so that the origin be located at the specified `x` and
 	 * `y` coordinates.
 	 *
+	 * Unlike {{#crossLink "Canvace.View/drag"}}{{/crossLink}}, the coordinates
+	 * are projected coordinates and are not affected by zoom and rotation.
+	 *
 	 * @method dragTo
 	 * @param x {Number} The new origin's X coordinate.
 	 * @param y {Number} The new origin's Y coordinate.
@@ -278,24 +445,32 @@ Canvace.View = function (data, canvas) {
 	};
 
 	/**
-	 * TODO
+	 * Indicates whether the projection of the specified box intersects the
+	 * visible area of the viewport (see
+	 * {{#crossLink "Canvace.View/getVisibleRectangle"}}{{/crossLink}}).
+	 *
+	 * The test is conservative: only the projections of two opposite corners
+	 * of the box are taken into account.
 	 *
 	 * @method intersects
-	 * @param i {Number} TODO
-	 * @param j {Number} TODO
-	 * @param di {Number} TODO
-	 * @param dj {Number} TODO
-	 * @return {Boolean} TODO
+	 * @param i {Number} The I coordinate of the box.
+	 * @param j {Number} The J coordinate of the box.
+	 * @param k {Number} The K coordinate of the box.
+	 * @param di {Number} The size of the box along the I axis.
+	 * @param dj {Number} The size of the box along the J axis.
+	 * @param dk {Number} The size of the box along the K axis.
+	 * @return {Boolean} `true` if the box is visible, `false` otherwise.
 	 */
 	this.intersects = function (i, j, k, di, dj, dk) {
 		var x1 = mat[0][0] * i + mat[0][1] * j + mat[0][2] * k;
 		var y1 = mat[1][0] * i + mat[1][1] * j + mat[1][2] * k;
 		var x2 = mat[0][0] * (i + di) + mat[0][1] * (j + dj) + mat[0][2] * (k + dk);
 		var y2 = mat[1][0] * (i + di) + mat[1][1] * (j + dj) + mat[1][2] * (k + dk);
-		return (Math.min(x1, x2) < width - x0) &&
-			(Math.max(x1, x2) > -x0) &&
-			(Math.min(y1, y2) < height - y0) &&
-			(Math.max(y1, y2) > -y0);
+		var visible = this.getVisibleRectangle();
+		return (Math.min(x1, x2) < visible.x + visible.width) &&
+			(Math.max(x1, x2) > visible.x) &&
+			(Math.min(y1, y2) < visible.y + visible.height) &&
+			(Math.max(y1, y2) > visible.y);
 	};
 
 	/**
@@ -314,6 +489,9 @@ Canvace.View = function (data, canvas) {
 	 * always resides withint the target area) and 1 indicates maximum delay
 	 * (the view never moves and never reaches a fitting position).
 	 *
+	 * The target area is expressed in canvas pixels and takes the zoom factor
+	 * into account, but not the rotation angle.
+	 *
 	 * @class Canvace.View.Synchronizer
 	 * @constructor
 	 * @param targetAreaWidth {Number} The width of the target area.
@@ -335,20 +513,22 @@ Canvace.View = function (data, canvas) {
 		this.tick = function (target) {
 			var x1 = x0;
 			var y1 = y0;
-			var frameWidth = (width - targetAreaWidth) / 2;
-			var frameHeight = (height - targetAreaHeight) / 2;
+			var left = (width - targetAreaWidth / zoom) / 2;
+			var right = (width + targetAreaWidth / zoom) / 2;
+			var top = (height - targetAreaHeight / zoom) / 2;
+			var bottom = (height + targetAreaHeight / zoom) / 2;
 			var targetRectangle = target.getProjectedRectangle();
-			if (x0 + targetRectangle.x + targetRectangle.width > width - frameWidth) {
-				x1 = width - targetRectangle.x - targetRectangle.width - frameWidth;
+			if (x0 + targetRectangle.x + targetRectangle.width > right) {
+				x1 = right - targetRectangle.x - targetRectangle.width;
 			}
-			if (x0 + targetRectangle.x < frameWidth) {
-				x1 = frameWidth - targetRectangle.x;
+			if (x0 + targetRectangle.x < left) {
+				x1 = left - targetRectangle.x;
 			}
-			if (y0 + targetRectangle.y + targetRectangle.height > height - frameHeight) {
-				y1 = height - targetRectangle.y - targetRectangle.height - frameHeight;
+			if (y0 + targetRectangle.y + targetRectangle.height > bottom) {
+				y1 = bottom - targetRectangle.y - targetRectangle.height;
 			}
-			if (y0 + targetRectangle.y < frameHeight) {
-				y1 = frameHeight - targetRectangle.y;
+			if (y0 + targetRectangle.y < top) {
+				y1 = top - targetRectangle.y;
 			}
 			x0 = x0 + (x1 - x0) * (1 - delay);
 			y0 = y0 + (y1 - y0) * (1 - delay);
@@ -0,0 +1,518 @@
+/*
+ *	Canvace's JavaScript Game Engine, canvace.js
+ *	Copyright (C) 2013  Canvace Srl  <http://www.canvace.com/>
+ *
+ *	Dual licensed under the MIT and GPLv3 licenses.
+ *
+ *	This program is free software: you can redistribute it and/or modify
+ *	it under the terms of the GNU General Public License as published by
+ *	the Free Software Foundation, either version 3 of the License, or
+ *	(at your option) any later version.
+ *
+ *	This program is distributed in the hope that it will be useful,
+ *	but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *	GNU General Public License for more details.
+ *
+ *	You should have received a copy of the GNU General Public License
+ *	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * A WebGL-based alternative to {{#crossLink "Canvace.Renderer"}}{{/crossLink}}
+ * with the same interface.
+ *
+ * Instead of issuing one `drawImage` call per element, the `WebGLRenderer`
+ * packs the images enumerated by
+ * {{#crossLink "Canvace.Buckets/forEachElement"}}Buckets.forEachElement{{/crossLink}}
+ * into a few large textures (texture atlases) the first time they are drawn,
+ * and renders all the elements sharing the same texture with a single draw
+ * call. Images are packed as soon as they are completely loaded; elements
+ * whose images are still loading are not rendered.
+ *
+ * If the browser does not support WebGL, or the canvas already has a context
+ * of another type, the constructor returns a regular
+ * {{#crossLink "Canvace.Renderer"}}{{/crossLink}} instead, so the object
+ * returned by `new Canvace.WebGLRenderer(...)` can always be used the same
+ * way.
+ *
+ * The `preProcess` and `postProcess` callbacks (and thus the effects of a
+ * {{#crossLink "Canvace.StageRenderer"}}{{/crossLink}}) receive the "2d"
+ * context of an offscreen overlay canvas having the same size as the
+ * rendering canvas. The transformation set on that context by the
+ * `preProcess` callback (e.g. the `translate` calls of the
+ * {{#crossLink "Canvace.RumbleEffect"}}{{/crossLink}}) is applied to the
+ * rendering of the elements. Just like with a
+ * {{#crossLink "Canvace.Renderer"}}{{/crossLink}}, whatever is drawn by the
+ * `preProcess` callback ends up below the rendered elements (e.g. a
+ * background) and whatever is drawn by the `postProcess` callback ends up
+ * over them (e.g. the overlays of the
+ * {{#crossLink "Canvace.DebugEffect"}}{{/crossLink}}): the overlay is
+ * composited once after `preProcess` and once after `postProcess`, and is
+ * cleared in between. It is only uploaded to the GPU when something is
+ * actually drawn on it.
+ *
+ * @class Canvace.WebGLRenderer
+ * @constructor
+ * @param canvas {Mixed} An HTML5 canvas element used for the rendering
+ * process. This parameter can be either the actual `HTMLCanvasElement`, or
+ * a selector string. In the latter case, the first matching element is used,
+ * and an exception is thrown if no matching element is found.
+ * @param loader {Canvace.Loader} a Loader object used to get the images to
+ * render. The renderer assumes the `Loader.loadImages` method has already been
+ * called and only uses the `Loader.getImage` method.
+ * @param view {Canvace.View} A `View` object used to project the elements to
+ * render and manage the viewport.
+ * @param buckets {Canvace.Buckets} A `Buckets` object used to perform efficient
+ * rendering.
+ * @param [preProcess] {Function} An optional callback function called by the
+ * `render` method right before the rendering of a frame. The function receives
+ * one argument, the "2d" context object of the overlay canvas.
+ * @param [postProcess] {Function} An optional callback function called by the
+ * `render` method right after the rendering of a frame. The function receives
+ * one argument, the "2d" context object of the overlay canvas.
+ */
+Canvace.WebGLRenderer = function (canvas, loader, view, buckets, preProcess, postProcess) {
+	if (typeof canvas === 'string') {
+		canvas = document.querySelector(canvas);
+
+		if (!canvas) {
+			throw 'No element found matching the specified selector';
+		}
+	}
+
+	var gl = Canvace.WebGLRenderer.getWebGLContext(canvas);
+	if (!gl) {
+		return new Canvace.Renderer(canvas, loader, view, buckets, preProcess, postProcess);
+	}
+
+	var width = canvas.width;
+	var height = canvas.height;
+
+	var overlay = document.createElement('canvas');
+	overlay.width = width;
+	overlay.height = height;
+	var context = overlay.getContext('2d');
+
+	var overlayDirty = false;
+	var matrix = [1, 0, 0, 1, 0, 0];
+	var matrixStack = [];
+
+	(function () {
+		function wrap(name, action) {
+			var method = context[name];
+			context[name] = function () {
+				action.apply(context, arguments);
+				return method.apply(context, arguments);
+			};
+		}
+
+		function transform(a, b, c, d, e, f) {
+			matrix = [
+				matrix[0] * a + matrix[2] * b,
+				matrix[1] * a + matrix[3] * b,
+				matrix[0] * c + matrix[2] * d,
+				matrix[1] * c + matrix[3] * d,
+				matrix[0] * e + matrix[2] * f + matrix[4],
+				matrix[1] * e + matrix[3] * f + matrix[5]
+			];
+		}
+
+		wrap('save', function () {
+			matrixStack.push(matrix);
+		});
+		wrap('restore', function () {
+			if (matrixStack.length) {
+				matrix = matrixStack.pop();
+			}
+		});
+		wrap('setTransform', function (a, b, c, d, e, f) {
+			matrix = [a, b, c, d, e, f];
+		});
+		wrap('transform', transform);
+		wrap('translate', function (x, y) {
+			transform(1, 0, 0, 1, x, y);
+		});
+		wrap('scale', function (x, y) {
+			transform(x, 0, 0, y, 0, 0);
+		});
+		wrap('rotate', function (angle) {
+			var cos = Math.cos(angle);
+			var sin = Math.sin(angle);
+			transform(cos, sin, -sin, cos, 0, 0);
+		});
+
+		[
+			'clearRect',
+			'fillRect',
+			'strokeRect',
+			'fill',
+			'stroke',
+			'fillText',
+			'strokeText',
+			'drawImage',
+			'putImageData'
+		].forEach(function (name) {
+			wrap(name, function () {
+				overlayDirty = true;
+			});
+		});
+	}());
+
+	function compileShader(type, source) {
+		var shader = gl.createShader(type);
+		gl.shaderSource(shader, source);
+		gl.compileShader(shader);
+		if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+			throw 'WebGL shader compilation failed: ' + gl.getShaderInfoLog(shader);
+		}
+		return shader;
+	}
+
+	var program = gl.createProgram();
+	gl.attachShader(program, compileShader(gl.VERTEX_SHADER, [
+		'attribute vec2 aPosition;',
+		'attribute vec2 aTexCoord;',
+		'uniform mat3 uTransform;',
+		'uniform vec2 uResolution;',
+		'varying vec2 vTexCoord;',
+		'void main() {',
+		'	vec2 p = (uTransform * vec3(aPosition, 1.0)).xy / uResolution * 2.0 - 1.0;',
+		'	gl_Position = vec4(p.x, -p.y, 0.0, 1.0);',
+		'	vTexCoord = aTexCoord;',
+		'}'
+	].join('\n')));
+	gl.attachShader(program, compileShader(gl.FRAGMENT_SHADER, [
+		'precision mediump float;',
+		'uniform sampler2D uSampler;',
+		'varying vec2 vTexCoord;',
+		'void main() {',
+		'	gl_FragColor = texture2D(uSampler, vTexCoord);',
+		'}'
+	].join('\n')));
+	gl.linkProgram(program);
+	if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+		throw 'WebGL program linking failed: ' + gl.getProgramInfoLog(program);
+	}
+	gl.useProgram(program);
+
+	var positionLocation = gl.getAttribLocation(program, 'aPosition');
+	var texCoordLocation = gl.getAttribLocation(program, 'aTexCoord');
+	var transformLocation = gl.getUniformLocation(program, 'uTransform');
+	gl.uniform2f(gl.getUniformLocation(program, 'uResolution'), width, height);
+	gl.uniform1i(gl.getUniformLocation(program, 'uSampler'), 0);
+
+	var maxQuads = 2048;
+	var vertices = new Float32Array(maxQuads * 24);
+	var quadCount = 0;
+	var currentTexture = null;
+
+	var buffer = gl.createBuffer();
+	gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+	gl.bufferData(gl.ARRAY_BUFFER, vertices.byteLength, gl.DYNAMIC_DRAW);
+	gl.enableVertexAttribArray(positionLocation);
+	gl.vertexAttribPointer(positionLocation, 2, gl.FLOAT, false, 16, 0);
+	gl.enableVertexAttribArray(texCoordLocation);
+	gl.vertexAttribPointer(texCoordLocation, 2, gl.FLOAT, false, 16, 8);
+
+	gl.viewport(0, 0, width, height);
+	gl.clearColor(0, 0, 0, 0);
+	gl.enable(gl.BLEND);
+	gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+	gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+	gl.activeTexture(gl.TEXTURE0);
+
+	function flush() {
+		if (quadCount) {
+			gl.bufferSubData(gl.ARRAY_BUFFER, 0, vertices.subarray(0, quadCount * 24));
+			gl.drawArrays(gl.TRIANGLES, 0, quadCount * 6);
+			quadCount = 0;
+		}
+	}
+
+	function bindTexture(texture) {
+		if (texture !== currentTexture) {
+			flush();
+			gl.bindTexture(gl.TEXTURE_2D, texture);
+			currentTexture = texture;
+		}
+	}
+
+	function createTexture(textureWidth, textureHeight, source) {
+		var texture = gl.createTexture();
+		bindTexture(texture);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+		if (source) {
+			gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+		} else {
+			gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, textureWidth, textureHeight, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+		}
+		return texture;
+	}
+
+	var atlasSize = Math.min(Canvace.WebGLRenderer.atlasSize, gl.getParameter(gl.MAX_TEXTURE_SIZE));
+	var padding = 1;
+
+	/*
+	 * Images are packed in rows ("shelves") from top to bottom; each shelf is
+	 * as tall as the tallest image it contains.
+	 */
+	function Atlas() {
+		this.texture = createTexture(atlasSize, atlasSize);
+		this.shelfX = 0;
+		this.shelfY = 0;
+		this.shelfHeight = 0;
+	}
+
+	Atlas.prototype.pack = function (image) {
+		var imageWidth = image.width + padding;
+		var imageHeight = image.height + padding;
+		if (this.shelfX + imageWidth > atlasSize) {
+			this.shelfX = 0;
+			this.shelfY += this.shelfHeight;
+			this.shelfHeight = 0;
+		}
+		if ((this.shelfX + imageWidth > atlasSize) || (this.shelfY + imageHeight > atlasSize)) {
+			return null;
+		}
+		bindTexture(this.texture);
+		gl.texSubImage2D(gl.TEXTURE_2D, 0, this.shelfX, this.shelfY, gl.RGBA, gl.UNSIGNED_BYTE, image);
+		var region = {
+			texture: this.texture,
+			x: this.shelfX,
+			y: this.shelfY,
+			size: atlasSize
+		};
+		this.shelfX += imageWidth;
+		this.shelfHeight = Math.max(this.shelfHeight, imageHeight);
+		return region;
+	};
+
+	var atlas = null;
+	var regions = {};
+	var nextObjectKey = 0;
+
+	function getRegion(id) {
+		var key;
+		if (typeof id === 'object') {
+			if (!id.hasOwnProperty('canvaceAtlasKey')) {
+				id.canvaceAtlasKey = 'object ' + nextObjectKey++;
+			}
+			key = id.canvaceAtlasKey;
+		} else {
+			key = 'id ' + id;
+		}
+		if (regions.hasOwnProperty(key)) {
+			return regions[key];
+		}
+		var image = loader.getImage(id);
+		if (!image.width || !image.height || (image.complete === false)) {
+			return null;
+		}
+		var region = null;
+		if ((image.width + padding <= atlasSize) && (image.height + padding <= atlasSize)) {
+			if (atlas) {
+				region = atlas.pack(image);
+			}
+			if (!region) {
+				atlas = new Atlas();
+				region = atlas.pack(image);
+			}
+		} else {
+			region = {
+				texture: createTexture(image.width, image.height, image),
+				x: 0,
+				y: 0,
+				size: 0
+			};
+		}
+		region.width = region.size || image.width;
+		region.height = region.size || image.height;
+		return regions[key] = region;
+	}
+
+	function pushQuad(texture, x0, y0, x1, y1, u0, v0, u1, v1) {
+		bindTexture(texture);
+		if (quadCount >= maxQuads) {
+			flush();
+		}
+		var offset = quadCount++ * 24;
+		vertices.set([
+			x0, y0, u0, v0,
+			x1, y0, u1, v0,
+			x0, y1, u0, v1,
+			x0, y1, u0, v1,
+			x1, y0, u1, v0,
+			x1, y1, u1, v1
+		], offset);
+	}
+
+	function setTransform(a, b, c, d, e, f) {
+		flush();
+		gl.uniformMatrix3fv(transformLocation, false, new Float32Array([
+			a, b, 0,
+			c, d, 0,
+			e, f, 1
+		]));
+	}
+
+	function drawImage(x, y, id, sx, sy, sw, sh) {
+		var region = getRegion(id);
+		if (region) {
+			pushQuad(
+				region.texture,
+				x,
+				y,
+				x + sw,
+				y + sh,
+				(region.x + sx) / region.width,
+				(region.y + sy) / region.height,
+				(region.x + sx + sw) / region.width,
+				(region.y + sy + sh) / region.height
+				);
+		}
+	}
+
+	// one texture for the drawings below the elements and one for those
+	// over them
+	var overlayTextures = [null, null];
+
+	function drawOverlay(index) {
+		if (!overlayTextures[index]) {
+			overlayTextures[index] = createTexture(width, height, overlay);
+		} else {
+			bindTexture(overlayTextures[index]);
+			gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, overlay);
+		}
+		setTransform(1, 0, 0, 1, 0, 0);
+		pushQuad(overlayTextures[index], 0, 0, width, height, 0, 0, 1, 1);
+		flush();
+	}
+
+	function clearOverlay() {
+		context.save();
+		context.setTransform(1, 0, 0, 1, 0, 0);
+		context.clearRect(0, 0, width, height);
+		context.restore();
+		overlayDirty = false;
+	}
+
+	/**
+	 * Returns the `View` object used by this renderer. It is the same `view`
+	 * parameter passed to the constructor.
+	 *
+	 * @method getView
+	 * @return {Canvace.View} The `View` object used by this renderer.
+	 */
+	this.getView = function () {
+		return view;
+	};
+
+	/**
+	 * Returns the `Buckets` object used by this renderer. It is the same
+	 * `buckets` parameter passed to the constructor.
+	 *
+	 * @method getBuckets
+	 * @return {Canvace.Buckets} The `Buckets` object used by this renderer.
+	 */
+	this.getBuckets = function () {
+		return buckets;
+	};
+
+	/**
+	 * Synchronizes the underlying `Buckets` object on the specified period. The
+	 * call is simply forwarded to its `synchronize` method.
+	 *
+	 * @method synchronize
+	 * @param period {Number} The period value the buckets must be synchronized
+	 * to.
+	 */
+	this.synchronize = buckets.synchronize;
+
+	/**
+	 * Returns the "2d" context object of the overlay canvas, which is the same
+	 * context passed to the `preProcess` and `postProcess` callbacks.
+	 *
+	 * @method getContext
+	 * @return {CanvasRenderingContext2D} The 2D context of the overlay canvas.
+	 */
+	this.getContext = function () {
+		return context;
+	};
+
+	/**
+	 * Returns the WebGL context of the canvas used for the rendering.
+	 *
+	 * @method getWebGLContext
+	 * @return {WebGLRenderingContext} The WebGL context.
+	 */
+	this.getWebGLContext = function () {
+		return gl;
+	};
+
+	/**
+	 * Renders the stage to the canvas.
+	 *
+	 * @method render
+	 */
+	this.render = function () {
+		if (overlayDirty) {
+			clearOverlay();
+		}
+		matrixStack = [];
+		context.setTransform.apply(context, view.getTransform());
+		gl.clear(gl.COLOR_BUFFER_BIT);
+		preProcess && preProcess(context);
+		if (overlayDirty) {
+			drawOverlay(0);
+			clearOverlay();
+		}
+		setTransform.apply(null, matrix);
+		buckets.forEachElement(drawImage);
+		flush();
+		postProcess && postProcess(context);
+		if (overlayDirty) {
+			drawOverlay(1);
+		}
+	};
+};
+
+/**
+ * Returns a WebGL context for the specified canvas, or `null` if the browser
+ * does not support WebGL or the canvas already has a context of another type.
+ *
+ * @method getWebGLContext
+ * @static
+ * @param canvas {HTMLCanvasElement} An HTML5 canvas element.
+ * @return {WebGLRenderingContext} The WebGL context, or `null`.
+ */
+Canvace.WebGLRenderer.getWebGLContext = function (canvas) {
+	if (typeof window.WebGLRenderingContext === 'undefined') {
+		return null;
+	}
+	var names = ['webgl', 'experimental-webgl'];
+	for (var i = 0; i < names.length; i++) {
+		try {
+			var gl = canvas.getContext(names[i]);
+			if (gl) {
+				return gl;
+			}
+		} catch (e) {}
+	}
+	return null;
+};
+
+/**
+ * The maximum side of the texture atlases, initially `2048`. Smaller values
+ * are used when the GPU does not support textures this large.
+ *
+ * Images larger than an atlas are stored in their own textures.
+ *
+ * @property atlasSize
+ * @type Number
+ * @static
+ */
+Canvace.WebGLRenderer.atlasSize = 2048;
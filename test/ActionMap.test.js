@@ -0,0 +1,76 @@
+/*
+ *	Canvace's JavaScript Game Engine, canvace.js
+ *	Copyright (C) 2013  Canvace Srl  <http://www.canvace.com/>
+ *
+ *	Dual licensed under the MIT and GPLv3 licenses.
+ *
+ *	This program is free software: you can redistribute it and/or modify
+ *	it under the terms of the GNU General Public License as published by
+ *	the Free Software Foundation, either version 3 of the License, or
+ *	(at your option) any later version.
+ *
+ *	This program is distributed in the hope that it will be useful,
+ *	but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *	GNU General Public License for more details.
+ *
+ *	You should have received a copy of the GNU General Public License
+ *	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var test = require('node:test');
+var assert = require('assert');
+var harness = require('./harness.js');
+
+/*
+ * Dispatches a keyboard event and returns a boolean indicating whether its
+ * default action was prevented.
+ */
+function dispatch(element, type, keyCode) {
+	var prevented = false;
+	element.dispatch(type, {
+		keyCode: keyCode,
+		preventDefault: function () {
+			prevented = true;
+		}
+	});
+	return prevented;
+}
+
+test('rebinding an action releases the previous key', function () {
+	var Canvace = harness.load().Canvace;
+	var element = new harness.Element();
+	var actions = new Canvace.ActionMap({
+		keyboard: new Canvace.Keyboard(element)
+	}, {
+		actions: {
+			jump: [{
+				device: 'keyboard',
+				key: 9
+			}]
+		}
+	});
+	var jumps = 0;
+	actions.onActionDown('jump', function () {
+		jumps++;
+	});
+
+	assert.strictEqual(dispatch(element, 'keydown', 9), true);
+	dispatch(element, 'keyup', 9);
+	assert.strictEqual(jumps, 1);
+
+	actions.unbindAction('jump', {
+		device: 'keyboard',
+		key: 9
+	});
+	actions.bindAction('jump', {
+		device: 'keyboard',
+		key: 32
+	});
+
+	assert.strictEqual(dispatch(element, 'keydown', 9), false);
+	assert.strictEqual(dispatch(element, 'keyup', 9), false);
+	assert.strictEqual(jumps, 1);
+	assert.strictEqual(dispatch(element, 'keydown', 32), true);
+	assert.strictEqual(jumps, 2);
+});
@@ -0,0 +1,289 @@
+/*
+ *	Canvace's JavaScript Game Engine, canvace.js
+ *	Copyright (C) 2013  Canvace Srl  <http://www.canvace.com/>
+ *
+ *	Dual licensed under the MIT and GPLv3 licenses.
+ *
+ *	This program is free software: you can redistribute it and/or modify
+ *	it under the terms of the GNU General Public License as published by
+ *	the Free Software Foundation, either version 3 of the License, or
+ *	(at your option) any later version.
+ *
+ *	This program is distributed in the hope that it will be useful,
+ *	but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *	GNU General Public License for more details.
+ *
+ *	You should have received a copy of the GNU General Public License
+ *	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var test = require('node:test');
+var assert = require('assert');
+var harness = require('./harness.js');
+
+/*
+ * Loads the engine with a fake `XMLHttpRequest` whose instances are collected
+ * in `requests` and are completed by the tests, and with a `setTimeout` that
+ * records the requested delays in `delays` but fires right away.
+ */
+function makeAjax() {
+	var requests = [];
+	var delays = [];
+	function FakeRequest() {
+		harness.Element.call(this);
+		this.upload = new harness.Element();
+		this.status = 0;
+		this.statusText = '';
+		this.responseText = '';
+		this.headers = {};
+		this.aborted = false;
+		requests.push(this);
+	}
+	FakeRequest.prototype = Object.create(harness.Element.prototype);
+	FakeRequest.prototype.open = function (method, url) {
+		this.method = method;
+		this.url = url;
+	};
+	FakeRequest.prototype.setRequestHeader = function (name, value) {
+		this.headers[name] = value;
+	};
+	FakeRequest.prototype.send = function (body) {
+		this.body = body;
+	};
+	FakeRequest.prototype.abort = function () {
+		this.aborted = true;
+	};
+	FakeRequest.prototype.respond = function (status, statusText, responseText) {
+		this.status = status;
+		this.statusText = statusText;
+		this.responseText = responseText || '';
+		this.dispatch('load', {});
+	};
+	var window = harness.load({
+		XMLHttpRequest: FakeRequest,
+		setTimeout: function (callback, delay) {
+			if (delay) {
+				delays.push(delay);
+			}
+			return setTimeout(callback, 0);
+		}
+	});
+	return {
+		Ajax: window.Canvace.Ajax,
+		requests: requests,
+		delays: delays
+	};
+}
+
+function tick() {
+	return new Promise(function (resolve) {
+		setTimeout(resolve, 5);
+	});
+}
+
+/*
+ * Returns a native promise resolved with an object containing either the
+ * `value` a thenable was fulfilled with or the `error` it was rejected with.
+ */
+function settle(thenable) {
+	return new Promise(function (resolve) {
+		thenable.then(function (value) {
+			resolve({
+				value: value
+			});
+		}, function (error) {
+			resolve({
+				error: JSON.parse(JSON.stringify(error))
+			});
+		});
+	});
+}
+
+test('requests are thenables fulfilled with the response', function () {
+	var fake = makeAjax();
+	var events = [];
+	var request = fake.Ajax.getJSON('/level.json', function (level) {
+		events.push('load ' + level.name);
+	});
+	var chained = request.then(function (level) {
+		events.push('then ' + level.name);
+		return level.name + '!';
+	});
+	assert.strictEqual(fake.requests[0].method, 'GET');
+	assert.strictEqual(fake.requests[0].url, '/level.json');
+	fake.requests[0].respond(200, 'OK', '{"name": "intro"}');
+	assert.deepStrictEqual(events, ['load intro']);
+	return settle(chained).then(function (result) {
+		assert.strictEqual(result.value, 'intro!');
+		assert.deepStrictEqual(events, ['load intro', 'then intro']);
+		return Promise.resolve(request);
+	}).then(function (level) {
+		assert.strictEqual(level.name, 'intro');
+	});
+});
+
+test('callbacks can chain further requests', function () {
+	var fake = makeAjax();
+	var result = fake.Ajax.getJSON('/first.json').then(function (first) {
+		var second = fake.Ajax.getJSON(first.next);
+		fake.requests[1].respond(200, 'OK', '{"value": 2}');
+		return second;
+	}).then(function (second) {
+		return second.value;
+	});
+	fake.requests[0].respond(200, 'OK', '{"next": "/second.json"}');
+	return settle(result).then(function (result) {
+		assert.strictEqual(result.value, 2);
+		assert.strictEqual(fake.requests[1].url, '/second.json');
+	});
+});
+
+test('errors reject the thenable', function () {
+	var fake = makeAjax();
+	var errors = [];
+	var missing = fake.Ajax.getJSON('/missing.json', null, function (statusCode, statusText) {
+		errors.push([statusCode, statusText]);
+	});
+	fake.requests[0].respond(404, 'Not Found');
+	assert.deepStrictEqual(errors, [[404, 'Not Found']]);
+
+	var malformed = fake.Ajax.getJSON('/malformed.json');
+	fake.requests[1].respond(200, 'OK', '{');
+
+	var thrown = fake.Ajax.get('/text').then(function () {
+		throw 'oops';
+	});
+	fake.requests[2].respond(200, 'OK', 'text');
+
+	return Promise.all([missing, malformed, thrown].map(settle)).then(function (results) {
+		assert.deepStrictEqual(results, [{
+			error: {
+				statusCode: 404,
+				statusText: 'Not Found'
+			}
+		}, {
+			error: {
+				statusCode: 200,
+				statusText: 'parsererror'
+			}
+		}, {
+			error: 'oops'
+		}]);
+	});
+});
+
+test('transient failures are retried with exponential backoff', function () {
+	var fake = makeAjax();
+	var request = fake.Ajax.getJSON('/scores.json', null, null, {
+		timeout: 3000,
+		retries: 3,
+		retryDelay: 100
+	});
+	assert.strictEqual(fake.requests[0].timeout, 3000);
+	fake.requests[0].respond(503, 'Service Unavailable');
+	return tick().then(function () {
+		fake.requests[1].dispatch('timeout', {});
+		return tick();
+	}).then(function () {
+		fake.requests[2].dispatch('error', {});
+		return tick();
+	}).then(function () {
+		fake.requests[3].respond(200, 'OK', '[1, 2, 3]');
+		return settle(request);
+	}).then(function (result) {
+		assert.deepStrictEqual(JSON.parse(JSON.stringify(result.value)), [1, 2, 3]);
+		assert.deepStrictEqual(fake.delays, [100, 200, 400]);
+
+		request = fake.Ajax.get({
+			url: '/scores',
+			retries: 1,
+			retryDelay: 10
+		});
+		fake.requests[4].respond(500, 'Internal Server Error');
+		return tick();
+	}).then(function () {
+		fake.requests[5].respond(429, 'Too Many Requests');
+		return settle(request);
+	}).then(function (result) {
+		assert.strictEqual(result.error.statusCode, 429);
+		assert.strictEqual(fake.requests.length, 6);
+	});
+});
+
+test('aborted requests are rejected and not retried', function () {
+	var fake = makeAjax();
+	var loaded = false;
+	var request = fake.Ajax.get({
+		url: '/leaderboard',
+		load: function () {
+			loaded = true;
+		}
+	});
+	request.abort();
+	assert.strictEqual(fake.requests[0].aborted, true);
+	fake.requests[0].respond(200, 'OK', 'late');
+	request.abort();
+
+	var retrying = fake.Ajax.get({
+		url: '/leaderboard',
+		retries: 2
+	});
+	fake.requests[1].respond(503, 'Service Unavailable');
+	retrying.abort();
+
+	return tick().then(function () {
+		assert.strictEqual(fake.requests.length, 2);
+		assert.strictEqual(loaded, false);
+		return Promise.all([request, retrying].map(settle));
+	}).then(function (results) {
+		results.forEach(function (result) {
+			assert.deepStrictEqual(result, {
+				error: {
+					statusCode: 0,
+					statusText: 'abort'
+				}
+			});
+		});
+	});
+});
+
+test('progress events and data are forwarded', function () {
+	var fake = makeAjax();
+	var progress = [];
+	var request = fake.Ajax.post({
+		url: '/save',
+		data: {
+			slot: 2
+		},
+		progress: function (loaded, total) {
+			progress.push(['download', loaded, total]);
+		},
+		uploadProgress: function (loaded, total) {
+			progress.push(['upload', loaded, total]);
+		}
+	});
+	var xhr = fake.requests[0];
+	assert.strictEqual(xhr.method, 'POST');
+	assert.strictEqual(xhr.headers['Content-Type'], 'application/x-www-form-urlencoded');
+	assert.ok(/slot=2$/.test(xhr.body));
+	xhr.upload.dispatch('progress', {
+		loaded: 10,
+		total: 20,
+		lengthComputable: true
+	});
+	xhr.dispatch('progress', {
+		loaded: 5,
+		lengthComputable: false
+	});
+	xhr.respond(200, 'OK', 'saved');
+	assert.deepStrictEqual(progress, [['upload', 10, 20], ['download', 5, null]]);
+
+	fake.Ajax.get('/search', {
+		q: 'a b'
+	});
+	assert.ok(/^\/search\?.*q=a%20b$/.test(fake.requests[1].url));
+	return settle(request).then(function (result) {
+		assert.strictEqual(result.value, 'saved');
+	});
+});
@@ -0,0 +1,195 @@
+/*
+ *	Canvace's JavaScript Game Engine, canvace.js
+ *	Copyright (C) 2013  Canvace Srl  <http://www.canvace.com/>
+ *
+ *	Dual licensed under the MIT and GPLv3 licenses.
+ *
+ *	This program is free software: you can redistribute it and/or modify
+ *	it under the terms of the GNU General Public License as published by
+ *	the Free Software Foundation, either version 3 of the License, or
+ *	(at your option) any later version.
+ *
+ *	This program is distributed in the hope that it will be useful,
+ *	but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *	GNU General Public License for more details.
+ *
+ *	You should have received a copy of the GNU General Public License
+ *	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var test = require('node:test');
+var assert = require('assert');
+var harness = require('./harness.js');
+
+var Canvace = harness.load().Canvace;
+
+/*
+ * Returns the tile map of a square stage whose tiles are walls with the
+ * specified probability, drawn from a seeded generator.
+ */
+function makeGrid(size, density, seed) {
+	var random = new Canvace.Random(seed);
+	var data = harness.makeData();
+	data.map = {
+		0: {}
+	};
+	for (var i = 0; i < size; i++) {
+		data.map[0][i] = {};
+		for (var j = 0; j < size; j++) {
+			data.map[0][i][j] = (random.next() < density) ? 1 : 0;
+		}
+	}
+	return new Canvace.Stage(data, new harness.Canvas()).getTileMap();
+}
+
+/*
+ * Returns the cost of a path, where entering a tile multiplies the distance by
+ * the cost of the tile.
+ */
+function getCost(map, i, j, path, cost) {
+	var total = 0;
+	path.forEach(function (node) {
+		var properties = map.getTile(map.getAt(node.i, node.j, 0)).getProperties();
+		total += (((node.i !== i) && (node.j !== j)) ? Math.SQRT2 : 1) * (cost ? cost(properties) : 1);
+		i = node.i;
+		j = node.j;
+	});
+	return total;
+}
+
+function isClose(a, b) {
+	return Math.abs(a - b) < 1e-9;
+}
+
+test('distances match the costs of the shortest paths', function () {
+	var map = makeGrid(24, 0.3, 5);
+	map.putAt(12, 12, 0, 0);
+	var field = new Canvace.FlowField(map, 0, [{
+		i: 12,
+		j: 12
+	}]);
+	for (var i = 0; i < 24; i++) {
+		for (var j = 0; j < 24; j++) {
+			var path = map.findPath(i, j, 0, 12, 12);
+			if ((map.getAt(i, j, 0) !== 0) || !path) {
+				continue;
+			}
+			assert.ok(field.isReachable(i, j));
+			assert.ok(isClose(field.getDistance(i, j), getCost(map, i, j, path)));
+		}
+	}
+});
+
+test('following the field leads to a goal at the given distance', function () {
+	var map = makeGrid(24, 0.3, 6);
+	var goals = [{
+		i: 3,
+		j: 20
+	}, {
+		i: 20,
+		j: 3
+	}];
+	goals.forEach(function (goal) {
+		map.putAt(goal.i, goal.j, 0, 0);
+	});
+	var field = new Canvace.FlowField(map, 0, goals);
+	var reachable = 0;
+	for (var i = 0; i < 24; i++) {
+		for (var j = 0; j < 24; j++) {
+			if (!field.isReachable(i, j)) {
+				assert.strictEqual(field.getDistance(i, j), Infinity);
+				assert.strictEqual(field.getNextCell(i, j), null);
+				continue;
+			}
+			reachable++;
+			var path = [];
+			for (var next = field.getNextCell(i, j); next; next = field.getNextCell(next.i, next.j)) {
+				path.push(next);
+			}
+			var last = path.length ? path[path.length - 1] : {
+				i: i,
+				j: j
+			};
+			assert.ok(goals.some(function (goal) {
+				return (goal.i === last.i) && (goal.j === last.j);
+			}));
+			assert.ok(isClose(field.getDistance(i, j), getCost(map, i, j, path)));
+			var expected = Math.min.apply(null, goals.map(function (goal) {
+				var path = map.findPath(i, j, 0, goal.i, goal.j);
+				return path ? getCost(map, i, j, path) : Infinity;
+			}));
+			assert.ok(isClose(field.getDistance(i, j), expected));
+		}
+	}
+	assert.ok(reachable > 100);
+});
+
+test('positions are sampled at their cells', function () {
+	var map = makeGrid(10, 0, 1);
+	var field = new Canvace.FlowField(map, 0, [{
+		i: 0,
+		j: 0
+	}]);
+	assert.strictEqual(field.getDirection(0.5, 0.5), null);
+	assert.strictEqual(field.getDistance(0.5, 0.5), 0);
+	assert.deepStrictEqual(JSON.parse(JSON.stringify(field.getDirection(3.7, 0.2))), {
+		i: -1,
+		j: 0
+	});
+	var direction = field.getDirection(3.7, 3.2);
+	assert.ok(isClose(direction.i, -Math.SQRT1_2));
+	assert.ok(isClose(direction.j, -Math.SQRT1_2));
+	assert.ok(isClose(field.getDistance(3.7, 3.2), 3 * Math.SQRT2));
+	assert.strictEqual(field.isReachable(-1, 0), false);
+});
+
+test('the field follows map and goal changes', function () {
+	var map = makeGrid(10, 0, 1);
+	var field = new Canvace.FlowField(map, 0, [{
+		i: 0,
+		j: 0
+	}]);
+	map.onChange(field.update);
+	assert.strictEqual(field.getDistance(0, 9), 9);
+	for (var i = 0; i < 9; i++) {
+		map.putAt(i, 5, 0, 1);
+	}
+	assert.ok(field.getDistance(0, 9) > 9);
+	map.putAt(9, 5, 0, 1);
+	assert.strictEqual(field.isReachable(0, 9), false);
+
+	field.setGoals([{
+		i: 0,
+		j: 9
+	}]);
+	field.getGoals()[0].i = 5;
+	assert.deepStrictEqual(JSON.parse(JSON.stringify(field.getGoals())), [{
+		i: 0,
+		j: 9
+	}]);
+	assert.strictEqual(field.getDistance(0, 8), 1);
+	assert.strictEqual(field.isReachable(0, 0), false);
+});
+
+test('costs and walkability predicates match the path finder', function () {
+	var map = makeGrid(16, 0.3, 9);
+	var options = {
+		cost: function (properties) {
+			return (properties.kind === 'wall') ? 3 : 1;
+		},
+		walkable: function () {
+			return true;
+		}
+	};
+	var field = new Canvace.FlowField(map, 0, [{
+		i: 8,
+		j: 8
+	}], options);
+	for (var i = 0; i < 16; i++) {
+		for (var j = 0; j < 16; j++) {
+			var path = map.findPath(i, j, 0, 8, 8, options);
+			assert.ok(isClose(field.getDistance(i, j), getCost(map, i, j, path, options.cost)));
+		}
+	}
+});
@@ -0,0 +1,82 @@
+/*
+ *	Canvace's JavaScript Game Engine, canvace.js
+ *	Copyright (C) 2013  Canvace Srl  <http://www.canvace.com/>
+ *
+ *	Dual licensed under the MIT and GPLv3 licenses.
+ *
+ *	This program is free software: you can redistribute it and/or modify
+ *	it under the terms of the GNU General Public License as published by
+ *	the Free Software Foundation, either version 3 of the License, or
+ *	(at your option) any later version.
+ *
+ *	This program is distributed in the hope that it will be useful,
+ *	but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *	GNU General Public License for more details.
+ *
+ *	You should have received a copy of the GNU General Public License
+ *	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var test = require('node:test');
+var assert = require('assert');
+var harness = require('./harness.js');
+
+var Canvace = harness.load().Canvace;
+
+function makeTable(frames) {
+	var table = new Canvace.FrameTable({
+		tiles: {
+			0: {
+				frames: frames
+			}
+		},
+		entities: {}
+	});
+	table.registerTile(0);
+	return table;
+}
+
+test('each frame is shown for exactly its duration', function () {
+	var frames = [{
+		id: 0,
+		duration: 100
+	}, {
+		id: 1,
+		duration: 50
+	}, {
+		id: 2,
+		duration: 150
+	}];
+	var table = makeTable(frames);
+	var animation = table.getTileAnimation(0);
+	function check() {
+		assert.strictEqual(animation(0), frames[0]);
+		assert.strictEqual(animation(99), frames[0]);
+		assert.strictEqual(animation(100), frames[1]);
+		assert.strictEqual(animation(149), frames[1]);
+		assert.strictEqual(animation(150), frames[2]);
+		assert.strictEqual(animation(299), frames[2]);
+		assert.strictEqual(animation(300), frames[0]);
+	}
+	check();
+	table.synchronize(30);
+	check();
+});
+
+test('frames lasting a single unit are all shown', function () {
+	var frames = [{
+		id: 0,
+		duration: 10
+	}, {
+		id: 1,
+		duration: 10
+	}, {
+		id: 2
+	}];
+	var animation = makeTable(frames).getTileAnimation(0);
+	assert.strictEqual(animation(0), frames[0]);
+	assert.strictEqual(animation(10), frames[1]);
+	assert.strictEqual(animation(20), frames[2]);
+	assert.strictEqual(animation(1000), frames[2]);
+});
@@ -0,0 +1,169 @@
+/*
+ *	Canvace's JavaScript Game Engine, canvace.js
+ *	Copyright (C) 2013  Canvace Srl  <http://www.canvace.com/>
+ *
+ *	Dual licensed under the MIT and GPLv3 licenses.
+ *
+ *	This program is free software: you can redistribute it and/or modify
+ *	it under the terms of the GNU General Public License as published by
+ *	the Free Software Foundation, either version 3 of the License, or
+ *	(at your option) any later version.
+ *
+ *	This program is distributed in the hope that it will be useful,
+ *	but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *	GNU General Public License for more details.
+ *
+ *	You should have received a copy of the GNU General Public License
+ *	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var test = require('node:test');
+var assert = require('assert');
+var harness = require('./harness.js');
+
+/*
+ * Sets up a small game where the hero walks along the J axis while the right
+ * arrow key is held down, and bounces back along the I axis every time it
+ * hits one of three coins, collecting it.
+ */
+function makeGame(window) {
+	var Canvace = window.Canvace;
+	var stage = new Canvace.Stage(harness.makeData(), new harness.Canvas());
+	var element = new harness.Element();
+	var keyboard = new Canvace.Keyboard(element);
+	var hero = stage.getInstance();
+	var coins = [3, 5, 7].map(function (j) {
+		return stage.getEntity().createInstance(1, j, 0);
+	});
+	var game = {
+		stage: stage,
+		element: element,
+		keyboard: keyboard,
+		hero: hero,
+		score: 0,
+		userTick: function () {
+			hero.getVelocity().j = keyboard.isKeyDown(39) ? 4 : 0;
+		},
+		press: function (keyCode) {
+			element.dispatch('keydown', {
+				keyCode: keyCode,
+				preventDefault: function () {}
+			});
+		},
+		release: function (keyCode) {
+			element.dispatch('keyup', {
+				keyCode: keyCode,
+				preventDefault: function () {}
+			});
+		}
+	};
+	stage.onCollision(function (first, second) {
+		var coin = (first === hero) ? second : first;
+		if (coins.indexOf(coin) >= 0) {
+			coin.remove();
+			game.score++;
+			hero.getVelocity().i += 0.5;
+		}
+	});
+	return game;
+}
+
+function getPosition(instance) {
+	var position = instance.getPosition();
+	return [position.i, position.j, position.k];
+}
+
+test('a replayed session triggers the same collisions', function () {
+	var window = harness.load();
+	var Canvace = window.Canvace;
+	var live = makeGame(window);
+	var loop = new Canvace.RenderLoop(live.stage, null, {
+		getImage: function () {
+			return null;
+		}
+	}, live.userTick);
+	loop.setFixedStep(10);
+	loop.run();
+
+	var recorder = new Canvace.InputRecorder(loop, {
+		keyboard: live.keyboard
+	});
+	window.frame(16);
+	live.press(39);
+	[33, 7, 50, 16, 16, 41, 3, 16, 25].forEach(window.frame);
+	live.release(39);
+	[16, 33].forEach(window.frame);
+	live.press(39);
+	[50, 50, 50, 12, 16, 16, 16].forEach(window.frame);
+	live.release(39);
+	window.frame(16);
+	recorder.stop();
+	loop.stop();
+	var log = JSON.parse(JSON.stringify(recorder.getLog()));
+
+	var replay = makeGame(window);
+	new Canvace.InputPlayer(log, {
+		keyboard: replay.keyboard
+	}).simulate(replay.stage, replay.userTick);
+
+	assert.ok(live.score > 0);
+	assert.strictEqual(replay.score, live.score);
+	assert.deepStrictEqual(getPosition(replay.hero), getPosition(live.hero));
+});
+
+test('a replayed session reproduces positions and random sequences', function () {
+	var window = harness.load();
+	var Canvace = window.Canvace;
+
+	function makeRandomGame(seed) {
+		var game = makeGame(window);
+		var random = new Canvace.Random(seed);
+		game.draws = [];
+		game.userTick = function () {
+			var velocity = game.hero.getVelocity();
+			velocity.j = 0;
+			if (game.keyboard.isKeyDown(39)) {
+				var draw = random.next();
+				game.draws.push(draw);
+				velocity.j = 2 + draw;
+			}
+		};
+		return game;
+	}
+
+	var live = makeRandomGame(1234);
+	var loop = new Canvace.RenderLoop(live.stage, null, {
+		getImage: function () {
+			return null;
+		}
+	}, live.userTick);
+	loop.setFixedStep(1000 / 60);
+	loop.run();
+
+	var recorder = new Canvace.InputRecorder(loop, {
+		keyboard: live.keyboard
+	}, 1234);
+	[16, 17, 33].forEach(window.frame);
+	live.press(39);
+	[16, 16, 20, 9, 40].forEach(window.frame);
+	live.release(39);
+	window.frame(16);
+	live.press(39);
+	[16, 33, 16].forEach(window.frame);
+	live.release(39);
+	window.frame(16);
+	recorder.stop();
+	loop.stop();
+	var log = JSON.parse(JSON.stringify(recorder.getLog()));
+	assert.strictEqual(log.seed, 1234);
+
+	var replay = makeRandomGame(log.seed);
+	new Canvace.InputPlayer(log, {
+		keyboard: replay.keyboard
+	}).simulate(replay.stage, replay.userTick);
+
+	assert.ok(live.draws.length > 0);
+	assert.deepStrictEqual(replay.draws, live.draws);
+	assert.deepStrictEqual(getPosition(replay.hero), getPosition(live.hero));
+});
@@ -0,0 +1,199 @@
+/*
+ *	Canvace's JavaScript Game Engine, canvace.js
+ *	Copyright (C) 2013  Canvace Srl  <http://www.canvace.com/>
+ *
+ *	Dual licensed under the MIT and GPLv3 licenses.
+ *
+ *	This program is free software: you can redistribute it and/or modify
+ *	it under the terms of the GNU General Public License as published by
+ *	the Free Software Foundation, either version 3 of the License, or
+ *	(at your option) any later version.
+ *
+ *	This program is distributed in the hope that it will be useful,
+ *	but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *	GNU General Public License for more details.
+ *
+ *	You should have received a copy of the GNU General Public License
+ *	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var test = require('node:test');
+var assert = require('assert');
+var harness = require('./harness.js');
+
+var UP = 38, DOWN = 40, RIGHT = 39, PUNCH = 90, CTRL = 17, S = 83;
+
+/*
+ * Sets up a keyboard on a fake element. `press` and `release` dispatch events
+ * after advancing the window clock by the specified number of milliseconds
+ * and return a boolean indicating whether the default action was prevented.
+ */
+function makeKeyboard() {
+	var window = harness.load();
+	var element = new harness.Element();
+	var keyboard = new window.Canvace.Keyboard(element);
+	function dispatch(type, keyCode, delay) {
+		var prevented = false;
+		window.now += delay || 0;
+		element.dispatch(type, {
+			keyCode: keyCode,
+			preventDefault: function () {
+				prevented = true;
+			}
+		});
+		return prevented;
+	}
+	return {
+		keyboard: keyboard,
+		press: function (keyCode, delay) {
+			return dispatch('keydown', keyCode, delay);
+		},
+		release: function (keyCode, delay) {
+			return dispatch('keyup', keyCode, delay);
+		},
+		tap: function (keyCode, delay) {
+			dispatch('keydown', keyCode, delay);
+			dispatch('keyup', keyCode);
+		}
+	};
+}
+
+test('chords fire when their last key is pressed, in any order', function () {
+	var fake = makeKeyboard();
+	var fired = [];
+	var remove = fake.keyboard.onChord([CTRL, S], function (keyCode) {
+		fired.push(keyCode);
+	});
+
+	assert.strictEqual(fake.press(S), false);
+	assert.strictEqual(fake.press(CTRL), true);
+	assert.deepStrictEqual(fired, [CTRL]);
+
+	assert.strictEqual(fake.release(S), false);
+	assert.strictEqual(fake.press(S), true);
+	assert.deepStrictEqual(fired, [CTRL, S]);
+
+	fake.release(S);
+	fake.release(CTRL);
+	assert.strictEqual(fake.press(S), false);
+	fake.release(S);
+
+	remove();
+	remove();
+	fake.press(CTRL);
+	assert.strictEqual(fake.press(S), false);
+	assert.deepStrictEqual(fired, [CTRL, S]);
+});
+
+test('sequences fire within the step window', function () {
+	var fake = makeKeyboard();
+	var fired = [];
+	fake.keyboard.onSequence([UP, UP, DOWN, DOWN], function (elapsed) {
+		fired.push(elapsed);
+	}, {
+		stepWindow: 100
+	});
+
+	[UP, UP, DOWN, DOWN].forEach(function (keyCode) {
+		fake.tap(keyCode, 50);
+	});
+	assert.deepStrictEqual(fired, [150]);
+
+	fake.tap(UP, 50);
+	fake.tap(UP, 50);
+	fake.tap(DOWN, 150);
+	fake.tap(DOWN, 50);
+	assert.deepStrictEqual(fired, [150]);
+});
+
+test('sequences tolerate overlapping attempts', function () {
+	var fake = makeKeyboard();
+	var fired = 0;
+	fake.keyboard.onSequence([UP, UP, DOWN, DOWN], function () {
+		fired++;
+	});
+	[UP, UP, UP, DOWN, DOWN].forEach(function (keyCode) {
+		fake.tap(keyCode, 10);
+	});
+	assert.strictEqual(fired, 1);
+});
+
+test('repeated steps require releasing the key', function () {
+	var fake = makeKeyboard();
+	var fired = 0;
+	fake.keyboard.onSequence([UP, UP], function () {
+		fired++;
+	});
+	fake.press(UP, 10);
+	fake.press(UP, 10);
+	assert.strictEqual(fired, 0);
+	fake.release(UP, 10);
+	fake.press(UP, 10);
+	assert.strictEqual(fired, 1);
+});
+
+test('sequences match steps made of several keys', function () {
+	var fake = makeKeyboard();
+	var fired = 0;
+	fake.keyboard.onSequence([DOWN, [DOWN, RIGHT], [RIGHT, PUNCH]], function () {
+		fired++;
+	});
+
+	fake.press(DOWN, 10);
+	fake.press(RIGHT, 10);
+	fake.release(DOWN, 10);
+	fake.press(PUNCH, 10);
+	assert.strictEqual(fired, 1);
+	fake.release(PUNCH);
+	fake.release(RIGHT);
+
+	// a key that does not lead to the next step breaks the sequence
+	fake.press(DOWN, 10);
+	fake.press(PUNCH, 10);
+	fake.release(PUNCH, 10);
+	fake.press(RIGHT, 10);
+	fake.release(DOWN, 10);
+	fake.press(PUNCH, 10);
+	assert.strictEqual(fired, 1);
+});
+
+test('keys held down beforehand do not start a sequence', function () {
+	var fake = makeKeyboard();
+	var fired = 0;
+	fake.keyboard.onSequence([DOWN, RIGHT], function () {
+		fired++;
+	});
+	fake.press(RIGHT, 10);
+	fake.press(DOWN, 10);
+	fake.release(RIGHT, 10);
+	fake.release(DOWN, 10);
+	assert.strictEqual(fired, 0);
+	fake.tap(DOWN, 10);
+	fake.tap(RIGHT, 10);
+	assert.strictEqual(fired, 1);
+});
+
+test('sequences honor the total window', function () {
+	var fake = makeKeyboard();
+	var fired = 0;
+	var remove = fake.keyboard.onSequence([UP, DOWN, UP], function () {
+		fired++;
+	}, {
+		stepWindow: 100,
+		totalWindow: 150
+	});
+	fake.tap(UP, 80);
+	fake.tap(DOWN, 80);
+	fake.tap(UP, 80);
+	assert.strictEqual(fired, 0);
+	fake.tap(UP, 50);
+	fake.tap(DOWN, 50);
+	fake.tap(UP, 50);
+	assert.strictEqual(fired, 1);
+	remove();
+	fake.tap(UP, 10);
+	fake.tap(DOWN, 10);
+	fake.tap(UP, 10);
+	assert.strictEqual(fired, 1);
+});
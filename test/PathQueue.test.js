@@ -0,0 +1,186 @@
+/*
+ *	Canvace's JavaScript Game Engine, canvace.js
+ *	Copyright (C) 2013  Canvace Srl  <http://www.canvace.com/>
+ *
+ *	Dual licensed under the MIT and GPLv3 licenses.
+ *
+ *	This program is free software: you can redistribute it and/or modify
+ *	it under the terms of the GNU General Public License as published by
+ *	the Free Software Foundation, either version 3 of the License, or
+ *	(at your option) any later version.
+ *
+ *	This program is distributed in the hope that it will be useful,
+ *	but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *	GNU General Public License for more details.
+ *
+ *	You should have received a copy of the GNU General Public License
+ *	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var test = require('node:test');
+var assert = require('assert');
+var harness = require('./harness.js');
+
+/*
+ * Returns the first node of a linear graph of `length + 1` nodes whose target
+ * is the last node, or an unreachable node if `dead` is `true`. `stats.nodes`
+ * counts the nodes constructed while traversing the graph.
+ */
+function makeChain(length, stats, dead) {
+	return (function makeNode(n) {
+		stats.nodes++;
+		var node = {
+			id: 'n' + n,
+			heuristic: length - n + (dead ? 1 : 0),
+			neighbors: {},
+			distance: function () {
+				return 1;
+			}
+		};
+		if (n < length) {
+			node.neighbors.next = function () {
+				return makeNode(n + 1);
+			};
+		}
+		return node;
+	}(0));
+}
+
+function makeLoop(window) {
+	var Canvace = window.Canvace;
+	var stage = new Canvace.Stage(harness.makeData(), new harness.Canvas());
+	return new Canvace.RenderLoop(stage, null, {
+		getImage: function () {
+			return null;
+		}
+	});
+}
+
+test('searches can be resumed until they are finished', function () {
+	var Canvace = harness.load().Canvace;
+	var astar = new Canvace.Astar();
+	var search = astar.search(makeChain(20, {
+		nodes: 0
+	}));
+	var calls = 0;
+	while (!search.run({
+		nodes: 5
+	})) {
+		calls++;
+		assert.strictEqual(search.getExpandedCount(), calls * 5);
+		assert.strictEqual(search.isFinished(), false);
+		assert.strictEqual(search.getPath(), null);
+	}
+	assert.strictEqual(calls, 4);
+	assert.strictEqual(search.isFinished(), true);
+	assert.strictEqual(search.getPath().length, 20);
+	assert.deepStrictEqual(search.getPath(), astar.findPath(makeChain(20, {
+		nodes: 0
+	})));
+	assert.strictEqual(search.run({
+		nodes: 5
+	}), true);
+	assert.strictEqual(search.getExpandedCount(), 21);
+
+	var dead = astar.search(makeChain(20, {
+		nodes: 0
+	}, true));
+	assert.strictEqual(dead.run(), true);
+	assert.strictEqual(dead.getPath(), null);
+});
+
+test('queued requests share the budget and are served in order', function () {
+	var Canvace = harness.load().Canvace;
+	var queue = new Canvace.PathQueue({
+		nodes: 15,
+		time: null
+	});
+	var served = [];
+	function request(name, length) {
+		return queue.request(makeChain(length, {
+			nodes: 0
+		}), function (path) {
+			served.push(name + ' ' + path.length);
+		});
+	}
+	request('a', 9);
+	var cancel = request('b', 4);
+	request('c', 14);
+	request('d', 4);
+	assert.strictEqual(queue.getLength(), 4);
+
+	queue.process();
+	assert.deepStrictEqual(served, ['a 9', 'b 4']);
+	assert.strictEqual(queue.getLength(), 2);
+	assert.strictEqual(cancel(), false);
+
+	queue.process();
+	assert.deepStrictEqual(served, ['a 9', 'b 4', 'c 14']);
+	request('e', 4);
+	assert.strictEqual(queue.getLength(), 2);
+	queue.clear();
+	assert.strictEqual(queue.getLength(), 0);
+	queue.process();
+	assert.deepStrictEqual(served, ['a 9', 'b 4', 'c 14']);
+});
+
+test('cancelled requests are skipped', function () {
+	var Canvace = harness.load().Canvace;
+	var queue = new Canvace.PathQueue({
+		time: null
+	});
+	var served = [];
+	var cancel = queue.request(makeChain(3, {
+		nodes: 0
+	}), function () {
+		served.push('a');
+	});
+	queue.request(makeChain(3, {
+		nodes: 0
+	}), function () {
+		served.push('b');
+	});
+	assert.strictEqual(cancel(), true);
+	assert.strictEqual(cancel(), false);
+	assert.strictEqual(queue.getLength(), 1);
+	queue.process();
+	assert.deepStrictEqual(served, ['b']);
+});
+
+test('attached queues are processed once per frame', function () {
+	var window = harness.load();
+	var loop = makeLoop(window);
+	var queue = new window.Canvace.PathQueue({
+		nodes: 10,
+		time: null
+	});
+	var stats = {
+		nodes: 0
+	};
+	var path = null;
+	queue.request(makeChain(99, stats), function (result) {
+		path = result;
+	});
+	var detach = queue.attach(loop);
+	loop.setFixedStep(10);
+	loop.run();
+
+	window.frame(50);
+	assert.strictEqual(loop.getTickCount(), 5);
+	assert.ok(stats.nodes <= 11, stats.nodes + ' nodes');
+	for (var frame = 1; frame < 10; frame++) {
+		assert.strictEqual(path, null);
+		window.frame(50);
+	}
+	assert.strictEqual(path.length, 99);
+
+	detach();
+	path = null;
+	queue.request(makeChain(1, stats), function (result) {
+		path = result;
+	});
+	window.frame(50);
+	assert.strictEqual(path, null);
+	loop.stop();
+});
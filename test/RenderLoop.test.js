@@ -0,0 +1,157 @@
+/*
+ *	Canvace's JavaScript Game Engine, canvace.js
+ *	Copyright (C) 2013  Canvace Srl  <http://www.canvace.com/>
+ *
+ *	Dual licensed under the MIT and GPLv3 licenses.
+ *
+ *	This program is free software: you can redistribute it and/or modify
+ *	it under the terms of the GNU General Public License as published by
+ *	the Free Software Foundation, either version 3 of the License, or
+ *	(at your option) any later version.
+ *
+ *	This program is distributed in the hope that it will be useful,
+ *	but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *	GNU General Public License for more details.
+ *
+ *	You should have received a copy of the GNU General Public License
+ *	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var test = require('node:test');
+var assert = require('assert');
+var harness = require('./harness.js');
+
+/*
+ * Runs a render loop over a fake range that records the calls it receives.
+ */
+function makeLoop(window) {
+	var Canvace = window.Canvace;
+	var stage = new Canvace.Stage(harness.makeData(), new harness.Canvas());
+	var calls = [];
+	var range = {
+		tick: function (dt) {
+			calls.push(['tick', dt]);
+		},
+		update: function () {
+			calls.push(['update']);
+		},
+		interpolate: function (alpha) {
+			calls.push(['interpolate', alpha]);
+		}
+	};
+	var loop = new Canvace.RenderLoop(stage, range, {
+		getImage: function () {
+			return null;
+		}
+	}, function (dt) {
+		calls.push(['userTick', dt]);
+	});
+	return {
+		loop: loop,
+		calls: calls,
+		count: function (name) {
+			return calls.filter(function (call) {
+				return call[0] === name;
+			}).length;
+		},
+		last: function (name) {
+			return calls.filter(function (call) {
+				return call[0] === name;
+			}).pop();
+		},
+		clear: function () {
+			calls.length = 0;
+		}
+	};
+}
+
+test('fixed step mode carries the remaining time over to the next frame', function () {
+	var window = harness.load();
+	var fake = makeLoop(window);
+	fake.loop.setFixedStep(10);
+	fake.loop.run();
+
+	window.frame(16);
+	assert.deepStrictEqual(fake.calls, [
+		['tick', 0.01],
+		['userTick', 0.01],
+		['update'],
+		['interpolate', 0.6]
+	]);
+	fake.clear();
+
+	window.frame(16);
+	assert.strictEqual(fake.count('tick'), 2);
+	assert.strictEqual(fake.count('update'), 2);
+	assert.ok(Math.abs(fake.last('interpolate')[1] - 0.2) < 1e-9);
+
+	window.frame(5);
+	window.frame(3);
+	assert.strictEqual(fake.count('tick'), 3);
+	assert.strictEqual(fake.loop.getTickCount(), 4);
+	fake.loop.stop();
+});
+
+test('fixed step mode drops the steps exceeding the maximum', function () {
+	var window = harness.load();
+	var fake = makeLoop(window);
+	assert.strictEqual(fake.loop.getMaximumSteps(), 5);
+	fake.loop.setFixedStep(10);
+	fake.loop.run();
+
+	window.frame(125);
+	assert.strictEqual(fake.count('tick'), 5);
+	assert.strictEqual(fake.last('interpolate')[1], 0.5);
+	fake.clear();
+
+	window.frame(5);
+	assert.strictEqual(fake.count('tick'), 1);
+	fake.clear();
+
+	fake.loop.setMaximumSteps(2.5);
+	assert.strictEqual(fake.loop.getMaximumSteps(), 2);
+	window.frame(40);
+	assert.strictEqual(fake.count('tick'), 2);
+	fake.loop.stop();
+});
+
+test('interpolation can be disabled', function () {
+	var window = harness.load();
+	var fake = makeLoop(window);
+	fake.loop.setFixedStep(10, false);
+	fake.loop.run();
+	window.frame(25);
+	assert.strictEqual(fake.count('tick'), 2);
+	assert.strictEqual(fake.count('interpolate'), 0);
+	fake.loop.stop();
+});
+
+test('variable step mode updates the stage once per frame', function () {
+	var window = harness.load();
+	var fake = makeLoop(window);
+	assert.strictEqual(fake.loop.getFixedStep(), null);
+	fake.loop.run();
+	window.frame(fake.loop.getPeriod() * 2.5);
+	assert.strictEqual(fake.count('tick'), 3);
+	assert.strictEqual(fake.count('update'), 1);
+	assert.strictEqual(fake.count('interpolate'), 0);
+	fake.loop.stop();
+});
+
+test('invalid steps are rejected', function () {
+	var window = harness.load();
+	var fake = makeLoop(window);
+	assert.throws(function () {
+		fake.loop.setFixedStep(0);
+	});
+	assert.throws(function () {
+		fake.loop.setFixedStep('10');
+	});
+	assert.throws(function () {
+		fake.loop.setMaximumSteps(0);
+	});
+	fake.loop.setFixedStep(10);
+	fake.loop.setFixedStep(null);
+	assert.strictEqual(fake.loop.getFixedStep(), null);
+});
@@ -0,0 +1,132 @@
+/*
+ *	Canvace's JavaScript Game Engine, canvace.js
+ *	Copyright (C) 2013  Canvace Srl  <http://www.canvace.com/>
+ *
+ *	Dual licensed under the MIT and GPLv3 licenses.
+ *
+ *	This program is free software: you can redistribute it and/or modify
+ *	it under the terms of the GNU General Public License as published by
+ *	the Free Software Foundation, either version 3 of the License, or
+ *	(at your option) any later version.
+ *
+ *	This program is distributed in the hope that it will be useful,
+ *	but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *	GNU General Public License for more details.
+ *
+ *	You should have received a copy of the GNU General Public License
+ *	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var test = require('node:test');
+var assert = require('assert');
+var harness = require('./harness.js');
+
+var window = harness.load();
+var Canvace = window.Canvace;
+
+function collect(hash, k, i, j, di, dj) {
+	var elements = [];
+	hash.forEachInBox(k, i, j, di, dj, function (element) {
+		elements.push(element);
+	});
+	return elements.sort();
+}
+
+function collectPairs(hash) {
+	var pairs = [];
+	hash.forEachPair(function (first, second) {
+		pairs.push([first, second].sort().join(''));
+	});
+	return pairs.sort();
+}
+
+test('box queries enumerate each overlapping element once', function () {
+	var hash = new Canvace.SpatialHash();
+	hash.add('a', 0, 0, 0, 10, 10);
+	hash.add('b', 0, 1.5, 1.5, 0.25, 0.25);
+	hash.add('c', 0, 6, 6, 1, 1);
+	hash.add('d', 1, 1, 1, 1, 1);
+	assert.deepStrictEqual(collect(hash, 0, 1, 1, 1, 1), ['a', 'b']);
+	assert.deepStrictEqual(collect(hash, 0, 4, 4, 4, 4), ['a', 'c']);
+	assert.deepStrictEqual(collect(hash, 1, 0, 0, 10, 10), ['d']);
+	assert.deepStrictEqual(collect(hash, 0, 20, 20, 1, 1), []);
+});
+
+test('pairs are enumerated once even when they share several cells', function () {
+	var hash = new Canvace.SpatialHash(1);
+	hash.add('a', 0, 0, 0, 4, 4);
+	hash.add('b', 0, 1, 1, 4, 4);
+	hash.add('c', 0, 3.5, 0, 0.25, 0.25);
+	hash.add('d', 0, 3.5, 0.5, 0.25, 0.25);
+	assert.deepStrictEqual(collectPairs(hash), ['ab', 'ac', 'ad']);
+});
+
+test('entries follow updates and removals', function () {
+	var hash = new Canvace.SpatialHash();
+	var a = hash.add('a', 0, 0, 0, 1, 1);
+	var b = hash.add('b', 0, 0.5, 0.5, 1, 1);
+	assert.deepStrictEqual(collectPairs(hash), ['ab']);
+	a.update(0, 5, 5, 1, 1);
+	assert.deepStrictEqual(collectPairs(hash), []);
+	assert.deepStrictEqual(collect(hash, 0, 5, 5, 1, 1), ['a']);
+	b.update(0, 5.5, 5.5, 1, 1);
+	assert.deepStrictEqual(collectPairs(hash), ['ab']);
+	b.remove();
+	assert.deepStrictEqual(collectPairs(hash), []);
+	assert.deepStrictEqual(collect(hash, 0, 0, 0, 10, 10), ['a']);
+});
+
+test('cells are erased once they become empty', function () {
+	var matrices = [];
+	var put = Canvace.Matrix.prototype.put;
+	Canvace.Matrix.prototype.put = function () {
+		if (matrices.indexOf(this) < 0) {
+			matrices.push(this);
+		}
+		return put.apply(this, arguments);
+	};
+	try {
+		var hash = new Canvace.SpatialHash();
+		var a = hash.add('a', 0, 0, 0, 1, 1);
+		var b = hash.add('b', 0, 0.5, 0.5, 1, 1);
+		for (var x = 0; x < 100; x++) {
+			a.update(0, x, x, 1, 1);
+		}
+		assert.strictEqual(matrices.length, 1);
+		assert.ok(Object.keys(matrices[0].data).length <= 8);
+		a.remove();
+		b.remove();
+		assert.deepStrictEqual(Object.keys(matrices[0].data), []);
+	} finally {
+		Canvace.Matrix.prototype.put = put;
+	}
+});
+
+test('the stage notifies colliding instances after each update', function () {
+	var stage = new Canvace.Stage(harness.makeData(), new harness.Canvas());
+	var entity = stage.getEntity();
+	var a = entity.createInstance(3, 3, 0);
+	var b = entity.createInstance(3.5, 3.5, 0);
+	var c = entity.createInstance(8, 8, 0);
+	var collisions = [];
+	stage.onCollision(function (first, second) {
+		collisions.push([first, second]);
+	});
+
+	stage.update();
+	assert.strictEqual(collisions.length, 1);
+	assert.ok((collisions[0].indexOf(a) >= 0) && (collisions[0].indexOf(b) >= 0));
+
+	collisions = [];
+	c.getPosition().i = 3.2;
+	c.getPosition().j = 3.2;
+	stage.update();
+	assert.strictEqual(collisions.length, 3);
+
+	collisions = [];
+	b.remove();
+	stage.update();
+	assert.strictEqual(collisions.length, 1);
+	assert.ok((collisions[0].indexOf(a) >= 0) && (collisions[0].indexOf(c) >= 0));
+});
@@ -0,0 +1,84 @@
+/*
+ *	Canvace's JavaScript Game Engine, canvace.js
+ *	Copyright (C) 2013  Canvace Srl  <http://www.canvace.com/>
+ *
+ *	Dual licensed under the MIT and GPLv3 licenses.
+ *
+ *	This program is free software: you can redistribute it and/or modify
+ *	it under the terms of the GNU General Public License as published by
+ *	the Free Software Foundation, either version 3 of the License, or
+ *	(at your option) any later version.
+ *
+ *	This program is distributed in the hope that it will be useful,
+ *	but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *	GNU General Public License for more details.
+ *
+ *	You should have received a copy of the GNU General Public License
+ *	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var test = require('node:test');
+var assert = require('assert');
+var harness = require('./harness.js');
+
+test('a snapshot restores instances, properties and changed tiles', function () {
+	var window = harness.load();
+	var data = harness.makeData();
+	var original = JSON.stringify(data);
+	var stage = new window.Canvace.Stage(data, new harness.Canvas());
+	var hero = stage.getInstance();
+	hero.getVelocity().i = 2;
+	hero.tick(0.5);
+	hero.getProperties().hp = 1;
+	stage.getEntity().createInstance(3, 3, 0);
+	stage.getTileMap().putAt(2, 2, 0, 1);
+
+	var snapshot = JSON.parse(JSON.stringify(stage.getSnapshot()));
+	assert.strictEqual(JSON.stringify(data), original);
+	assert.strictEqual(snapshot.instances.length, 2);
+
+	var restored = new window.Canvace.Stage(data, new harness.Canvas(), snapshot);
+	assert.deepStrictEqual(JSON.parse(JSON.stringify(restored.getSnapshot())), snapshot);
+	assert.strictEqual(restored.getTileMap().getAt(2, 2, 0), 1);
+	assert.strictEqual(restored.getInstances().length, 2);
+	var position = restored.getInstance().getPosition();
+	assert.deepStrictEqual([position.i, position.j, position.k], [2, 1, 0]);
+	assert.strictEqual(restored.getInstance().getProperties().hp, 1);
+});
+
+test('instance lifecycle and tile changes are notified to the handlers', function () {
+	var window = harness.load();
+	var stage = new window.Canvace.Stage(harness.makeData(), new harness.Canvas());
+	var events = [];
+	stage.onInstanceCreate(function (instance) {
+		events.push(['create', instance.getPosition().j]);
+	});
+	stage.onInstanceRemove(function (instance) {
+		events.push(['remove', instance.getPosition().j]);
+	});
+	stage.onInstanceReplace(function (instance, replacement) {
+		events.push(['replace', instance.isRemoved(), replacement.isRemoved()]);
+	});
+	var removeTileHandler = stage.onTileChange(function (i, j, k, id) {
+		events.push(['tile', i, j, k, id]);
+	});
+
+	var instance = stage.getEntity().createInstance(1, 2, 0);
+	var fork = instance.fork();
+	fork.getPosition().j = 3;
+	fork.remove();
+	fork.remove();
+	instance.replaceWith(stage.getEntity());
+	stage.getTileMap().putAt(1, 1, 0, 1);
+	removeTileHandler();
+	stage.getTileMap().putAt(1, 1, 0, 0);
+
+	assert.deepStrictEqual(events, [
+		['create', 2],
+		['create', 2],
+		['remove', 3],
+		['replace', true, false],
+		['tile', 1, 1, 0, 1]
+	]);
+});
@@ -0,0 +1,307 @@
+/*
+ *	Canvace's JavaScript Game Engine, canvace.js
+ *	Copyright (C) 2013  Canvace Srl  <http://www.canvace.com/>
+ *
+ *	Dual licensed under the MIT and GPLv3 licenses.
+ *
+ *	This program is free software: you can redistribute it and/or modify
+ *	it under the terms of the GNU General Public License as published by
+ *	the Free Software Foundation, either version 3 of the License, or
+ *	(at your option) any later version.
+ *
+ *	This program is distributed in the hope that it will be useful,
+ *	but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *	GNU General Public License for more details.
+ *
+ *	You should have received a copy of the GNU General Public License
+ *	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var test = require('node:test');
+var assert = require('assert');
+var harness = require('./harness.js');
+
+var Canvace = harness.load().Canvace;
+
+/*
+ * Returns the tile map of a square stage with the specified number of layers.
+ * `getTile` receives the coordinates of each cell and returns the ID of its
+ * tile: besides the grass (0) and wall (1) tiles of the test data, there are
+ * road (2), mud (3), water (4) and stairs (5) tiles.
+ */
+function makeMap(size, layers, getTile) {
+	var data = harness.makeData();
+	['road', 'mud', 'water', 'stairs'].forEach(function (kind, index) {
+		var tile = JSON.parse(JSON.stringify(data.tiles[0]));
+		tile.properties = {
+			kind: kind
+		};
+		tile.properties[kind] = true;
+		data.tiles[index + 2] = tile;
+	});
+	data.map = {};
+	for (var k = 0; k < layers; k++) {
+		data.map[k] = {};
+		for (var i = 0; i < size; i++) {
+			data.map[k][i] = {};
+			for (var j = 0; j < size; j++) {
+				data.map[k][i][j] = getTile(i, j, k);
+			}
+		}
+	}
+	return new Canvace.Stage(data, new harness.Canvas()).getTileMap();
+}
+
+/*
+ * Returns the tile map of a square stage whose tiles are solid with the
+ * specified probability, drawn from a seeded generator.
+ */
+function makeGrid(size, density, seed) {
+	var random = new Canvace.Random(seed);
+	return makeMap(size, 1, function () {
+		return (random.next() < density) ? 1 : 0;
+	});
+}
+
+function getCost(i, j, path) {
+	var cost = 0;
+	path.forEach(function (node) {
+		cost += ((node.i !== i) && (node.j !== j)) ? Math.SQRT2 : 1;
+		i = node.i;
+		j = node.j;
+	});
+	return cost;
+}
+
+/*
+ * Checks that each node of the path is a walkable neighbor of the previous one
+ * and that diagonal moves do not cut corners.
+ */
+function assertValid(map, i, j, path) {
+	function walkable(i, j) {
+		return map.getAt(i, j, 0) === 0;
+	}
+	path.forEach(function (node) {
+		var di = Math.abs(node.i - i);
+		var dj = Math.abs(node.j - j);
+		assert.ok((di <= 1) && (dj <= 1) && (di + dj > 0), 'disconnected path');
+		assert.ok(walkable(node.i, node.j), 'solid tile in the path');
+		assert.ok((di < 1) || (dj < 1) || (walkable(node.i, j) && walkable(i, node.j)), 'cut corner');
+		i = node.i;
+		j = node.j;
+	});
+}
+
+test('all the strategies return null when the target is solid', function () {
+	var map = makeGrid(40, 0, 1);
+	map.putAt(30, 30, 0, 1);
+	['astar', 'jps', 'hpa'].forEach(function (strategy) {
+		assert.strictEqual(map.findPath(0, 0, 0, 30, 30, {
+			strategy: strategy
+		}), null, strategy);
+	});
+});
+
+test('hpa paths stay close to the optimal ones', function () {
+	var random = new Canvace.Random(7);
+	var worst = 1;
+	for (var trial = 0; trial < 4; trial++) {
+		var map = makeGrid(64, 0.25, trial + 1);
+		for (var query = 0; query < 8; query++) {
+			var i = random.nextInt(0, 63);
+			var j = random.nextInt(0, 63);
+			var i1 = random.nextInt(0, 63);
+			var j1 = random.nextInt(0, 63);
+			var optimal = map.findPath(i, j, 0, i1, j1);
+			var path = map.findPath(i, j, 0, i1, j1, {
+				strategy: 'hpa'
+			});
+			assert.strictEqual(path === null, optimal === null);
+			if (optimal && optimal.length) {
+				assertValid(map, i, j, path);
+				worst = Math.max(worst, getCost(i, j, path) / getCost(i, j, optimal));
+			}
+		}
+	}
+	assert.ok(worst < 1.05, 'worst ratio ' + worst);
+});
+
+test('jps paths are as short as the astar ones', function () {
+	var random = new Canvace.Random(11);
+	for (var trial = 0; trial < 4; trial++) {
+		var map = makeGrid(48, 0.3, trial + 10);
+		for (var query = 0; query < 8; query++) {
+			var i = random.nextInt(0, 47);
+			var j = random.nextInt(0, 47);
+			var i1 = random.nextInt(0, 47);
+			var j1 = random.nextInt(0, 47);
+			var optimal = map.findPath(i, j, 0, i1, j1);
+			var path = map.findPath(i, j, 0, i1, j1, {
+				strategy: 'jps'
+			});
+			assert.strictEqual(path === null, optimal === null);
+			if (optimal) {
+				assertValid(map, i, j, path);
+				assert.ok(Math.abs(getCost(i, j, path) - getCost(i, j, optimal)) < 1e-9);
+			}
+		}
+	}
+});
+
+test('hpa paths follow the changes of the map', function () {
+	var map = makeGrid(40, 0, 1);
+	var options = {
+		strategy: 'hpa'
+	};
+	assert.strictEqual(map.findPath(0, 0, 0, 0, 39, options).length, 39);
+
+	for (var i = 0; i < 39; i++) {
+		map.putAt(i, 20, 0, 1);
+	}
+	var path = map.findPath(0, 0, 0, 0, 39, options);
+	assertValid(map, 0, 0, path);
+	assert.ok(path.some(function (node) {
+		return (node.i === 39) && (node.j === 20);
+	}));
+
+	map.putAt(39, 20, 0, 1);
+	assert.strictEqual(map.findPath(0, 0, 0, 0, 39, options), null);
+
+	map.putAt(10, 20, 0, 0);
+	path = map.findPath(0, 0, 0, 0, 39, options);
+	assertValid(map, 0, 0, path);
+	assert.ok(getCost(0, 0, path) / getCost(0, 0, map.findPath(0, 0, 0, 0, 39)) < 1.05);
+});
+
+test('weighted tiles are avoided when cheaper paths exist', function () {
+	var map = makeMap(10, 1, function (i, j) {
+		return ((i === 0) && (j > 1) && (j < 8)) ? 3 : 0;
+	});
+	function isMud(node) {
+		return (node.i === 0) && (node.j > 1) && (node.j < 8);
+	}
+	assert.ok(map.findPath(0, 0, 0, 0, 9).some(isMud));
+	var path = map.findPath(0, 0, 0, 0, 9, {
+		cost: function (properties) {
+			return properties.mud ? 10 : 1;
+		}
+	});
+	assert.strictEqual(path.length, 9);
+	assert.ok(!path.some(isMud));
+	var last = path[path.length - 1];
+	assert.deepStrictEqual([last.i, last.j, last.k], [0, 9, 0]);
+});
+
+test('roads are preferred over cheaper distances', function () {
+	var map = makeMap(10, 1, function (i, j) {
+		return ((i === 3) || (j === 0) || (j === 9)) ? 2 : 0;
+	});
+	var path = map.findPath(0, 0, 0, 0, 9, {
+		cost: function (properties) {
+			return properties.road ? 1 : 4;
+		}
+	});
+	assert.ok(path.every(function (node) {
+		return (node.i === 3) || (node.j === 0) || (node.j === 9);
+	}));
+});
+
+test('the walkability predicate replaces the solid flag', function () {
+	var map = makeMap(10, 1, function (i, j) {
+		return ((j === 5) && (i < 9)) ? 4 : 0;
+	});
+	var path = map.findPath(0, 0, 0, 0, 9, {
+		walkable: function (solid, properties) {
+			return !solid && !properties.water;
+		}
+	});
+	assert.ok(path.some(function (node) {
+		return (node.i === 9) && (node.j === 5);
+	}));
+	assert.ok(!path.some(function (node) {
+		return (node.j === 5) && (node.i < 9);
+	}));
+	assert.strictEqual(map.findPath(0, 0, 0, 4, 5, {
+		walkable: function (solid, properties) {
+			return !properties.water;
+		}
+	}), null);
+});
+
+function coordinates(path) {
+	return path.map(function (node) {
+		return node.i + ' ' + node.j + ' ' + node.k;
+	});
+}
+
+test('paths climb and descend stairs between layers', function () {
+	var map = makeMap(10, 2, function (i, j, k) {
+		if (k > 0) {
+			return 0;
+		} else if ((i === 2) && (j === 7)) {
+			return 5;
+		} else if ((i === 6) && (j === 6)) {
+			return 2;
+		} else {
+			return 0;
+		}
+	});
+
+	var up = coordinates(map.findPath(0, 0, 0, 9, 9, 1));
+	var index = up.indexOf('2 7 0');
+	assert.ok(index >= 0);
+	assert.strictEqual(up[index + 1], '2 7 1');
+	assert.strictEqual(up[up.length - 1], '9 9 1');
+
+	var down = coordinates(map.findPath(9, 9, 1, 0, 0, 0));
+	index = down.indexOf('2 7 1');
+	assert.ok(index >= 0);
+	assert.strictEqual(down[index + 1], '2 7 0');
+	assert.strictEqual(down[down.length - 1], '0 0 0');
+
+	var road = coordinates(map.findPath(0, 0, 0, 9, 9, 1, {
+		climbable: function (solid, properties) {
+			return !!properties.road;
+		}
+	}));
+	assert.strictEqual(road[road.indexOf('6 6 0') + 1], '6 6 1');
+
+	assert.strictEqual(map.findPath(0, 0, 0, 9, 9, 1, {
+		climbable: function () {
+			return false;
+		}
+	}), null);
+	assert.throws(function () {
+		map.findPath(0, 0, 0, 9, 9, 1, {
+			strategy: 'jps'
+		});
+	});
+});
+
+test('translated paths carry the layer coordinates', function () {
+	assert.deepStrictEqual(JSON.parse(JSON.stringify(Canvace.TileMap.translatePath(3, 3, [8, 10, 1, 9], 0))), [{
+		i: 4,
+		j: 4,
+		k: 0
+	}, {
+		i: 4,
+		j: 4,
+		k: 1
+	}, {
+		i: 3,
+		j: 4,
+		k: 1
+	}, {
+		i: 3,
+		j: 4,
+		k: 0
+	}]);
+	assert.deepStrictEqual(JSON.parse(JSON.stringify(Canvace.TileMap.translatePath(3, 3, [8, 1]))), [{
+		i: 4,
+		j: 4
+	}, {
+		i: 3,
+		j: 4
+	}]);
+});
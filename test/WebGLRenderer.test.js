@@ -0,0 +1,128 @@
+/*
+ *	Canvace's JavaScript Game Engine, canvace.js
+ *	Copyright (C) 2013  Canvace Srl  <http://www.canvace.com/>
+ *
+ *	Dual licensed under the MIT and GPLv3 licenses.
+ *
+ *	This program is free software: you can redistribute it and/or modify
+ *	it under the terms of the GNU General Public License as published by
+ *	the Free Software Foundation, either version 3 of the License, or
+ *	(at your option) any later version.
+ *
+ *	This program is distributed in the hope that it will be useful,
+ *	but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *	GNU General Public License for more details.
+ *
+ *	You should have received a copy of the GNU General Public License
+ *	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+var test = require('node:test');
+var assert = require('assert');
+var harness = require('./harness.js');
+
+/*
+ * Returns a fake WebGL context that records, for each draw call, whether the
+ * bound texture holds the overlay canvas or images of the elements.
+ */
+function makeContext(draws) {
+	var bound = null;
+	var methods = {
+		getParameter: function () {
+			return 4096;
+		},
+		getShaderParameter: function () {
+			return true;
+		},
+		getProgramParameter: function () {
+			return true;
+		},
+		createTexture: function () {
+			return {
+				kind: 'elements'
+			};
+		},
+		bindTexture: function (target, texture) {
+			bound = texture;
+		},
+		texImage2D: function () {
+			if (arguments[arguments.length - 1] instanceof harness.Canvas) {
+				bound.kind = 'overlay';
+			}
+		},
+		drawArrays: function () {
+			draws.push(bound.kind);
+		}
+	};
+	return new Proxy(methods, {
+		get: function (target, name) {
+			if (/^[A-Z_0-9]+$/.test(name)) {
+				return name;
+			} else if (name in target) {
+				return target[name];
+			} else {
+				return function () {
+					return {};
+				};
+			}
+		}
+	});
+}
+
+test('drawings of preProcess go below the elements and those of postProcess over them', function () {
+	var Canvace = harness.load({
+		WebGLRenderingContext: function () {}
+	}).Canvace;
+	var draws = [];
+	var canvas = new harness.Canvas(100, 100);
+	canvas.getContext = function (type) {
+		return (type === 'webgl') ? makeContext(draws) : null;
+	};
+	var drawBefore = false;
+	var drawAfter = false;
+	var renderer = new Canvace.WebGLRenderer(canvas, {
+		getImage: function () {
+			return {
+				width: 64,
+				height: 32,
+				complete: true
+			};
+		}
+	}, {
+		getTransform: function () {
+			return [1, 0, 0, 1, 0, 0];
+		}
+	}, {
+		synchronize: function () {},
+		forEachElement: function (action) {
+			action(0, 0, 1, 0, 0, 64, 32);
+		}
+	}, function (context) {
+		if (drawBefore) {
+			context.fillRect(0, 0, 10, 10);
+		}
+	}, function (context) {
+		if (drawAfter) {
+			context.fillRect(0, 0, 10, 10);
+		}
+	});
+
+	function render() {
+		draws.length = 0;
+		renderer.render();
+		return draws.slice();
+	}
+
+	assert.deepStrictEqual(render(), ['elements']);
+	drawBefore = true;
+	assert.deepStrictEqual(render(), ['overlay', 'elements']);
+	drawBefore = false;
+	drawAfter = true;
+	assert.deepStrictEqual(render(), ['elements', 'overlay']);
+	drawBefore = true;
+	assert.deepStrictEqual(render(), ['overlay', 'elements', 'overlay']);
+	drawBefore = false;
+	drawAfter = false;
+	assert.deepStrictEqual(render(), ['elements']);
+});
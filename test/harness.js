@@ -0,0 +1,291 @@
+/*
+ *	Canvace's JavaScript Game Engine, canvace.js
+ *	Copyright (C) 2013  Canvace Srl  <http://www.canvace.com/>
+ *
+ *	Dual licensed under the MIT and GPLv3 licenses.
+ *
+ *	This program is free software: you can redistribute it and/or modify
+ *	it under the terms of the GNU General Public License as published by
+ *	the Free Software Foundation, either version 3 of the License, or
+ *	(at your option) any later version.
+ *
+ *	This program is distributed in the hope that it will be useful,
+ *	but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *	GNU General Public License for more details.
+ *
+ *	You should have received a copy of the GNU General Public License
+ *	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Loads the engine in a fake browser environment so that its pure logic can
+ * be tested headlessly with Node. The sources are concatenated in the order
+ * specified by the Gruntfile, exactly like the build does.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var root = path.join(__dirname, '..');
+
+var sources = (function () {
+	var config;
+	require(path.join(root, 'Gruntfile.js'))({
+		initConfig: function (value) {
+			config = value;
+		},
+		file: {
+			readJSON: function (file) {
+				return JSON.parse(fs.readFileSync(path.join(root, file), 'utf8'));
+			}
+		},
+		loadNpmTasks: function () {},
+		registerTask: function () {}
+	});
+	return config.concat.dist.src;
+}());
+
+var code = 'var Canvace = (function () {\n\t\'use strict\';\n' + sources.map(function (file) {
+	return fs.readFileSync(path.join(root, file), 'utf8');
+}).join('\n') + '\n\treturn Canvace;\n}());\nwindow.Canvace = Canvace;';
+
+var script = new vm.Script(code, {
+	filename: 'canvace.js'
+});
+
+/*
+ * A minimal DOM event target. `dispatch` synchronously invokes the listeners
+ * registered for the specified event type.
+ */
+function Element() {
+	this.listeners = {};
+}
+
+Element.prototype.addEventListener = function (type, listener) {
+	if (!this.listeners.hasOwnProperty(type)) {
+		this.listeners[type] = [];
+	}
+	this.listeners[type].push(listener);
+};
+
+Element.prototype.removeEventListener = function (type, listener) {
+	if (this.listeners.hasOwnProperty(type)) {
+		var index = this.listeners[type].indexOf(listener);
+		if (index >= 0) {
+			this.listeners[type].splice(index, 1);
+		}
+	}
+};
+
+Element.prototype.dispatch = function (type, event) {
+	(this.listeners[type] || []).slice().forEach(function (listener) {
+		listener(event);
+	});
+};
+
+Element.prototype.getBoundingClientRect = function () {
+	return {
+		left: 0,
+		top: 0
+	};
+};
+
+/*
+ * A canvas whose 2D context records the calls it receives in its `calls`
+ * array.
+ */
+function Canvas(width, height) {
+	Element.call(this);
+	this.width = width || 640;
+	this.height = height || 480;
+}
+
+Canvas.prototype = Object.create(Element.prototype);
+
+Canvas.prototype.getContext = function () {
+	var calls = [];
+	return new Proxy({
+		calls: calls
+	}, {
+		get: function (target, name) {
+			if (name in target) {
+				return target[name];
+			} else {
+				return function () {
+					calls.push([name].concat(Array.prototype.slice.call(arguments)));
+				};
+			}
+		}
+	});
+};
+
+/*
+ * Creates a new window with a fresh copy of the engine. The time returned by
+ * `performance.now()` is the `now` property of the window, initially zero.
+ * `requestAnimationFrame` stores the callbacks in the `frames` array of the
+ * window; `frame(delta)` advances the time and runs the oldest one. The
+ * specified globals are copied to the window before the engine is loaded.
+ */
+function load(globals) {
+	var window = {
+		now: 0,
+		frames: [],
+		navigator: {
+			userAgent: 'node'
+		},
+		document: {
+			body: new Element(),
+			createElement: function (tag) {
+				if (tag === 'canvas') {
+					return new Canvas();
+				} else {
+					var element = new Element();
+					element.canPlayType = function () {
+						return '';
+					};
+					return element;
+				}
+			},
+			querySelector: function () {
+				return null;
+			},
+			addEventListener: function () {}
+		},
+		setTimeout: setTimeout,
+		clearTimeout: clearTimeout,
+		setInterval: setInterval,
+		clearInterval: clearInterval,
+		console: console
+	};
+	window.window = window;
+	window.performance = {
+		now: function () {
+			return window.now;
+		}
+	};
+	window.requestAnimationFrame = function (callback) {
+		window.frames.push(callback);
+		return window.frames.length;
+	};
+	window.cancelAnimationFrame = function () {};
+	window.frame = function (delta) {
+		window.now += delta;
+		window.frames.shift()();
+	};
+	for (var name in globals) {
+		if (globals.hasOwnProperty(name)) {
+			window[name] = globals[name];
+		}
+	}
+	vm.createContext(window);
+	script.runInContext(window);
+	return window;
+}
+
+/*
+ * Returns the data of a 10x10 stage with a single layer of grass tiles and a
+ * wall at i = 5 spanning from j = 1 to j = 8, and one "hero" instance at
+ * (1, 1).
+ */
+function makeData() {
+	function tile(id, solid, kind) {
+		return {
+			frames: [{
+				id: id,
+				x: 0,
+				y: 0,
+				width: 64,
+				height: 32
+			}],
+			layout: {
+				ref: {
+					i: 0,
+					j: 0
+				},
+				span: {
+					i: 1,
+					j: 1
+				}
+			},
+			solid: solid,
+			mutable: true,
+			offset: {
+				x: 0,
+				y: 0
+			},
+			width: 64,
+			height: 32,
+			properties: {
+				kind: kind
+			}
+		};
+	}
+	var map = {
+		0: {}
+	};
+	for (var i = 0; i < 10; i++) {
+		map[0][i] = {};
+		for (var j = 0; j < 10; j++) {
+			map[0][i][j] = ((i === 5) && (j > 0) && (j < 9)) ? 1 : 0;
+		}
+	}
+	return {
+		name: 'test',
+		properties: {},
+		x0: 0,
+		y0: 0,
+		matrix: [[32, -32, 0], [16, 16, -32], [1, 1, 0]],
+		tiles: {
+			0: tile(1, false, 'grass'),
+			1: tile(2, true, 'wall')
+		},
+		entities: {
+			0: {
+				frames: [{
+					id: 3,
+					x: 0,
+					y: 0,
+					width: 32,
+					height: 32
+				}],
+				enablePhysics: true,
+				box: {
+					i0: 0,
+					j0: 0,
+					iSpan: 1,
+					jSpan: 1
+				},
+				offset: {
+					x: 0,
+					y: 0
+				},
+				width: 32,
+				height: 32,
+				properties: {
+					type: 'hero'
+				}
+			}
+		},
+		map: map,
+		instances: {
+			0: {
+				id: 0,
+				i: 1,
+				j: 1,
+				k: 0,
+				properties: {
+					hp: 3
+				}
+			}
+		}
+	};
+}
+
+module.exports = {
+	Element: Element,
+	Canvas: Canvas,
+	load: load,
+	makeData: makeData
+};